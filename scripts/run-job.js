@@ -0,0 +1,24 @@
+import 'dotenv/config';
+import { runJob, JOB_NAMES } from '../src/lib/jobs.js';
+import prisma from '../src/lib/prisma.js';
+
+// Run a background job once, e.g. from a cron on hosts without a long-running server.
+//
+//   npm run jobs:run -- learn-patterns
+
+const [name] = process.argv.slice(2);
+
+if (!JOB_NAMES.includes(name)) {
+  console.error('Usage: npm run jobs:run -- <job>');
+  console.error(`Jobs: ${JOB_NAMES.join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  await runJob(name);
+} catch (error) {
+  console.error(`Job ${name} failed:`, error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Stripe from 'stripe';
+import 'dotenv/config';
+
+// Sign a Stripe event fixture with STRIPE_WEBHOOK_SECRET and POST it to the local webhook,
+// exactly like Stripe would - no Stripe account or network access needed.
+//
+//   npm run stripe:fixture -- customer.subscription.updated <userId> [url]
+//
+// {{USER_ID}} in the fixture is replaced with <userId>. The url defaults to
+// http://localhost:$PORT/api/stripe/webhooks.
+
+const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/stripe');
+
+const [name, userId, url = `http://localhost:${process.env.PORT || 3000}/api/stripe/webhooks`] = process.argv.slice(2);
+
+if (!name || !userId) {
+  const available = fs.readdirSync(FIXTURES_DIR).map(file => file.replace(/\.json$/, ''));
+  console.error('Usage: npm run stripe:fixture -- <fixture> <userId> [url]');
+  console.error(`Fixtures: ${available.join(', ')}`);
+  process.exit(1);
+}
+
+if (!process.env.STRIPE_WEBHOOK_SECRET) {
+  console.error('STRIPE_WEBHOOK_SECRET must be set (use the same value as the server)');
+  process.exit(1);
+}
+
+const payload = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8')
+  .replaceAll('{{USER_ID}}', userId);
+
+const signature = Stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET
+});
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Stripe-Signature': signature
+  },
+  body: payload
+});
+
+console.log(`${response.status} ${await response.text()}`);
+process.exit(response.ok ? 0 : 1);
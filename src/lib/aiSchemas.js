@@ -0,0 +1,144 @@
+// JSON schemas for every structured AI response. They double as documentation of the
+// shapes the /api/ai routes return, and are sent to providers that support schema-guided output.
+// Only the subset of JSON Schema understood by structuredOutput.js is used.
+
+const PRIORITY = { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'], default: 'MEDIUM' };
+const CATEGORY = { type: 'string', maxLength: 50, default: 'other' };
+
+/**
+ * A single generated task
+ * { title, description, priority: HIGH|MEDIUM|LOW, estimatedTime: minutes, category? }
+ */
+export const TASK_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', default: '' },
+    priority: PRIORITY,
+    estimatedTime: { type: 'integer', minimum: 1, maximum: 1440, default: 60 },
+    category: CATEGORY
+  },
+  required: ['title']
+};
+
+/**
+ * A generated goal
+ * { title, description, priority: HIGH|MEDIUM|LOW, category }
+ */
+export const GOAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', default: '' },
+    priority: PRIORITY,
+    category: CATEGORY
+  },
+  required: ['title']
+};
+
+/**
+ * { tasks: [Task] } - used by suggest-tasks and transform-thought
+ */
+export const TASK_LIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    tasks: { type: 'array', items: TASK_SCHEMA, minItems: 1, maxItems: 10 }
+  },
+  required: ['tasks']
+};
+
+/**
+ * { goal: Goal, tasks: [Task] } - used by the transform-thought-to-goal routes
+ */
+export const GOAL_WITH_TASKS_SCHEMA = {
+  type: 'object',
+  properties: {
+    goal: GOAL_SCHEMA,
+    tasks: { type: 'array', items: TASK_SCHEMA, minItems: 1, maxItems: 10 }
+  },
+  required: ['goal', 'tasks']
+};
+
+/**
+ * Schedule produced by optimize-schedule; times are minutes relative to the start of the day plan
+ * { scheduledTasks: [{ taskId, title, startTime, duration, reason }], unscheduledTasks: [taskId],
+ *   totalScheduledTime, recommendations: [string] }
+ */
+export const SCHEDULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    scheduledTasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          taskId: { type: 'string', minLength: 1 },
+          title: { type: 'string', default: '' },
+          startTime: { type: 'integer', minimum: 0 },
+          duration: { type: 'integer', minimum: 1, default: 30 },
+          reason: { type: 'string', default: '' }
+        },
+        required: ['taskId', 'startTime']
+      },
+      default: []
+    },
+    unscheduledTasks: { type: 'array', items: { type: 'string' }, default: [] },
+    totalScheduledTime: { type: 'integer', minimum: 0, default: 0 },
+    recommendations: { type: 'array', items: { type: 'string' }, default: [] }
+  },
+  required: ['scheduledTasks']
+};
+
+/**
+ * Productivity analysis narrative
+ * { insights, recommendations, strengths, areasForImprovement } - all string arrays
+ */
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    insights: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    recommendations: { type: 'array', items: { type: 'string' }, default: [] },
+    strengths: { type: 'array', items: { type: 'string' }, default: [] },
+    areasForImprovement: { type: 'array', items: { type: 'string' }, default: [] }
+  },
+  required: ['insights']
+};
+
+/**
+ * Narrated weekly review
+ * { headline, summary, wins: [string], lessons: [string], focusNextWeek: [string] }
+ */
+export const REVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    headline: { type: 'string', minLength: 1, maxLength: 120 },
+    summary: { type: 'string', minLength: 1 },
+    wins: { type: 'array', items: { type: 'string' }, default: [] },
+    lessons: { type: 'array', items: { type: 'string' }, default: [] },
+    focusNextWeek: { type: 'array', items: { type: 'string' }, default: [] }
+  },
+  required: ['headline', 'summary']
+};
+
+/**
+ * Category and tags per classified item, matched to the request by index
+ * { items: [{ index, category, tags: [string] }] }
+ */
+export const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          category: CATEGORY,
+          tags: { type: 'array', items: { type: 'string', maxLength: 50 }, default: [] }
+        },
+        required: ['index']
+      }
+    }
+  },
+  required: ['items']
+};
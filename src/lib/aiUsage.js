@@ -0,0 +1,130 @@
+import prisma from './prisma.js';
+import { getEntitlements } from './entitlements.js';
+
+// AI usage metering: every LLM call is logged with its token counts and an estimated cost,
+// and the plan's daily/monthly call quotas (see entitlements.js) are enforced from that log.
+// Windows are UTC days and UTC calendar months.
+
+// USD per 1M tokens [prompt, completion]; unknown models (local servers, replay) cost nothing
+const MODEL_PRICING = {
+  'gpt-4-turbo-preview': [10, 30],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'text-embedding-3-small': [0.02, 0],
+  'text-embedding-3-large': [0.13, 0],
+  'text-embedding-ada-002': [0.1, 0]
+};
+
+// Embedding calls (semantic search, duplicate checks) are logged for their cost but don't count
+// as AI calls against the quota; they ride along with searches and generations
+export const EMBEDDING_ENDPOINTS = ['embeddings', 'search', 'duplicate-check'];
+
+/**
+ * Estimate the cost of a call in USD
+ * @param {string} model
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number}
+ */
+export const estimateCost = (model, { promptTokens = 0, completionTokens = 0 }) => {
+  // Dated snapshots (gpt-4o-2024-08-06) are priced like their base model
+  const key = Object.keys(MODEL_PRICING)
+    .sort((a, b) => b.length - a.length)
+    .find(name => model === name || model?.startsWith(`${name}-`));
+  if (!key) {
+    return 0;
+  }
+
+  const [promptPrice, completionPrice] = MODEL_PRICING[key];
+  return (promptTokens * promptPrice + completionTokens * completionPrice) / 1_000_000;
+};
+
+/**
+ * Log one LLM call
+ * @param {Object} call - { userId, endpoint, provider, model, usage: { promptTokens, completionTokens } }
+ * @returns {Object} The AiUsage record
+ */
+export const recordUsage = ({ userId, endpoint, provider, model, usage }) => prisma.aiUsage.create({
+  data: {
+    userId,
+    endpoint,
+    provider,
+    model,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    cost: estimateCost(model, usage)
+  }
+});
+
+/**
+ * Start and end of the current daily and monthly quota windows
+ * @param {Date} now
+ * @returns {Object} { daily: { start, end }, monthly: { start, end } }
+ */
+export const quotaWindows = (now = new Date()) => {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  return {
+    daily: { start: dayStart, end: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
+    monthly: { start: monthStart, end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) }
+  };
+};
+
+/**
+ * Current usage against the user's quotas
+ * @param {string} userId
+ * @param {Date} now
+ * @returns {Object} { tier, daily, monthly } with { used, limit, remaining, resetsAt } per window
+ */
+export const getQuotaStatus = async (userId, now = new Date()) => {
+  const windows = quotaWindows(now);
+  const [{ plan, limits }, dailyUsed, monthlyUsed] = await Promise.all([
+    getEntitlements(userId),
+    prisma.aiUsage.count({
+      where: { userId, endpoint: { notIn: EMBEDDING_ENDPOINTS }, createdAt: { gte: windows.daily.start } }
+    }),
+    prisma.aiUsage.count({
+      where: { userId, endpoint: { notIn: EMBEDDING_ENDPOINTS }, createdAt: { gte: windows.monthly.start } }
+    })
+  ]);
+
+  const window = (used, limit, end) => ({
+    used,
+    limit,
+    remaining: Math.max(0, limit - used),
+    resetsAt: end
+  });
+
+  return {
+    tier: plan,
+    daily: window(dailyUsed, limits.aiCallsPerDay, windows.daily.end),
+    monthly: window(monthlyUsed, limits.aiCallsPerMonth, windows.monthly.end)
+  };
+};
+
+/**
+ * Check whether the user may make another AI call
+ * @param {string} userId
+ * @param {Date} now
+ * @returns {Object} { allowed, status, exceeded?: 'daily'|'monthly', retryAfter?: seconds }
+ */
+export const checkQuota = async (userId, now = new Date()) => {
+  const status = await getQuotaStatus(userId, now);
+
+  // The monthly window wins when both are exhausted - it resets later
+  const exceeded = ['monthly', 'daily'].find(name => status[name].remaining <= 0);
+  if (!exceeded) {
+    return { allowed: true, status };
+  }
+
+  return {
+    allowed: false,
+    status,
+    exceeded,
+    retryAfter: Math.max(1, Math.ceil((status[exceeded].resetsAt - now) / 1000))
+  };
+};
@@ -0,0 +1,281 @@
+import prisma from './prisma.js';
+import { resolveTimeZone } from './plans.js';
+import { isValidTimeZone, isValidDateString, localDateString, zonedTimeToUtc, addDays, weekStart } from './timezone.js';
+
+// Deterministic productivity metrics for /api/analytics and the AI productivity analysis.
+//
+// A range is an inclusive span of local dates in the user's timezone. Tasks count as created
+// or completed in the range by their createdAt/completedAt, bucketed by local date.
+
+export const DEFAULT_RANGE_DAYS = 30;
+export const MAX_RANGE_DAYS = 366;
+export const INTERVALS = ['day', 'week'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const taskSelect = {
+  id: true,
+  priority: true,
+  completed: true,
+  completedAt: true,
+  createdAt: true,
+  dueDate: true,
+  estimatedTime: true,
+  actualTime: true,
+  goal: { select: { category: true } }
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values
+ * @returns {number|null} null for an empty list
+ */
+export const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const percentage = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Resolve the range of an analytics request
+ * @param {string} userId
+ * @param {Object} query - { from?, to? ('YYYY-MM-DD', inclusive), timezone? }
+ * @param {Object} options - { days: length of the range when from is omitted (default DEFAULT_RANGE_DAYS) }
+ *   The range ends today in the user's timezone when to is omitted.
+ * @returns {Object} { range: { from, to, timeZone, start, end } } or { error };
+ *   start and end are the UTC instants the range begins and ends at
+ */
+export const resolveAnalyticsRange = async (userId, { from, to, timezone } = {}, { days = DEFAULT_RANGE_DAYS } = {}) => {
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return { error: 'timezone must be an IANA timezone, e.g. Europe/Berlin' };
+  }
+  if ((from !== undefined && !isValidDateString(from)) || (to !== undefined && !isValidDateString(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+
+  const timeZone = await resolveTimeZone(userId, timezone);
+  const rangeTo = to || localDateString(new Date(), timeZone);
+  const rangeFrom = from || addDays(rangeTo, -(days - 1));
+
+  const span = daysBetween(rangeFrom, rangeTo) + 1;
+  if (span < 1) {
+    return { error: 'from must not be after to' };
+  }
+  if (span > MAX_RANGE_DAYS) {
+    return { error: `The range can span at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return {
+    range: {
+      from: rangeFrom,
+      to: rangeTo,
+      timeZone,
+      start: zonedTimeToUtc(rangeFrom, 0, timeZone),
+      end: zonedTimeToUtc(addDays(rangeTo, 1), 0, timeZone)
+    }
+  };
+};
+
+/**
+ * Load what the metrics are computed from
+ * @param {string} userId
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Object} { range, created, completed, completionDates, openOverdue, goalsCreated }
+ */
+export const loadAnalyticsData = async (userId, range) => {
+  const inRange = { gte: range.start, lt: range.end };
+  const overdueBefore = new Date(Math.min(Date.now(), range.end.getTime()));
+
+  const [created, completed, completions, openOverdue, goalsCreated] = await Promise.all([
+    prisma.task.findMany({ where: { userId, createdAt: inRange }, select: taskSelect }),
+    prisma.task.findMany({ where: { userId, completed: true, completedAt: inRange }, select: taskSelect }),
+    // Streaks run up to the end of the range and may start long before it
+    prisma.task.findMany({
+      where: { userId, completed: true, completedAt: { lt: range.end } },
+      select: { completedAt: true }
+    }),
+    prisma.task.count({ where: { userId, completed: false, dueDate: { lt: overdueBefore } } }),
+    prisma.goal.count({ where: { userId, createdAt: inRange } })
+  ]);
+
+  return {
+    range,
+    created,
+    completed,
+    completionDates: new Set(completions.map(task => localDateString(task.completedAt, range.timeZone))),
+    openOverdue,
+    goalsCreated
+  };
+};
+
+const summary = ({ created, completed, goalsCreated }) => {
+  const createdAndCompleted = created.filter(task => task.completed).length;
+  return {
+    tasksCreated: created.length,
+    tasksCompleted: completed.length,
+    // Share of the tasks created in the range that are completed by now
+    completionRate: percentage(createdAndCompleted, created.length),
+    goalsCreated
+  };
+};
+
+// current counts back from the end of the range; a day without completions yet doesn't break it
+const streaks = ({ range, completionDates }) => {
+  let current = 0;
+  let day = completionDates.has(range.to) ? range.to : addDays(range.to, -1);
+  while (completionDates.has(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let activeDays = 0;
+  for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+    if (completionDates.has(date)) {
+      activeDays++;
+      run++;
+      longest = Math.max(longest, run);
+    } else {
+      run = 0;
+    }
+  }
+
+  return { current, longest, activeDays };
+};
+
+const series = ({ range, created, completed }, { interval = 'day' } = {}) => {
+  const bucketOf = interval === 'week' ? weekStart : (date) => date;
+  const step = interval === 'week' ? 7 : 1;
+
+  const points = new Map();
+  for (let date = bucketOf(range.from); date <= range.to; date = addDays(date, step)) {
+    points.set(date, { date, created: 0, completed: 0 });
+  }
+
+  for (const task of created) {
+    points.get(bucketOf(localDateString(task.createdAt, range.timeZone))).created++;
+  }
+  for (const task of completed) {
+    points.get(bucketOf(localDateString(task.completedAt, range.timeZone))).completed++;
+  }
+
+  return { interval, points: [...points.values()] };
+};
+
+// Per group: created in the range, how many of those are completed, and completions in the range
+const breakdown = ({ created, completed }, keyOf) => {
+  const groups = {};
+  const group = (key) => (groups[key] ||= { created: 0, completed: 0, completionRate: 0, completedInRange: 0 });
+
+  for (const task of created) {
+    const entry = group(keyOf(task));
+    entry.created++;
+    if (task.completed) {
+      entry.completed++;
+    }
+  }
+  for (const task of completed) {
+    group(keyOf(task)).completedInRange++;
+  }
+
+  for (const entry of Object.values(groups)) {
+    entry.completionRate = percentage(entry.completed, entry.created);
+  }
+  return groups;
+};
+
+const categoryOf = (task) => task.goal?.category || 'Uncategorized';
+
+const overdue = ({ completed, openOverdue }) => {
+  const due = completed.filter(task => task.dueDate);
+  const late = due.filter(task => task.completedAt > task.dueDate).length;
+  return {
+    open: openOverdue,
+    completedLate: late,
+    completedOnTime: due.length - late,
+    onTimeRate: percentage(due.length - late, due.length)
+  };
+};
+
+const timeToComplete = ({ completed }) => {
+  const minutes = completed.map(task => (task.completedAt - task.createdAt) / 60000);
+  const middle = median(minutes);
+  return {
+    samples: minutes.length,
+    medianMinutes: middle === null ? null : Math.round(middle)
+  };
+};
+
+// accuracy: 100 means estimates matched reality; ratio > 1 means tasks took longer than estimated
+const accuracyOf = ({ estimatedTime, actualTime }) => ({
+  accuracy: Math.round((Math.min(estimatedTime, actualTime) / Math.max(estimatedTime, actualTime)) * 100),
+  ratio: round(actualTime / estimatedTime)
+});
+
+const estimateAccuracy = ({ completed }) => {
+  const tracked = completed.filter(task => task.estimatedTime > 0 && task.actualTime > 0);
+
+  const totals = (tasks) => ({
+    trackedTasks: tasks.length,
+    estimatedTime: tasks.reduce((sum, task) => sum + task.estimatedTime, 0),
+    actualTime: tasks.reduce((sum, task) => sum + task.actualTime, 0)
+  });
+
+  const byCategory = {};
+  for (const task of tracked) {
+    (byCategory[categoryOf(task)] ||= []).push(task);
+  }
+
+  const medianRatio = median(tracked.map(task => task.actualTime / task.estimatedTime));
+  return {
+    ...totals(tracked),
+    ...(tracked.length > 0 ? accuracyOf(totals(tracked)) : { accuracy: null, ratio: null }),
+    medianRatio: medianRatio === null ? null : round(medianRatio),
+    byCategory: Object.fromEntries(Object.entries(byCategory).map(([category, tasks]) => {
+      const categoryTotals = totals(tasks);
+      return [category, { ...categoryTotals, ...accuracyOf(categoryTotals) }];
+    }))
+  };
+};
+
+/**
+ * Metrics by name. Each takes the loaded data and { interval } and returns its section.
+ */
+export const METRICS = {
+  summary,
+  streaks,
+  series,
+  byPriority: (data) => breakdown(data, task => task.priority),
+  byCategory: (data) => breakdown(data, categoryOf),
+  overdue,
+  timeToComplete,
+  estimateAccuracy
+};
+
+export const METRIC_NAMES = Object.keys(METRICS);
+
+/**
+ * Compute metrics over a range
+ * @param {string} userId
+ * @param {Object} range - From resolveAnalyticsRange
+ * @param {Object} options - { metrics: names (default all), interval: 'day' | 'week' for the series }
+ * @returns {Object} { range: { from, to, timezone }, ...one section per metric }
+ */
+export const computeAnalytics = async (userId, range, { metrics = METRIC_NAMES, interval } = {}) => {
+  const data = await loadAnalyticsData(userId, range);
+
+  return {
+    range: { from: range.from, to: range.to, timezone: range.timeZone },
+    ...Object.fromEntries(metrics.map(name => [name, METRICS[name](data, { interval })]))
+  };
+};
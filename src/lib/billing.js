@@ -0,0 +1,281 @@
+import prisma from './prisma.js';
+
+// Applies Stripe webhook events to the Subscription model. Everything needed is read from
+// the event payload itself, so events can be replayed from fixtures without the Stripe API.
+//
+// Processing is idempotent: every event is logged in WebhookEvent by its Stripe id, so
+// redeliveries are acknowledged without being applied twice. Stripe doesn't guarantee
+// delivery order, so each subscription remembers the timestamp of the newest event applied
+// (stripeEventAt) and older events are skipped.
+
+// A PROCESSING entry older than this is assumed to have crashed and may be retried
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const STATUS_MAP = {
+  active: 'ACTIVE',
+  trialing: 'TRIALING',
+  incomplete: 'INCOMPLETE',
+  incomplete_expired: 'CANCELLED',
+  past_due: 'PAST_DUE',
+  canceled: 'CANCELLED',
+  unpaid: 'UNPAID',
+  paused: 'UNPAID'
+};
+
+/**
+ * Map a Stripe subscription status onto SubscriptionStatus
+ * @param {string} stripeStatus
+ * @returns {string}
+ */
+export const mapStripeStatus = (stripeStatus) => STATUS_MAP[stripeStatus] || 'UNPAID';
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+const objectId = (value) => (typeof value === 'string' ? value : value?.id);
+
+const isUniqueViolation = (error) => error?.code === 'P2002';
+
+// Our user for a Stripe object: metadata set at checkout, else the customer we already know
+const resolveUserId = async (object) => {
+  const userId = object.metadata?.userId || object.client_reference_id;
+  if (userId) {
+    return userId;
+  }
+
+  const existing = await prisma.subscription.findUnique({
+    where: { stripeCustomerId: objectId(object.customer) },
+    select: { userId: true }
+  });
+  return existing?.userId || null;
+};
+
+/**
+ * Apply subscription state from an event unless a newer event was applied already.
+ * Creates the row when the user has none yet (createData must then include the required fields).
+ * @param {string} userId
+ * @param {Object} data - Fields to update
+ * @param {Date} eventAt - When the event happened
+ * @param {Object} createData - Extra fields used only when creating
+ * @returns {string} 'processed' | 'skipped'
+ */
+const applySubscriptionState = async (userId, data, eventAt, createData = {}) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { count } = await prisma.subscription.updateMany({
+      where: {
+        userId,
+        OR: [{ stripeEventAt: null }, { stripeEventAt: { lte: eventAt } }]
+      },
+      data: { ...data, stripeEventAt: eventAt }
+    });
+    if (count > 0) {
+      return 'processed';
+    }
+
+    const existing = await prisma.subscription.findUnique({
+      where: { userId },
+      select: { id: true }
+    });
+    if (existing) {
+      console.log(`Skipping out-of-order Stripe event for user ${userId}`);
+      return 'skipped';
+    }
+
+    try {
+      await prisma.subscription.create({
+        data: { userId, ...createData, ...data, stripeEventAt: eventAt }
+      });
+      return 'processed';
+    } catch (error) {
+      // Another event created the row concurrently - go round again and update it
+      if (!isUniqueViolation(error)) {
+        throw error;
+      }
+    }
+  }
+  return 'skipped';
+};
+
+/**
+ * Store the state of a Stripe subscription object
+ * @param {Object} subscription - Stripe subscription
+ * @param {Object} options - { deleted, eventAt }
+ * @returns {string} 'processed' | 'skipped'
+ */
+export const syncSubscription = async (subscription, { deleted = false, eventAt = new Date() } = {}) => {
+  const userId = await resolveUserId(subscription);
+  if (!userId) {
+    console.warn('Stripe subscription for an unknown user:', subscription.id);
+    return 'skipped';
+  }
+
+  return applySubscriptionState(userId, {
+    stripeCustomerId: objectId(subscription.customer),
+    stripeSubscriptionId: deleted ? null : subscription.id,
+    stripePriceId: subscription.items?.data?.[0]?.price?.id || null,
+    status: deleted ? 'CANCELLED' : mapStripeStatus(subscription.status),
+    currentPeriodEnd: fromUnix(subscription.current_period_end),
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end)
+  }, eventAt);
+};
+
+const handleCheckoutCompleted = async (session, eventAt) => {
+  if (session.mode !== 'subscription') {
+    return 'skipped';
+  }
+
+  const userId = await resolveUserId(session);
+  if (!userId) {
+    console.warn('Checkout session for an unknown user:', session.id);
+    return 'skipped';
+  }
+
+  // The customer.subscription.* events carry the full details; this only links the ids
+  const paid = ['paid', 'no_payment_required'].includes(session.payment_status);
+  return applySubscriptionState(userId, {
+    stripeCustomerId: objectId(session.customer),
+    stripeSubscriptionId: objectId(session.subscription),
+    ...(paid && { status: 'ACTIVE' })
+  }, eventAt, { status: 'INCOMPLETE' });
+};
+
+const handleInvoice = async (invoice, status, eventAt) => {
+  const subscriptionId = objectId(invoice.subscription);
+  if (!subscriptionId) {
+    return 'skipped';
+  }
+
+  const subscription = await prisma.subscription.findUnique({
+    where: { stripeSubscriptionId: subscriptionId },
+    select: { userId: true }
+  });
+  if (!subscription) {
+    console.warn('Invoice for an unknown subscription:', subscriptionId);
+    return 'skipped';
+  }
+
+  const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+  return applySubscriptionState(subscription.userId, {
+    status,
+    ...(status === 'ACTIVE' && periodEnd && { currentPeriodEnd: fromUnix(periodEnd) })
+  }, eventAt);
+};
+
+/**
+ * Apply a verified Stripe event
+ * @param {Object} event - Stripe event
+ * @returns {string} 'processed', or 'skipped' for unknown users, stale and unhandled events
+ */
+export const handleStripeEvent = async (event) => {
+  const object = event.data.object;
+  const eventAt = fromUnix(event.created) || new Date();
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return handleCheckoutCompleted(object, eventAt);
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+      return syncSubscription(object, { eventAt });
+
+    case 'customer.subscription.deleted':
+      return syncSubscription(object, { deleted: true, eventAt });
+
+    case 'invoice.paid':
+    case 'invoice.payment_succeeded':
+      return handleInvoice(object, 'ACTIVE', eventAt);
+
+    case 'invoice.payment_failed':
+      return handleInvoice(object, 'PAST_DUE', eventAt);
+
+    default:
+      console.log(`Unhandled Stripe event type: ${event.type}`);
+      return 'skipped';
+  }
+};
+
+// Claim an event for processing; returns null when it was handled (or is being handled) already
+const claimWebhookEvent = async (event, { force }) => {
+  try {
+    return await prisma.webhookEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+        eventCreatedAt: fromUnix(event.created) || new Date(),
+        payload: event
+      }
+    });
+  } catch (error) {
+    if (!isUniqueViolation(error)) {
+      throw error;
+    }
+  }
+
+  // Seen before: only retry failures, crashed attempts, or when forced by an admin replay
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: {
+      id: event.id,
+      ...(!force && {
+        OR: [
+          { status: 'FAILED' },
+          { status: 'PROCESSING', updatedAt: { lt: staleBefore } }
+        ]
+      })
+    },
+    data: {
+      status: 'PROCESSING',
+      attempts: { increment: 1 }
+    }
+  });
+
+  return count > 0 ? prisma.webhookEvent.findUnique({ where: { id: event.id } }) : null;
+};
+
+/**
+ * Process a Stripe event exactly once, recording the outcome in WebhookEvent.
+ * Failures are recorded and rethrown so Stripe retries the delivery.
+ * @param {Object} event - Verified Stripe event
+ * @param {Object} options - { force } re-applies an event that was already processed
+ * @returns {Object} { status, duplicate }
+ */
+export const processWebhookEvent = async (event, { force = false } = {}) => {
+  const logEntry = await claimWebhookEvent(event, { force });
+  if (!logEntry) {
+    const existing = await prisma.webhookEvent.findUnique({
+      where: { id: event.id },
+      select: { status: true }
+    });
+    return { status: existing?.status, duplicate: true };
+  }
+
+  try {
+    const outcome = await handleStripeEvent(event);
+    const status = outcome === 'processed' ? 'PROCESSED' : 'SKIPPED';
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status, lastError: null, processedAt: new Date() }
+    });
+    return { status, duplicate: false };
+  } catch (error) {
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'FAILED', lastError: String(error.message).slice(0, 1000) }
+    });
+    throw error;
+  }
+};
+
+/**
+ * Re-run a logged event from its stored payload
+ * @param {string} eventId
+ * @param {Object} options - { force } also replays events that did not fail
+ * @returns {Object|null} { status, duplicate }, or null when the event is unknown
+ */
+export const replayWebhookEvent = async (eventId, { force = false } = {}) => {
+  const logEntry = await prisma.webhookEvent.findUnique({ where: { id: eventId } });
+  if (!logEntry) {
+    return null;
+  }
+  return processWebhookEvent(logEntry.payload, { force });
+};
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { zonedTimeToUtc } from './timezone.js';
+
+/**
+ * Generate a secret token for a user's calendar feed URL
+ * @returns {string}
+ */
+export const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Load imported busy events for a local day as minute offsets from the day start
+ * @param {string} userId
+ * @param {string} date - Local date 'YYYY-MM-DD'
+ * @param {string} timeZone
+ * @param {number} dayStart - Minutes from local midnight the schedule starts at
+ * @returns {Array} [{ start, end, summary }] sorted by start
+ */
+export const getBusyIntervals = async (userId, date, timeZone, dayStart) => {
+  const dayBegin = zonedTimeToUtc(date, dayStart, timeZone);
+  const dayEnd = zonedTimeToUtc(date, 24 * 60, timeZone);
+
+  const events = await prisma.busyEvent.findMany({
+    where: {
+      userId,
+      startTime: { lt: dayEnd },
+      endTime: { gt: dayBegin }
+    },
+    orderBy: { startTime: 'asc' }
+  });
+
+  return events.map(event => ({
+    start: Math.max(0, Math.round((event.startTime - dayBegin) / 60000)),
+    end: Math.round((Math.min(event.endTime, dayEnd) - dayBegin) / 60000),
+    summary: event.summary
+  }));
+};
+
+/**
+ * Shift scheduled tasks (relative minutes) so none of them overlaps a busy interval.
+ * Tasks keep their order; a task that collides is moved to the end of the busy period
+ * and later tasks are pushed back as needed.
+ * @param {Array} scheduledTasks - [{ startTime, duration, ... }]
+ * @param {Array} busy - Result of getBusyIntervals
+ * @returns {Array} Adjusted copies of the scheduled tasks
+ */
+export const avoidBusyPeriods = (scheduledTasks, busy) => {
+  if (busy.length === 0) {
+    return scheduledTasks;
+  }
+
+  const ordered = [...scheduledTasks].sort((a, b) => Number(a.startTime) - Number(b.startTime));
+  let cursor = 0;
+
+  return ordered.map(entry => {
+    const duration = Number(entry.duration) || 30;
+    let start = Math.max(Number(entry.startTime) || 0, cursor);
+
+    // Keep jumping past busy periods until the task fits in a gap
+    let moved = true;
+    while (moved) {
+      moved = false;
+      for (const interval of busy) {
+        if (start < interval.end && start + duration > interval.start) {
+          start = interval.end;
+          moved = true;
+        }
+      }
+    }
+
+    cursor = start + duration;
+    return { ...entry, startTime: start, duration };
+  });
+};
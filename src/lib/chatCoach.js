@@ -0,0 +1,521 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { stream } from './llm.js';
+import { syncGoalCompletion } from './goalLifecycle.js';
+import { createTask, updateTask, failure } from './taskMutations.js';
+import { createGoal, updateGoal } from './goalMutations.js';
+import { personalize } from './userProfile.js';
+
+// Chat coach behind /api/ai/chat.
+//
+// Each user message starts a loop: the model answers with text and/or tool calls, the tools run
+// and their results are fed back until the model answers without calling tools (at most
+// MAX_TOOL_ROUNDS rounds). Tools that change data go through lib/taskMutations.js and
+// lib/goalMutations.js, so they are validated exactly like the REST routes. Every call is
+// stored as a ChatToolCall with an undo snapshot, which revertToolCall() applies.
+
+const MAX_TOOL_ROUNDS = 5;
+const HISTORY_LIMIT = 40;
+const CONTEXT_TASK_LIMIT = 30;
+const LIST_LIMIT = 50;
+
+const PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Task fields a tool may set, and the ones restored when a task change is reverted
+const TASK_TOOL_FIELDS = ['title', 'description', 'goalId', 'priority', 'estimatedTime', 'dueDate', 'parentId'];
+const TASK_RESTORE_FIELDS = [
+  'title', 'description', 'goalId', 'priority', 'estimatedTime',
+  'completed', 'completedAt', 'dueDate', 'parentId', 'recurrence'
+];
+
+const GOAL_TOOL_FIELDS = ['title', 'description', 'deadline', 'priority', 'category', 'status'];
+const GOAL_RESTORE_FIELDS = [
+  'title', 'description', 'deadline', 'priority', 'category', 'status', 'completedAt', 'autoCompleted'
+];
+
+const pick = (object, fields) => Object.fromEntries(
+  fields.filter(field => object[field] !== undefined).map(field => [field, object[field]])
+);
+
+const isInvalidDate = (value) => value !== undefined && value !== null && isNaN(new Date(value).getTime());
+
+// Models send plain dates ("2025-03-14"), which Prisma only takes as Date objects
+const taskInput = (args) => {
+  const input = pick(args, TASK_TOOL_FIELDS);
+  if (input.dueDate) {
+    input.dueDate = new Date(input.dueDate);
+  }
+  return input;
+};
+
+const summarizeTask = (task) => ({
+  id: task.id,
+  title: task.title,
+  priority: task.priority,
+  completed: task.completed,
+  dueDate: task.dueDate,
+  estimatedTime: task.estimatedTime,
+  goalId: task.goalId
+});
+
+const summarizeGoal = (goal) => ({
+  id: goal.id,
+  title: goal.title,
+  status: goal.status,
+  priority: goal.priority,
+  category: goal.category,
+  deadline: goal.deadline
+});
+
+const taskProperties = {
+  title: { type: 'string' },
+  description: { type: 'string' },
+  priority: { type: 'string', enum: PRIORITIES },
+  estimatedTime: { type: 'integer', description: 'Minutes' },
+  dueDate: { type: 'string', description: 'ISO 8601 date or date-time' },
+  goalId: { type: 'string', description: 'Goal the task belongs to' },
+  parentId: { type: 'string', description: 'Parent task when this is a subtask' }
+};
+
+const goalProperties = {
+  title: { type: 'string' },
+  description: { type: 'string' },
+  priority: { type: 'string', enum: PRIORITIES },
+  category: { type: 'string' },
+  deadline: { type: 'string', description: 'ISO 8601 date' }
+};
+
+const objectSchema = (properties, required = []) => ({ type: 'object', properties, required });
+
+// Task changes keep the previous values, and the occurrence a completed recurring task spawned
+const taskChange = ({ task, previous, nextOccurrence }) => ({
+  result: { task: summarizeTask(task), ...(nextOccurrence && { nextOccurrence: summarizeTask(nextOccurrence) }) },
+  undo: {
+    action: 'restoreTask',
+    taskId: task.id,
+    fields: pick(previous, TASK_RESTORE_FIELDS),
+    nextOccurrenceId: nextOccurrence?.id || null
+  }
+});
+
+/**
+ * Tools the model can call. run(userId, args) returns { result, undo? } or a failure;
+ * undo is null for read-only tools.
+ */
+const TOOLS = {
+  list_goals: {
+    description: 'List the user\'s goals, optionally by status.',
+    parameters: objectSchema({
+      status: { type: 'string', enum: ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED'] }
+    }),
+    run: async (userId, { status }) => {
+      const goals = await prisma.goal.findMany({
+        where: { userId, ...(status && { status }) },
+        orderBy: { createdAt: 'desc' },
+        take: LIST_LIMIT
+      });
+      return { result: { goals: goals.map(summarizeGoal) } };
+    }
+  },
+
+  list_tasks: {
+    description: 'List the user\'s tasks. Open tasks by default, ordered by due date.',
+    parameters: objectSchema({
+      completed: { type: 'boolean' },
+      goalId: { type: 'string' },
+      dueBefore: { type: 'string', description: 'ISO 8601 date' }
+    }),
+    run: async (userId, { completed = false, goalId, dueBefore }) => {
+      if (isInvalidDate(dueBefore)) {
+        return failure(400, 'dueBefore must be a valid date');
+      }
+      const tasks = await prisma.task.findMany({
+        where: {
+          userId,
+          completed: Boolean(completed),
+          ...(goalId && { goalId }),
+          ...(dueBefore && { dueDate: { lte: new Date(dueBefore) } })
+        },
+        orderBy: [{ dueDate: 'asc' }, { createdAt: 'desc' }],
+        take: LIST_LIMIT
+      });
+      return { result: { tasks: tasks.map(summarizeTask) } };
+    }
+  },
+
+  list_ideas: {
+    description: 'List the user\'s most recent ideas.',
+    parameters: objectSchema({}),
+    run: async (userId) => {
+      const ideas = await prisma.idea.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        take: LIST_LIMIT
+      });
+      return {
+        result: {
+          ideas: ideas.map(idea => ({ id: idea.id, title: idea.title, tags: idea.tags, expanded: idea.expanded }))
+        }
+      };
+    }
+  },
+
+  create_task: {
+    description: 'Create a task.',
+    parameters: objectSchema(taskProperties, ['title']),
+    run: async (userId, args) => {
+      if (isInvalidDate(args.dueDate)) {
+        return failure(400, 'Due date must be a valid date');
+      }
+      const created = await createTask(userId, { ...taskInput(args), aiGenerated: true });
+      if (created.error) {
+        return created;
+      }
+      return {
+        result: { task: summarizeTask(created.task) },
+        undo: { action: 'deleteTask', taskId: created.task.id }
+      };
+    }
+  },
+
+  update_task: {
+    description: 'Change the title, description, priority, estimate, due date, goal or parent of a task.',
+    parameters: objectSchema({ taskId: { type: 'string' }, ...taskProperties }, ['taskId']),
+    run: async (userId, args) => {
+      if (isInvalidDate(args.dueDate)) {
+        return failure(400, 'Due date must be a valid date');
+      }
+      const updated = await updateTask(userId, args.taskId, taskInput(args));
+      return updated.error ? updated : taskChange(updated);
+    }
+  },
+
+  complete_task: {
+    description: 'Mark a task as completed. Tasks with open subtasks can\'t be completed.',
+    parameters: objectSchema({ taskId: { type: 'string' } }, ['taskId']),
+    run: async (userId, { taskId }) => {
+      const updated = await updateTask(userId, taskId, { completed: true });
+      return updated.error ? updated : taskChange(updated);
+    }
+  },
+
+  reschedule_task: {
+    description: 'Move a task to a new due date.',
+    parameters: objectSchema({
+      taskId: { type: 'string' },
+      dueDate: taskProperties.dueDate
+    }, ['taskId', 'dueDate']),
+    run: async (userId, { taskId, dueDate }) => {
+      if (!dueDate || isInvalidDate(dueDate)) {
+        return failure(400, 'Due date must be a valid date');
+      }
+      const updated = await updateTask(userId, taskId, { dueDate: new Date(dueDate) });
+      return updated.error ? updated : taskChange(updated);
+    }
+  },
+
+  create_goal: {
+    description: 'Create a goal.',
+    parameters: objectSchema(goalProperties, ['title']),
+    run: async (userId, args) => {
+      const created = await createGoal(userId, pick(args, GOAL_TOOL_FIELDS));
+      if (created.error) {
+        return created;
+      }
+      return {
+        result: { goal: summarizeGoal(created.goal) },
+        undo: { action: 'deleteGoal', goalId: created.goal.id }
+      };
+    }
+  },
+
+  update_goal: {
+    description: 'Change a goal, including its status (ACTIVE, PAUSED, COMPLETED, CANCELLED) or deadline.',
+    parameters: objectSchema({
+      goalId: { type: 'string' },
+      ...goalProperties,
+      status: { type: 'string', enum: ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED'] }
+    }, ['goalId']),
+    run: async (userId, args) => {
+      const updated = await updateGoal(userId, args.goalId, pick(args, GOAL_TOOL_FIELDS));
+      if (updated.error) {
+        return updated;
+      }
+      return {
+        result: { goal: summarizeGoal(updated.goal) },
+        undo: { action: 'restoreGoal', goalId: updated.goal.id, fields: pick(updated.previous, GOAL_RESTORE_FIELDS) }
+      };
+    }
+  }
+};
+
+/**
+ * Tool definitions in the chat completions format
+ */
+export const CHAT_TOOLS = Object.entries(TOOLS).map(([name, tool]) => ({
+  type: 'function',
+  function: { name, description: tool.description, parameters: tool.parameters }
+}));
+
+const parseArguments = (text) => {
+  try {
+    const args = JSON.parse(text || '{}');
+    return args && typeof args === 'object' && !Array.isArray(args) ? args : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Run a tool call from the model and record it
+ * @param {string} userId
+ * @param {string} threadId
+ * @param {Object} call - { id, name, arguments: JSON string }
+ * @returns {Object} Stored ChatToolCall
+ */
+export const executeToolCall = async (userId, threadId, call) => {
+  const tool = Object.hasOwn(TOOLS, call.name) ? TOOLS[call.name] : null;
+  const args = parseArguments(call.arguments);
+
+  let outcome;
+  if (!tool) {
+    outcome = failure(400, `Unknown tool "${call.name}"`);
+  } else if (!args) {
+    outcome = failure(400, 'Arguments must be a JSON object');
+  } else {
+    try {
+      outcome = await tool.run(userId, args);
+    } catch (error) {
+      console.error(`Error running chat tool ${call.name}:`, error);
+      outcome = failure(500, 'The tool failed');
+    }
+  }
+
+  return prisma.chatToolCall.create({
+    data: {
+      threadId,
+      userId,
+      callId: call.id,
+      name: call.name,
+      arguments: args || {},
+      status: outcome.error ? 'FAILED' : 'APPLIED',
+      ...(outcome.error
+        ? { error: outcome.error, ...(outcome.details && { result: outcome.details }) }
+        : { result: outcome.result, ...(outcome.undo && { undo: outcome.undo }) })
+    }
+  });
+};
+
+const restoreTask = async (userId, { taskId, fields, nextOccurrenceId }) => {
+  const task = await prisma.task.findFirst({ where: { id: taskId, userId } });
+  if (!task) {
+    return failure(409, 'The task no longer exists');
+  }
+
+  // The spawned occurrence only goes away while it is untouched
+  if (nextOccurrenceId) {
+    await prisma.task.deleteMany({ where: { id: nextOccurrenceId, userId, completed: false } });
+  }
+
+  // Snapshots taken before actualTime became derived from time entries may still carry it
+  const restored = await prisma.task.update({
+    where: { id: taskId },
+    data: { ...pick(fields, TASK_RESTORE_FIELDS), recurrence: fields.recurrence ?? Prisma.DbNull }
+  });
+
+  await syncGoalCompletion(restored.goalId);
+  if (task.goalId !== restored.goalId) {
+    await syncGoalCompletion(task.goalId);
+  }
+  return { task: restored };
+};
+
+const UNDO_ACTIONS = {
+  deleteTask: async (userId, { taskId }) => {
+    const task = await prisma.task.findFirst({ where: { id: taskId, userId } });
+    if (!task) {
+      return failure(409, 'The task no longer exists');
+    }
+    await prisma.task.delete({ where: { id: taskId } });
+    await syncGoalCompletion(task.goalId);
+    return {};
+  },
+
+  restoreTask,
+
+  deleteGoal: async (userId, { goalId }) => {
+    const { count } = await prisma.goal.deleteMany({ where: { id: goalId, userId } });
+    return count === 0 ? failure(409, 'The goal no longer exists') : {};
+  },
+
+  restoreGoal: async (userId, { goalId, fields }) => {
+    const { count } = await prisma.goal.updateMany({ where: { id: goalId, userId }, data: fields });
+    return count === 0 ? failure(409, 'The goal no longer exists') : {};
+  }
+};
+
+/**
+ * Revert an applied tool call. The call is claimed first, so it is reverted once.
+ * @param {string} userId
+ * @param {string} toolCallId
+ * @returns {Object} { toolCall } or a failure
+ */
+export const revertToolCall = async (userId, toolCallId) => {
+  const toolCall = await prisma.chatToolCall.findFirst({ where: { id: toolCallId, userId } });
+  if (!toolCall) {
+    return failure(404, 'Tool call not found');
+  }
+  if (!toolCall.undo) {
+    return failure(409, toolCall.status === 'APPLIED'
+      ? 'This tool call did not change anything'
+      : `Tool call is ${toolCall.status.toLowerCase()}`);
+  }
+
+  const { count } = await prisma.chatToolCall.updateMany({
+    where: { id: toolCall.id, status: 'APPLIED' },
+    data: { status: 'REVERTED', revertedAt: new Date() }
+  });
+  if (count === 0) {
+    return failure(409, 'Tool call is already reverted');
+  }
+
+  const reverted = await UNDO_ACTIONS[toolCall.undo.action](userId, toolCall.undo);
+  if (reverted.error) {
+    await prisma.chatToolCall.update({
+      where: { id: toolCall.id },
+      data: { status: 'APPLIED', revertedAt: null }
+    });
+    return reverted;
+  }
+
+  return { toolCall: await prisma.chatToolCall.findUnique({ where: { id: toolCall.id } }) };
+};
+
+const buildSystemPrompt = async (userId) => {
+  const [goals, tasks, ideas] = await Promise.all([
+    prisma.goal.findMany({
+      where: { userId, status: { in: ['ACTIVE', 'PAUSED'] } },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.task.findMany({
+      where: { userId, completed: false },
+      orderBy: [{ dueDate: 'asc' }, { createdAt: 'desc' }],
+      take: CONTEXT_TASK_LIMIT
+    }),
+    prisma.idea.findMany({
+      where: { userId, expanded: false },
+      orderBy: { createdAt: 'desc' },
+      take: 10
+    })
+  ]);
+
+  const goalLines = goals.map(goal => `- [${goal.id}] ${goal.title} (${goal.status}, ${goal.priority}${goal.deadline ? `, deadline ${goal.deadline.toISOString().slice(0, 10)}` : ''})`);
+  const taskLines = tasks.map(task => `- [${task.id}] ${task.title} (${task.priority}${task.dueDate ? `, due ${task.dueDate.toISOString().slice(0, 10)}` : ''}${task.goalId ? `, goal ${task.goalId}` : ''})`);
+  const ideaLines = ideas.map(idea => `- [${idea.id}] ${idea.title}`);
+
+  return `You are a friendly, practical productivity coach inside a goal and task app.
+Today is ${new Date().toISOString().slice(0, 10)}.
+
+The user's active goals:
+${goalLines.join('\n') || '- none'}
+
+Their open tasks (soonest due first, up to ${CONTEXT_TASK_LIMIT}):
+${taskLines.join('\n') || '- none'}
+
+Ideas they haven't turned into goals yet:
+${ideaLines.join('\n') || '- none'}
+
+Use the tools to look up more and to create, update, complete or reschedule tasks and goals when the
+user asks for it or agrees to it. Refer to items by the ids above. After changing something, say
+briefly what you changed. Keep answers short and concrete.`;
+};
+
+// Stored messages in the chat completions format; the history starts at a user message
+const toModelMessages = (messages) => {
+  const recent = messages.slice(-HISTORY_LIMIT);
+  const start = recent.findIndex(message => message.role === 'user');
+
+  return recent.slice(Math.max(start, 0)).map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.role === 'assistant' && message.toolCalls) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+};
+
+/**
+ * Answer a user message in a thread, running the tools the model calls
+ * @param {Object} options - { userId, thread, message: text, signal, onEvent(type, data) }
+ *   Events: delta { content }, tool_call { call }, tool_result { toolCall }, message { message }
+ * @returns {Object} The final assistant ChatMessage
+ */
+export const runChatTurn = async ({ userId, thread, message, signal, onEvent = () => {} }) => {
+  await prisma.chatMessage.create({
+    data: { threadId: thread.id, role: 'user', content: message }
+  });
+  await prisma.chatThread.update({
+    where: { id: thread.id },
+    data: { title: thread.title || message.slice(0, 80) }
+  });
+
+  const [system] = await personalize(userId, [{ role: 'system', content: await buildSystemPrompt(userId) }]);
+
+  for (let round = 0; ; round++) {
+    const history = await prisma.chatMessage.findMany({
+      where: { threadId: thread.id },
+      orderBy: { seq: 'asc' }
+    });
+
+    let toolCalls = [];
+    let content = '';
+    for await (const chunk of stream('chat', [system, ...toModelMessages(history)], {
+      userId,
+      signal,
+      // The last round offers no tools, so the model has to answer
+      ...(round < MAX_TOOL_ROUNDS && { tools: CHAT_TOOLS }),
+      onToolCalls: calls => { toolCalls = calls; }
+    })) {
+      content += chunk;
+      onEvent('delta', { content: chunk });
+    }
+
+    const reply = await prisma.chatMessage.create({
+      data: {
+        threadId: thread.id,
+        role: 'assistant',
+        content,
+        ...(toolCalls.length > 0 && { toolCalls })
+      }
+    });
+    onEvent('message', { message: reply });
+
+    if (toolCalls.length === 0) {
+      return reply;
+    }
+
+    for (const call of toolCalls) {
+      onEvent('tool_call', { call });
+      const toolCall = await executeToolCall(userId, thread.id, call);
+      await prisma.chatMessage.create({
+        data: {
+          threadId: thread.id,
+          role: 'tool',
+          toolCallId: call.id,
+          content: JSON.stringify(toolCall.error ? { error: toolCall.error, ...toolCall.result } : toolCall.result)
+        }
+      });
+      onEvent('tool_result', { toolCall });
+    }
+  }
+};
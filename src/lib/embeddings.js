@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { recordUsage } from './aiUsage.js';
+
+// Text embeddings for semantic search, behind a small provider interface like lib/llm.js:
+// { name, model, embed(texts, { userId, endpoint }) => vectors }. Remote calls made on behalf of
+// a user are logged in AiUsage like every other model call.
+//
+// EMBEDDINGS_PROVIDER selects the backend:
+//   openai            - OpenAI embeddings API (EMBEDDINGS_MODEL, default text-embedding-3-small)
+//   openai-compatible - any server with an OpenAI-style /embeddings route (EMBEDDINGS_BASE_URL)
+//   local             - deterministic hashed bag-of-words vectors; no network, used in tests
+// Without EMBEDDINGS_PROVIDER, openai is used when an API key is configured, local otherwise.
+
+const LOCAL_DIMENSIONS = 256;
+
+// Batch size for remote embedding requests
+const BATCH_SIZE = 100;
+
+const hash = (value) => crypto.createHash('md5').update(value).digest().readUInt32LE(0);
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'my', 'of', 'on', 'or', 'our', 'so', 'the', 'this', 'to', 'up', 'with'
+]);
+
+// Crude plural/verb-form stemmer so "emails" matches "email" and "running" matches "run"
+const stem = (word) => {
+  if (word.length <= 4) {
+    return word;
+  }
+  const stemmed = word.replace(/(ing|ed|es|s)$/, '');
+  return /([^aeiouls])\1$/.test(stemmed) ? stemmed.slice(0, -1) : stemmed;
+};
+
+// Lowercased words without stop words
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => !STOP_WORDS.has(word))
+  .map(stem);
+
+const normalize = (vector) => {
+  const length = Math.hypot(...vector);
+  return length > 0 ? vector.map(value => value / length) : vector;
+};
+
+/**
+ * Deterministic embeddings: words and character trigrams hashed into a fixed-size vector.
+ * Captures lexical overlap only, but is stable across runs and machines.
+ * @returns {Object} Provider
+ */
+export const createLocalEmbeddingsProvider = () => ({
+  name: 'local',
+  model: `local-hash-${LOCAL_DIMENSIONS}`,
+
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+      const add = (feature, weight) => {
+        const bucket = hash(feature);
+        vector[bucket % LOCAL_DIMENSIONS] += (bucket & 0x80000000 ? -1 : 1) * weight;
+      };
+
+      for (const word of tokenize(text)) {
+        add(`w:${word}`, 1);
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          add(`t:${padded.slice(i, i + 3)}`, 0.5);
+        }
+      }
+
+      return normalize(vector);
+    });
+  }
+});
+
+const createOpenAIEmbeddingsProvider = ({ apiKey, baseURL, model }) => {
+  const client = new OpenAI({
+    apiKey: apiKey || (baseURL ? 'not-needed' : undefined),
+    ...(baseURL && { baseURL })
+  });
+
+  const name = baseURL ? 'openai-compatible' : 'openai';
+
+  return {
+    name,
+    model,
+
+    async embed(texts, { userId, endpoint = 'embeddings' } = {}) {
+      const vectors = [];
+      let promptTokens = 0;
+      for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+        const response = await client.embeddings.create({
+          model,
+          input: texts.slice(start, start + BATCH_SIZE)
+        });
+        promptTokens += response.usage?.prompt_tokens || 0;
+        const batch = [...response.data].sort((a, b) => a.index - b.index);
+        vectors.push(...batch.map(entry => entry.embedding));
+      }
+
+      // One AiUsage row per embed() call; metering never fails the request
+      if (userId) {
+        try {
+          await recordUsage({
+            userId,
+            endpoint,
+            provider: name,
+            model,
+            usage: { promptTokens, completionTokens: 0 }
+          });
+        } catch (error) {
+          console.error('Error recording AI usage:', error);
+        }
+      }
+      return vectors;
+    }
+  };
+};
+
+const createProvider = () => {
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  const providerName = (process.env.EMBEDDINGS_PROVIDER || (apiKey ? 'openai' : 'local')).toLowerCase();
+  const model = process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small';
+
+  let provider;
+  switch (providerName) {
+    case 'local':
+      provider = createLocalEmbeddingsProvider();
+      break;
+    case 'openai-compatible': {
+      const baseURL = process.env.EMBEDDINGS_BASE_URL || process.env.LLM_BASE_URL;
+      if (!baseURL) {
+        throw new Error('EMBEDDINGS_BASE_URL is required for the openai-compatible embeddings provider');
+      }
+      provider = createOpenAIEmbeddingsProvider({ apiKey, baseURL, model });
+      break;
+    }
+    case 'openai':
+      provider = createOpenAIEmbeddingsProvider({ apiKey, model });
+      break;
+    default:
+      throw new Error(`Unknown EMBEDDINGS_PROVIDER "${providerName}". Use openai, openai-compatible or local.`);
+  }
+
+  console.log(`🔎 Embeddings provider: ${provider.name} (${provider.model})`);
+  return provider;
+};
+
+let activeProvider = null;
+
+/**
+ * Get the (lazily created) embeddings provider
+ * @returns {Object} Provider with name, model and embed()
+ */
+export const getEmbeddingsProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active provider (e.g. with the local one in tests); pass null to reset
+ * @param {Object|null} provider
+ */
+export const setEmbeddingsProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} -1..1
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let lengthA = 0;
+  let lengthB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    lengthA += a[i] * a[i];
+    lengthB += b[i] * b[i];
+  }
+  return lengthA > 0 && lengthB > 0 ? dot / Math.sqrt(lengthA * lengthB) : 0;
+};
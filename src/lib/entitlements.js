@@ -0,0 +1,95 @@
+import prisma from './prisma.js';
+
+// Plan entitlements. Users with an ACTIVE (or TRIALING) subscription are on "pro",
+// everyone else is on "free". A null limit means unlimited.
+
+const ENTITLED_STATUSES = ['ACTIVE', 'TRIALING'];
+
+const envLimit = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+export const PLAN_LIMITS = {
+  free: {
+    maxGoals: envLimit('PLAN_FREE_MAX_GOALS', 5),
+    maxIdeas: envLimit('PLAN_FREE_MAX_IDEAS', 100),
+    aiCallsPerDay: envLimit('AI_QUOTA_FREE_DAILY', 20),
+    aiCallsPerMonth: envLimit('AI_QUOTA_FREE_MONTHLY', 200)
+  },
+  pro: {
+    maxGoals: null,
+    maxIdeas: envLimit('PLAN_PRO_MAX_IDEAS', 2000),
+    aiCallsPerDay: envLimit('AI_QUOTA_PRO_DAILY', 200),
+    aiCallsPerMonth: envLimit('AI_QUOTA_PRO_MONTHLY', 3000)
+  }
+};
+
+// Counts the goal and idea limits apply to
+const USAGE_COUNTERS = {
+  maxGoals: (userId) => prisma.goal.count({
+    where: { userId, status: { in: ['ACTIVE', 'PAUSED'] } }
+  }),
+  maxIdeas: (userId) => prisma.idea.count({
+    where: { userId }
+  })
+};
+
+/**
+ * Plan for a subscription record
+ * @param {Object|null} subscription
+ * @returns {string} 'free' | 'pro'
+ */
+export const planForSubscription = (subscription) =>
+  ENTITLED_STATUSES.includes(subscription?.status) ? 'pro' : 'free';
+
+/**
+ * Load a user's plan and its limits
+ * @param {string} userId
+ * @returns {Object} { plan, limits }
+ */
+export const getEntitlements = async (userId) => {
+  const subscription = await prisma.subscription.findUnique({
+    where: { userId },
+    select: { status: true }
+  });
+  const plan = planForSubscription(subscription);
+  return { plan, limits: PLAN_LIMITS[plan] };
+};
+
+/**
+ * Check whether the user may create `adding` more of what a count limit covers
+ * @param {string} userId
+ * @param {string} limit - 'maxGoals' | 'maxIdeas'
+ * @param {number} adding
+ * @returns {Object|null} null when allowed, otherwise { limit, max, current, plan }
+ */
+export const checkEntitlement = async (userId, limit, adding = 1) => {
+  const { plan, limits } = await getEntitlements(userId);
+  const max = limits[limit];
+  if (max === null || max === undefined) {
+    return null;
+  }
+
+  const current = await USAGE_COUNTERS[limit](userId);
+  return current + adding > max ? { limit, max, current, plan } : null;
+};
+
+/**
+ * Body of the 403 response for a plan limit returned by checkEntitlement
+ * @param {Object} exceeded
+ * @returns {Object} { error, code, limit, max, current, plan, upgrade }
+ */
+export const entitlementLimitBody = (exceeded) => ({
+  error: `Your ${exceeded.plan} plan allows at most ${exceeded.max} ${exceeded.limit === 'maxGoals' ? 'active goals' : 'ideas'}`,
+  code: 'plan_limit',
+  ...exceeded,
+  upgrade: exceeded.plan === 'free'
+});
+
+/**
+ * 403 response for a plan limit returned by checkEntitlement
+ * @param {Object} res - Express response
+ * @param {Object} exceeded
+ */
+export const entitlementLimitResponse = (res, exceeded) => res.status(403).json(entitlementLimitBody(exceeded));
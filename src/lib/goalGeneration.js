@@ -0,0 +1,257 @@
+import prisma from './prisma.js';
+import { completeStructured, validateStructured, StructuredOutputError } from './structuredOutput.js';
+import { GOAL_WITH_TASKS_SCHEMA, GOAL_SCHEMA, TASK_SCHEMA } from './aiSchemas.js';
+import { createJsonStreamParser } from './jsonStream.js';
+import { getTaxonomy, categoryPrompt, normalizeCategory, DEFAULT_CATEGORIES } from './taxonomy.js';
+import { personalize } from './userProfile.js';
+
+// Turns free text (a thought, an idea from the mind map) into one goal with a handful of
+// tasks, and stores the result. Shared by /api/ai/transform-thought-to-goal and idea expansion.
+
+const goalPrompt = (thought, categories) => `
+Transform this thought into a goal with related tasks: "${thought}"
+
+Please analyze this thought and create:
+1. ONE main goal that encompasses the overall objective
+2. 3-5 specific tasks that will help achieve this goal
+
+Return ONLY a JSON object with this exact structure:
+
+{
+  "goal": {
+    "title": "Goal title (max 100 characters)",
+    "description": "Detailed description of the goal",
+    "priority": "HIGH|MEDIUM|LOW",
+    "category": "${categoryPrompt(categories).options}"
+  },
+  "tasks": [
+    {
+      "title": "Task title (max 100 characters)",
+      "description": "Detailed description of what needs to be done",
+      "priority": "HIGH|MEDIUM|LOW",
+      "estimatedTime": 60
+    }
+  ]
+}
+
+Make sure:
+1. The goal is the overarching objective
+2. Each task is specific and actionable toward achieving the goal
+3. Tasks are realistic and achievable
+4. The JSON is valid and properly formatted
+5. No extra text outside the JSON object`;
+
+// Minimal goal used when the model can't produce a valid one (run through the schema for defaults)
+const fallbackGoal = (thought) => validateStructured(GOAL_WITH_TASKS_SCHEMA, {
+  goal: {
+    title: thought.substring(0, 100),
+    description: `Transform this thought into action: "${thought}"`,
+    priority: 'MEDIUM',
+    category: 'other'
+  },
+  tasks: [
+    {
+      title: `Act on: ${thought.substring(0, 80)}`,
+      description: `Take specific action on this thought: "${thought}"`,
+      priority: 'MEDIUM',
+      estimatedTime: 60
+    },
+    {
+      title: 'Plan next steps',
+      description: `Break down "${thought}" into smaller actionable items`,
+      priority: 'MEDIUM',
+      estimatedTime: 30
+    }
+  ]
+}).data;
+
+/**
+ * Describe an idea as a thought for the goal prompt
+ * @param {Object} idea - Idea record
+ * @returns {string}
+ */
+export const ideaToThought = (idea) => [
+  idea.title,
+  idea.description,
+  idea.content,
+  idea.tags?.length > 0 ? `Tags: ${idea.tags.join(', ')}` : null
+].filter(Boolean).join('\n');
+
+/**
+ * Ask the model for a goal with tasks, falling back to a minimal goal on invalid output.
+ * With a userId, the goal category is picked from (and mapped onto) the user's taxonomy
+ * and the prompt includes the user's profile summary.
+ * @param {string} thought
+ * @param {Object} options - { userId, endpoint } (endpoint selects model settings and fixtures)
+ * @returns {Object} { data: { goal, tasks }, fallback: boolean }
+ */
+export const generateGoalWithTasks = async (thought, { userId, endpoint = 'transform-thought-to-goal' } = {}) => {
+  const categories = userId ? (await getTaxonomy(userId)).categories : DEFAULT_CATEGORIES;
+
+  try {
+    const messages = [
+      { role: 'system', content: 'You are a productivity assistant. Always respond with valid JSON only.' },
+      { role: 'user', content: goalPrompt(thought, categories) }
+    ];
+    const { data } = await completeStructured(
+      endpoint,
+      userId ? await personalize(userId, messages) : messages,
+      GOAL_WITH_TASKS_SCHEMA,
+      { userId }
+    );
+
+    if (userId) {
+      data.goal.category = await normalizeCategory(userId, data.goal.category) || 'other';
+    }
+    return { data, fallback: false };
+  } catch (error) {
+    if (!(error instanceof StructuredOutputError)) {
+      throw error;
+    }
+    console.error('Invalid goal from the model, using a fallback:', error.errors);
+    return { data: fallbackGoal(thought), fallback: true };
+  }
+};
+
+// Text fields shown while they are streamed
+const PREVIEW_FIELDS = ['title', 'description'];
+
+const MAX_TASKS = GOAL_WITH_TASKS_SCHEMA.properties.tasks.maxItems;
+
+/**
+ * Follow a streamed { goal, tasks } answer and report items as soon as they are complete.
+ * Tasks are held back until the goal is out, so the goal always comes first. An invalid goal or
+ * task stops the incremental reporting; the caller then validates the complete answer instead.
+ * @returns {Object} { push(chunk) => events }, events being
+ *   { type: 'goal', goal }, { type: 'task', task, index } and
+ *   { type: 'preview', target: 'goal'|'task', index?, field, value }
+ */
+export const createGoalWithTasksStream = () => {
+  const parser = createJsonStreamParser();
+  const pendingTasks = [];
+  let goalSent = false;
+  let tasksSent = 0;
+  let stopped = false;
+
+  const handle = ({ type, path, value }, events) => {
+    const [section, index, field] = path;
+
+    if (type === 'partial') {
+      if (field === undefined && section === 'goal' && PREVIEW_FIELDS.includes(index) && value) {
+        events.push({ type: 'preview', target: 'goal', field: index, value });
+      } else if (section === 'tasks' && Number.isInteger(index) && PREVIEW_FIELDS.includes(field) && value) {
+        events.push({ type: 'preview', target: 'task', index, field, value });
+      }
+      return;
+    }
+
+    if (section === 'goal' && path.length === 1 && !goalSent) {
+      const { data, errors } = validateStructured(GOAL_SCHEMA, value);
+      if (errors.length > 0) {
+        stopped = true;
+        return;
+      }
+      events.push({ type: 'goal', goal: data });
+      goalSent = true;
+    } else if (section === 'tasks' && path.length === 2 && index < MAX_TASKS) {
+      const { data, errors } = validateStructured(TASK_SCHEMA, value);
+      if (errors.length > 0) {
+        stopped = true;
+        return;
+      }
+      pendingTasks.push(data);
+    }
+
+    if (goalSent) {
+      while (pendingTasks.length > 0) {
+        events.push({ type: 'task', task: pendingTasks.shift(), index: tasksSent++ });
+      }
+    }
+  };
+
+  return {
+    push(chunk) {
+      const events = [];
+      for (const event of parser.push(chunk)) {
+        if (stopped) break;
+        handle(event, events);
+      }
+      return events;
+    }
+  };
+};
+
+/**
+ * Create a goal and its generated tasks with a transaction client.
+ * The goal category must already be normalized: normalizeCategory works on the global client
+ * and would wait for a second connection while the transaction holds one.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId
+ * @param {Object} plan - { goal, tasks }
+ * @returns {Object} { goal, tasks }
+ */
+export const insertGoalWithTasks = async (tx, userId, { goal, tasks }) => {
+  const createdGoal = await tx.goal.create({
+    data: {
+      title: goal.title,
+      description: goal.description,
+      priority: goal.priority,
+      category: goal.category,
+      userId
+    }
+  });
+
+  const createdTasks = [];
+  for (const task of tasks) {
+    createdTasks.push(await tx.task.create({
+      data: {
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        estimatedTime: task.estimatedTime,
+        aiGenerated: true,
+        userId,
+        goalId: createdGoal.id
+      }
+    }));
+  }
+
+  return { goal: createdGoal, tasks: createdTasks };
+};
+
+/**
+ * Store a generated goal and its tasks in one transaction.
+ * With ideaId, the idea is claimed (marked expanded) first and linked to the new goal in the same
+ * transaction, so concurrent expansions of one idea create a single goal.
+ * @param {string} userId
+ * @param {Object} plan - { goal, tasks } as produced by generateGoalWithTasks
+ * @param {Object} options - { ideaId }
+ * @returns {Object|null} { goal, tasks, idea? }, null when the idea is already expanded
+ */
+export const createGoalWithTasks = async (userId, plan, { ideaId } = {}) => {
+  // Before the transaction, see insertGoalWithTasks
+  const category = await normalizeCategory(userId, plan.goal.category) || 'other';
+
+  return prisma.$transaction(async (tx) => {
+    if (ideaId) {
+      const { count } = await tx.idea.updateMany({
+        where: { id: ideaId, userId, expanded: false },
+        data: { expanded: true }
+      });
+      if (count === 0) {
+        return null;
+      }
+    }
+
+    const { goal, tasks } = await insertGoalWithTasks(tx, userId, { ...plan, goal: { ...plan.goal, category } });
+
+    const idea = ideaId
+      ? await tx.idea.update({
+          where: { id: ideaId },
+          data: { goalId: goal.id }
+        })
+      : undefined;
+
+    return { goal, tasks, idea };
+  });
+};
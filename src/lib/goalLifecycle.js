@@ -0,0 +1,120 @@
+import prisma from './prisma.js';
+import { checkEntitlement } from './entitlements.js';
+
+export const GOAL_STATUSES = ['ACTIVE', 'COMPLETED', 'PAUSED', 'CANCELLED'];
+
+// Allowed status changes - a goal can always be reopened, but finished goals can't be paused
+const GOAL_STATUS_TRANSITIONS = {
+  ACTIVE: ['COMPLETED', 'PAUSED', 'CANCELLED'],
+  PAUSED: ['ACTIVE', 'COMPLETED', 'CANCELLED'],
+  COMPLETED: ['ACTIVE'],
+  CANCELLED: ['ACTIVE']
+};
+
+/**
+ * Check whether a goal may move from one status to another
+ * @param {string} from - Current goal status
+ * @param {string} to - Requested goal status
+ * @returns {boolean}
+ */
+export const canTransitionGoal = (from, to) => {
+  if (from === to) {
+    return true;
+  }
+  return (GOAL_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Build the update data for a status change, keeping completedAt in sync.
+ * Status changes made this way count as manual, so the goal is no longer auto-completed.
+ * @param {Object} goal - Existing goal record
+ * @param {string} status - Requested goal status
+ * @returns {Object} Prisma update data
+ */
+export const goalStatusUpdate = (goal, status) => {
+  if (status === goal.status) {
+    return {};
+  }
+  return {
+    status,
+    completedAt: status === 'COMPLETED' ? new Date() : null,
+    autoCompleted: false
+  };
+};
+
+/**
+ * Compute progress from a goal's linked tasks
+ * @param {Array} tasks - Tasks linked to the goal
+ * @returns {Object} { total, completed, percentage }
+ */
+export const computeGoalProgress = (tasks = []) => {
+  const total = tasks.length;
+  const completed = tasks.filter(task => task.completed).length;
+
+  return {
+    total,
+    completed,
+    percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+  };
+};
+
+/**
+ * Attach a progress roll-up to a goal loaded with its tasks
+ * @param {Object} goal - Goal record including tasks
+ * @returns {Object} Goal with progress
+ */
+export const withGoalProgress = (goal) => ({
+  ...goal,
+  progress: computeGoalProgress(goal.tasks)
+});
+
+/**
+ * Auto-complete (or reopen) a goal after one of its tasks changed completion state.
+ * Only applies to goals that opted in via autoComplete. Goals are only reopened when they were
+ * completed automatically and the user's plan has room for another active goal.
+ * @param {string|null} goalId - Goal the changed task belongs to
+ * @returns {Object|null} Updated goal, or null when nothing changed
+ */
+export const syncGoalCompletion = async (goalId) => {
+  if (!goalId) {
+    return null;
+  }
+
+  const goal = await prisma.goal.findUnique({
+    where: { id: goalId },
+    include: {
+      tasks: {
+        select: { completed: true }
+      }
+    }
+  });
+
+  if (!goal || !goal.autoComplete) {
+    return null;
+  }
+
+  const { total, completed } = computeGoalProgress(goal.tasks);
+  const allDone = total > 0 && completed === total;
+
+  if (allDone && goal.status === 'ACTIVE') {
+    console.log(`Auto-completing goal ${goal.id}: all ${total} tasks done`);
+    return prisma.goal.update({
+      where: { id: goal.id },
+      data: { ...goalStatusUpdate(goal, 'COMPLETED'), autoCompleted: true }
+    });
+  }
+
+  if (!allDone && goal.status === 'COMPLETED' && goal.autoCompleted) {
+    if (await checkEntitlement(goal.userId, 'maxGoals')) {
+      console.log(`Not reopening goal ${goal.id}: the plan's goal limit is reached`);
+      return null;
+    }
+    console.log(`Reopening auto-completed goal ${goal.id}: ${total - completed} tasks open`);
+    return prisma.goal.update({
+      where: { id: goal.id },
+      data: goalStatusUpdate(goal, 'ACTIVE')
+    });
+  }
+
+  return null;
+};
@@ -0,0 +1,145 @@
+import prisma from './prisma.js';
+import { GOAL_STATUSES, canTransitionGoal, goalStatusUpdate } from './goalLifecycle.js';
+import { checkEntitlement, entitlementLimitBody } from './entitlements.js';
+import { normalizeCategory } from './taxonomy.js';
+import { failure } from './taskMutations.js';
+
+// Creating and changing goals, shared by the /api/goals routes and the chat coach's tools.
+// Failures are returned like in lib/taskMutations.js: { status, error, details? }.
+
+const goalInclude = {
+  tasks: {
+    orderBy: { createdAt: 'desc' }
+  },
+  _count: {
+    select: {
+      tasks: true
+    }
+  }
+};
+
+const planLimitFailure = (exceeded) => {
+  const { error, ...details } = entitlementLimitBody(exceeded);
+  return failure(403, error, details);
+};
+
+/**
+ * Whether a status change reopens a finished goal, which counts against the plan's
+ * active goal limit again
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export const reopensGoal = (from, to) => ['COMPLETED', 'CANCELLED'].includes(from) && ['ACTIVE', 'PAUSED'].includes(to);
+
+/**
+ * Parse an optional deadline
+ * @param {*} deadline
+ * @returns {Date|null|undefined} null when not given, undefined when invalid
+ */
+export const parseDeadline = (deadline) => {
+  if (!deadline) {
+    return null;
+  }
+  const date = new Date(deadline);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Create a goal
+ * @param {string} userId
+ * @param {Object} input - Body of POST /api/goals
+ * @returns {Object} { goal } (with tasks and task count) or a failure
+ */
+export const createGoal = async (userId, input) => {
+  const { title, description, deadline, priority, category, autoComplete = false } = input;
+
+  if (!title) {
+    return failure(400, 'Title is required');
+  }
+
+  const parsedDeadline = parseDeadline(deadline);
+  if (parsedDeadline === undefined) {
+    return failure(400, 'Deadline must be a valid date');
+  }
+
+  const exceeded = await checkEntitlement(userId, 'maxGoals');
+  if (exceeded) {
+    return planLimitFailure(exceeded);
+  }
+
+  const goal = await prisma.goal.create({
+    data: {
+      title,
+      description,
+      deadline: parsedDeadline,
+      priority: priority || 'MEDIUM',
+      category: await normalizeCategory(userId, category),
+      autoComplete: Boolean(autoComplete),
+      userId
+    },
+    include: goalInclude
+  });
+
+  return { goal };
+};
+
+/**
+ * Update a goal
+ * @param {string} userId
+ * @param {string} goalId
+ * @param {Object} input - Body of PUT /api/goals/:id
+ * @returns {Object} { goal, previous: the goal before the update } or a failure
+ */
+export const updateGoal = async (userId, goalId, input) => {
+  const { title, description, deadline, priority, status, category, autoComplete } = input;
+
+  const existingGoal = await prisma.goal.findFirst({
+    where: {
+      id: goalId,
+      userId
+    }
+  });
+
+  if (!existingGoal) {
+    return failure(404, 'Goal not found');
+  }
+
+  const parsedDeadline = parseDeadline(deadline);
+  if (deadline !== undefined && parsedDeadline === undefined) {
+    return failure(400, 'Deadline must be a valid date');
+  }
+
+  if (status && !GOAL_STATUSES.includes(status)) {
+    return failure(400, `Status must be one of ${GOAL_STATUSES.join(', ')}`);
+  }
+
+  if (status && !canTransitionGoal(existingGoal.status, status)) {
+    return failure(409, 'Invalid status transition', {
+      message: `Cannot change goal status from ${existingGoal.status} to ${status}`
+    });
+  }
+
+  if (status && reopensGoal(existingGoal.status, status)) {
+    const exceeded = await checkEntitlement(userId, 'maxGoals');
+    if (exceeded) {
+      return planLimitFailure(exceeded);
+    }
+  }
+
+  const goal = await prisma.goal.update({
+    where: { id: goalId },
+    data: {
+      ...(title && { title }),
+      ...(description !== undefined && { description }),
+      ...(deadline !== undefined && { deadline: parsedDeadline }),
+      ...(priority && { priority }),
+      ...(status && goalStatusUpdate(existingGoal, status)),
+      ...(category !== undefined && { category: await normalizeCategory(userId, category) }),
+      ...(autoComplete !== undefined && { autoComplete: Boolean(autoComplete) })
+    },
+    include: goalInclude
+  });
+
+  return { goal, previous: existingGoal };
+};
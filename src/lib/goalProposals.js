@@ -0,0 +1,183 @@
+import prisma from './prisma.js';
+import { insertGoalWithTasks } from './goalGeneration.js';
+import { normalizeCategory } from './taxonomy.js';
+
+// What happens to goals and tasks produced by /api/ai/transform-thought-streaming.
+//
+// The route hands every parsed item to a sink, which decides the ids the client sees:
+//   preview - nothing is stored, items get temporary ids (the original behaviour)
+//   persist - the goal and each task are created as soon as they are parsed
+//   draft   - the result is stored as a GoalProposal that is accepted or rejected later
+//
+// A sink has start() and complete(), which return extra fields for the first and the final
+// event, goal(goal) and task(task, index), which return the item as it is sent to the client,
+// reset(), which forgets the goal and tasks so far so that another answer can be sent instead,
+// and abort(), which undoes what was stored when the stream fails.
+
+export const STREAM_MODES = ['preview', 'persist', 'draft'];
+
+const previewSink = () => ({
+  start: async () => ({}),
+  goal: async (goal) => ({ ...goal, id: `goal_${Date.now()}`, generated: true }),
+  task: async (task, index) => ({ ...task, id: `task_${Date.now()}_${index}`, generated: true }),
+  complete: async () => ({}),
+  reset: async () => {},
+  abort: async () => {}
+});
+
+const persistSink = (userId) => {
+  let goalId = null;
+  const taskIds = [];
+
+  const sink = {
+    start: async () => ({}),
+
+    goal: async (goal) => {
+      const created = await prisma.goal.create({
+        data: {
+          title: goal.title,
+          description: goal.description,
+          priority: goal.priority,
+          category: await normalizeCategory(userId, goal.category) || 'other',
+          userId
+        }
+      });
+      goalId = created.id;
+      return { ...created, generated: true };
+    },
+
+    task: async (task) => {
+      const created = await prisma.task.create({
+        data: {
+          title: task.title,
+          description: task.description,
+          priority: task.priority,
+          estimatedTime: task.estimatedTime,
+          aiGenerated: true,
+          userId,
+          goalId
+        }
+      });
+      taskIds.push(created.id);
+      return { ...created, generated: true };
+    },
+
+    complete: async () => ({ goalId }),
+
+    reset: async () => {
+      if (taskIds.length > 0) {
+        await prisma.task.deleteMany({ where: { id: { in: taskIds } } });
+      }
+      if (goalId) {
+        await prisma.goal.delete({ where: { id: goalId } });
+      }
+      goalId = null;
+      taskIds.length = 0;
+    },
+
+    // Like the non-streaming route, a failed generation leaves no half-created goal behind
+    abort: async () => {
+      await sink.reset();
+    }
+  };
+  return sink;
+};
+
+const draftSink = (userId, { input, source }) => {
+  let proposalId = null;
+  let proposedGoal = null;
+  const proposedTasks = [];
+
+  return {
+    start: async () => {
+      ({ id: proposalId } = await prisma.goalProposal.create({
+        data: { userId, source, input }
+      }));
+      return { proposalId };
+    },
+
+    goal: async (goal) => {
+      proposedGoal = goal;
+      return { ...goal, proposalId, generated: true };
+    },
+
+    task: async (task, index) => {
+      proposedTasks[index] = task;
+      return { ...task, index, proposalId, generated: true };
+    },
+
+    complete: async () => {
+      await prisma.goalProposal.update({
+        where: { id: proposalId },
+        data: { goal: proposedGoal, tasks: proposedTasks, status: 'PENDING' }
+      });
+      return { proposalId };
+    },
+
+    reset: async () => {
+      proposedGoal = null;
+      proposedTasks.length = 0;
+    },
+
+    abort: async () => {
+      if (proposalId) {
+        await prisma.goalProposal.delete({ where: { id: proposalId } });
+      }
+    }
+  };
+};
+
+/**
+ * Create the sink for a streaming mode
+ * @param {string} mode - One of STREAM_MODES
+ * @param {Object} options - { userId, input: the thought, source: endpoint name }
+ * @returns {Object} Sink
+ */
+export const createStreamSink = (mode, { userId, input, source }) => {
+  switch (mode) {
+    case 'persist':
+      return persistSink(userId);
+    case 'draft':
+      return draftSink(userId, { input, source });
+    default:
+      return previewSink();
+  }
+};
+
+/**
+ * Accept a pending proposal: create its goal with all or some of its tasks.
+ * The proposal is claimed inside the transaction, so concurrent accepts create the goal once.
+ * @param {string} userId
+ * @param {Object} proposal - PENDING GoalProposal
+ * @param {Object} options - { taskIndexes: tasks to create (default all), goal: validated goal fields }
+ * @returns {Object|null} { goal, tasks }, null when the proposal is no longer pending
+ */
+export const acceptProposal = async (userId, proposal, { taskIndexes, goal } = {}) => {
+  const indexes = taskIndexes ?? proposal.tasks.map((task, index) => index);
+  // Normalized before the transaction, see insertGoalWithTasks
+  const acceptedGoal = {
+    ...(goal || proposal.goal),
+    category: await normalizeCategory(userId, (goal || proposal.goal).category) || 'other'
+  };
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.goalProposal.updateMany({
+      where: { id: proposal.id, status: 'PENDING' },
+      data: { status: 'ACCEPTED', acceptedTasks: indexes }
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    const created = await insertGoalWithTasks(tx, userId, {
+      goal: acceptedGoal,
+      tasks: indexes.map(index => proposal.tasks[index])
+    });
+
+    await tx.goalProposal.update({
+      where: { id: proposal.id },
+      data: { goalId: created.goal.id }
+    });
+
+    return created;
+  });
+};
@@ -0,0 +1,310 @@
+import { zonedTimeToUtc, isValidTimeZone, timeZoneOffset, localDateString, localMinutes, addDays } from './timezone.js';
+import { normalizeRecurrence, expandOccurrences } from './recurrence.js';
+
+// Minimal iCalendar (RFC 5545) writer and reader - enough for our feed and for
+// importing busy time from other calendars. No network access is needed for either.
+
+const PRODUCT_ID = '-//nudgr//nudgr-server//EN';
+
+// How far ahead recurring imported events are expanded
+const IMPORT_HORIZON_DAYS = 90;
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value = '') => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// 20250115T140000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20250115
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Lines longer than 75 octets are folded with a leading space on continuation lines
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const component = (type, properties) => [
+  `BEGIN:${type}`,
+  ...properties.filter(Boolean),
+  `END:${type}`
+];
+
+/**
+ * Render tasks, goal deadlines and planned time blocks as an iCalendar document
+ * @param {Object} options
+ * @param {string} options.name - Calendar display name
+ * @param {Array} options.tasks - Open tasks with a dueDate
+ * @param {Array} options.goals - Goals with a deadline
+ * @param {Array} options.blocks - Planned time blocks
+ * @param {boolean} options.tasksAsEvents - Render tasks as VEVENTs for calendars that ignore VTODO
+ * @returns {string}
+ */
+export const buildCalendar = ({ name, tasks = [], goals = [], blocks = [], tasksAsEvents = false }) => {
+  const stamp = `DTSTAMP:${formatDateTime(new Date())}`;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const task of tasks) {
+    const due = new Date(task.dueDate);
+    const description = task.description ? `DESCRIPTION:${escapeText(task.description)}` : null;
+    const priority = `PRIORITY:${{ HIGH: 1, MEDIUM: 5, LOW: 9 }[task.priority] || 5}`;
+
+    if (tasksAsEvents) {
+      const duration = task.estimatedTime || 30;
+      lines.push(...component('VEVENT', [
+        `UID:task-${task.id}@nudgr`,
+        stamp,
+        `DTSTART:${formatDateTime(new Date(due.getTime() - duration * 60000))}`,
+        `DTEND:${formatDateTime(due)}`,
+        `SUMMARY:${escapeText(task.title)}`,
+        description,
+        priority
+      ]));
+    } else {
+      lines.push(...component('VTODO', [
+        `UID:task-${task.id}@nudgr`,
+        stamp,
+        `DUE:${formatDateTime(due)}`,
+        `SUMMARY:${escapeText(task.title)}`,
+        description,
+        priority,
+        'STATUS:NEEDS-ACTION'
+      ]));
+    }
+  }
+
+  for (const goal of goals) {
+    const deadline = new Date(goal.deadline);
+    lines.push(...component('VEVENT', [
+      `UID:goal-${goal.id}@nudgr`,
+      stamp,
+      `DTSTART;VALUE=DATE:${formatDate(deadline)}`,
+      `DTEND;VALUE=DATE:${formatDate(new Date(deadline.getTime() + 24 * 60 * 60 * 1000))}`,
+      `SUMMARY:${escapeText(`Goal deadline: ${goal.title}`)}`,
+      goal.description ? `DESCRIPTION:${escapeText(goal.description)}` : null,
+      'TRANSP:TRANSPARENT'
+    ]));
+  }
+
+  for (const block of blocks) {
+    lines.push(...component('VEVENT', [
+      `UID:block-${block.id}@nudgr`,
+      stamp,
+      `DTSTART:${formatDateTime(new Date(block.startTime))}`,
+      `DTEND:${formatDateTime(new Date(block.endTime))}`,
+      `SUMMARY:${escapeText(block.title)}`,
+      block.reason ? `DESCRIPTION:${escapeText(block.reason)}` : null
+    ]));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Parse "NAME;PARAM=VALUE:value" into { name, params, value }
+const parseProperty = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, value = ''] = part.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Parse a DATE or DATE-TIME value, honouring TZID and the trailing Z. All-day dates start at
+// local midnight in the fallback timezone. timeZone is the zone the value is local to.
+const parseDateValue = ({ value, params }, fallbackTimeZone) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second = '00', utc] = match;
+  const dateString = `${year}-${month}-${day}`;
+
+  if (!hour || params.VALUE === 'DATE') {
+    return { date: zonedTimeToUtc(dateString, 0, fallbackTimeZone), allDay: true, timeZone: fallbackTimeZone };
+  }
+
+  if (utc) {
+    return { date: new Date(`${dateString}T${hour}:${minute}:${second}Z`), allDay: false, timeZone: 'UTC' };
+  }
+
+  // Floating or TZID-local time
+  const timeZone = isValidTimeZone(params.TZID) ? params.TZID : fallbackTimeZone;
+  const minutes = Number(hour) * 60 + Number(minute) + Number(second) / 60;
+  return { date: zonedTimeToUtc(dateString, minutes, timeZone), allDay: false, timeZone };
+};
+
+// EXDATE properties may list several comma-separated values
+const parseDateList = (properties, fallbackTimeZone) => properties.flatMap(property => (
+  property.value.split(',').map(value => parseDateValue({ ...property, value }, fallbackTimeZone))
+)).filter(Boolean);
+
+// Whether an excluded or overridden date (RECURRENCE-ID, EXDATE) refers to an occurrence;
+// date-only values match any occurrence on that local day
+const matchesOccurrence = (excluded, occurrence, timeZone) => (
+  excluded.date.getTime() === occurrence.getTime()
+  || (excluded.allDay && localDateString(excluded.date, timeZone) === localDateString(occurrence, timeZone))
+);
+
+// ISO 8601 durations as used by DURATION: P1D, PT1H30M, P1W
+const parseDuration = (value) => {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Parse the busy VEVENTs out of an iCalendar document.
+ * Transparent (free) and cancelled events are skipped; simple RRULEs are expanded in the
+ * event's timezone from now until the import horizon, without EXDATEs and instances that a
+ * RECURRENCE-ID event overrides (the override is imported in their place unless it's cancelled).
+ * @param {string} text - iCalendar document
+ * @param {Object} options
+ * @param {string} options.timeZone - Timezone for floating times and all-day dates
+ * @param {Date} options.now
+ * @returns {Array} [{ uid, summary, startTime, endTime, allDay }]
+ */
+export const parseBusyEvents = (text, { timeZone = 'UTC', now = new Date() } = {}) => {
+  // Unfold continuation lines first
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const horizon = new Date(now.getTime() + IMPORT_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const property = parseProperty(line);
+    if (property?.name === 'EXDATE') {
+      current.EXDATE = [...(current.EXDATE || []), property];
+    } else if (property) {
+      current[property.name] = property;
+    }
+  }
+
+  // Instances of a series that are moved or cancelled by a RECURRENCE-ID override, by UID
+  const overridden = new Map();
+  for (const event of events) {
+    const recurrenceId = event['RECURRENCE-ID'] && parseDateValue(event['RECURRENCE-ID'], timeZone);
+    if (recurrenceId && event.UID) {
+      overridden.set(event.UID.value, [...(overridden.get(event.UID.value) || []), recurrenceId]);
+    }
+  }
+
+  const busy = [];
+  for (const event of events) {
+    if (!event.DTSTART) continue;
+    if (event.TRANSP?.value === 'TRANSPARENT' || event.STATUS?.value === 'CANCELLED') continue;
+
+    const start = parseDateValue(event.DTSTART, timeZone);
+    if (!start) continue;
+
+    let end = event.DTEND ? parseDateValue(event.DTEND, timeZone)?.date : null;
+    if (!end && event.DURATION) {
+      const duration = parseDuration(event.DURATION.value);
+      end = duration !== null ? new Date(start.date.getTime() + duration) : null;
+    }
+    if (!end) {
+      end = start.allDay
+        ? zonedTimeToUtc(addDays(localDateString(start.date, start.timeZone), 1), 0, start.timeZone)
+        : start.date;
+    }
+    if (end <= start.date) continue;
+
+    const length = end - start.date;
+    const base = {
+      uid: event.UID?.value || `${start.date.toISOString()}-${event.SUMMARY?.value || 'busy'}`,
+      summary: unescapeText(event.SUMMARY?.value || 'Busy'),
+      allDay: start.allDay
+    };
+
+    if (!event.RRULE || event['RECURRENCE-ID']) {
+      busy.push({ ...base, startTime: start.date, endTime: end });
+      continue;
+    }
+
+    // Series are expanded in the event's own timezone so occurrences keep their local time across
+    // DST changes; each occurrence lasts as long on the wall clock as the first one
+    const seriesTimeZone = start.timeZone;
+    const { rule } = normalizeRecurrence(event.RRULE.value, start.date, { timeZone: seriesTimeZone });
+    if (!rule) {
+      busy.push({ ...base, startTime: start.date, endTime: end });
+      continue;
+    }
+
+    const wallLength = length / 60000 + timeZoneOffset(end, seriesTimeZone) - timeZoneOffset(start.date, seriesTimeZone);
+    const excluded = [
+      ...parseDateList(event.EXDATE || [], timeZone),
+      ...(overridden.get(event.UID?.value) || [])
+    ];
+
+    for (const occurrenceStart of expandOccurrences(rule, now, horizon)) {
+      if (excluded.some(date => matchesOccurrence(date, occurrenceStart, seriesTimeZone))) continue;
+
+      busy.push({
+        ...base,
+        startTime: occurrenceStart,
+        endTime: zonedTimeToUtc(
+          localDateString(occurrenceStart, seriesTimeZone),
+          localMinutes(occurrenceStart, seriesTimeZone) + wallLength,
+          seriesTimeZone
+        )
+      });
+    }
+  }
+
+  return busy;
+};
@@ -0,0 +1,165 @@
+import prisma from './prisma.js';
+
+// Mind-map structure for ideas: typed links between ideas and named clusters.
+// RELATED links are undirected; DEPENDS_ON and PART_OF read "from depends on / is part of to"
+// and may not form cycles.
+
+export const IDEA_LINK_TYPES = ['RELATED', 'DEPENDS_ON', 'PART_OF'];
+
+const DIRECTED_LINK_TYPES = ['DEPENDS_ON', 'PART_OF'];
+
+export const ideaLinkSelect = {
+  id: true,
+  type: true,
+  label: true,
+  fromId: true,
+  toId: true,
+  createdAt: true
+};
+
+/**
+ * Normalize a link type ("depends on", "depends-on", "PART_OF", ...)
+ * @param {string} value
+ * @returns {string|undefined} IdeaLinkType, RELATED when not given, undefined when invalid
+ */
+export const parseLinkType = (value) => {
+  if (value === undefined || value === null) {
+    return 'RELATED';
+  }
+  const type = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return IDEA_LINK_TYPES.includes(type) ? type : undefined;
+};
+
+/**
+ * Find a link that already connects two ideas with the given type.
+ * RELATED links match in either direction.
+ * @param {string} userId
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {string} type
+ * @returns {Object|null}
+ */
+export const findDuplicateLink = (userId, fromId, toId, type) => prisma.ideaLink.findFirst({
+  where: {
+    userId,
+    type,
+    OR: [
+      { fromId, toId },
+      ...(type === 'RELATED' ? [{ fromId: toId, toId: fromId }] : [])
+    ]
+  }
+});
+
+/**
+ * Check whether a directed link fromId -> toId would close a cycle of that link type,
+ * i.e. whether toId already (transitively) depends on / is part of fromId
+ * @param {string} userId
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {string} type
+ * @param {string} ignoreLinkId - Link being changed, left out of the check
+ * @returns {boolean}
+ */
+export const createsLinkCycle = async (userId, fromId, toId, type, ignoreLinkId) => {
+  if (!DIRECTED_LINK_TYPES.includes(type)) {
+    return false;
+  }
+
+  const links = await prisma.ideaLink.findMany({
+    where: { userId, type },
+    select: { id: true, fromId: true, toId: true }
+  });
+
+  const next = new Map();
+  for (const link of links) {
+    if (link.id === ignoreLinkId) continue;
+    if (!next.has(link.fromId)) {
+      next.set(link.fromId, []);
+    }
+    next.get(link.fromId).push(link.toId);
+  }
+
+  const stack = [toId];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === fromId) {
+      return true;
+    }
+    if (seen.has(current)) continue;
+    seen.add(current);
+    stack.push(...(next.get(current) || []));
+  }
+
+  return false;
+};
+
+/**
+ * Load the whole mind map of a user
+ * @param {string} userId
+ * @returns {Object} { nodes, edges, clusters }
+ */
+export const loadIdeaGraph = async (userId) => {
+  const [nodes, edges, clusters] = await Promise.all([
+    prisma.idea.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        tags: true,
+        position: true,
+        color: true,
+        expanded: true,
+        goalId: true,
+        clusterId: true
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.ideaLink.findMany({
+      where: { userId },
+      select: ideaLinkSelect,
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.ideaCluster.findMany({
+      where: { userId },
+      orderBy: { name: 'asc' }
+    })
+  ]);
+
+  return { nodes, edges, clusters };
+};
+
+/**
+ * Validate a batch of absolute positions
+ * @param {Array} positions - [{ id, x, y }]
+ * @returns {string|null} Error message
+ */
+export const validatePositions = (positions) => {
+  if (!Array.isArray(positions)) {
+    return 'positions must be an array of { id, x, y }';
+  }
+  const invalid = positions.find(entry => (
+    !entry || typeof entry.id !== 'string' || typeof entry.x !== 'number' || typeof entry.y !== 'number'
+  ));
+  if (invalid) {
+    return 'Every position needs an id and numeric x and y coordinates';
+  }
+  if (new Set(positions.map(entry => entry.id)).size !== positions.length) {
+    return 'Each idea may only appear once in positions';
+  }
+  return null;
+};
+
+/**
+ * Shift idea positions by an offset (used to move a cluster as a whole)
+ * @param {Array} ideas - Ideas with position
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {Array} [{ id, x, y }]
+ */
+export const offsetPositions = (ideas, dx, dy) => ideas.map(idea => ({
+  id: idea.id,
+  x: (Number(idea.position?.x) || 0) + dx,
+  y: (Number(idea.position?.y) || 0) + dy
+}));
@@ -0,0 +1,380 @@
+// Mind-map layout for ideas. Positions are the top-left corner of an idea card; every layout
+// keeps cards of nodeWidth x nodeHeight at least `spacing` apart. All layouts are
+// deterministic, so a preview and the persisted result are the same.
+
+export const LAYOUT_ALGORITHMS = ['force', 'grid', 'tags'];
+
+export const DEFAULT_LAYOUT_OPTIONS = {
+  nodeWidth: 200,
+  nodeHeight: 120,
+  spacing: 40,
+  origin: { x: 50, y: 50 }
+};
+
+const UNTAGGED = null;
+
+const TAG_NEIGHBOURS = 8;
+
+const cellSize = ({ nodeWidth, nodeHeight, spacing }) => ({
+  width: nodeWidth + spacing,
+  height: nodeHeight + spacing
+});
+
+const byCreation = (a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+
+const hasPosition = (idea) => (
+  typeof idea.position?.x === 'number' && typeof idea.position?.y === 'number'
+);
+
+/**
+ * Bounding box of laid out positions
+ * @param {Array} positions - [{ x, y }]
+ * @param {Object} options - Layout options
+ * @returns {Object} { x, y, width, height }
+ */
+export const layoutBounds = (positions, { nodeWidth, nodeHeight }) => {
+  if (positions.length === 0) {
+    return { x: 0, y: 0, width: 0, height: 0 };
+  }
+  const xs = positions.map(position => position.x);
+  const ys = positions.map(position => position.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return {
+    x,
+    y,
+    width: Math.max(...xs) + nodeWidth - x,
+    height: Math.max(...ys) + nodeHeight - y
+  };
+};
+
+// Place ideas row by row in a block of `columns` cells starting at (left, top)
+const gridBlock = (ideas, columns, left, top, cell) => ideas.map((idea, index) => ({
+  id: idea.id,
+  x: left + (index % columns) * cell.width,
+  y: top + Math.floor(index / columns) * cell.height
+}));
+
+/**
+ * Square-ish grid in creation order
+ * @param {Array} ideas
+ * @param {Object} options - Layout options
+ * @returns {Array} [{ id, x, y }]
+ */
+export const gridLayout = (ideas, options) => {
+  const columns = Math.max(1, Math.ceil(Math.sqrt(ideas.length)));
+  return gridBlock([...ideas].sort(byCreation), columns, options.origin.x, options.origin.y, cellSize(options));
+};
+
+/**
+ * Group ideas by tag and lay every group out as its own block. An idea with several tags
+ * joins the group of its most common tag; untagged ideas come last.
+ * @param {Array} ideas
+ * @param {Object} options - Layout options
+ * @returns {Object} { positions, groups: [{ tag, ideaIds, bounds }] }
+ */
+export const tagLayout = (ideas, options) => {
+  const cell = cellSize(options);
+
+  const tagCounts = new Map();
+  for (const idea of ideas) {
+    for (const tag of new Set(idea.tags || [])) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+  }
+
+  const groupsByTag = new Map();
+  for (const idea of [...ideas].sort(byCreation)) {
+    const tag = (idea.tags || []).reduce((best, candidate) => (
+      best === UNTAGGED || tagCounts.get(candidate) > tagCounts.get(best) ? candidate : best
+    ), UNTAGGED);
+    if (!groupsByTag.has(tag)) {
+      groupsByTag.set(tag, []);
+    }
+    groupsByTag.get(tag).push(idea);
+  }
+
+  const groups = [...groupsByTag.entries()]
+    .map(([tag, members]) => ({ tag, members }))
+    .sort((a, b) => {
+      if (a.tag === UNTAGGED || b.tag === UNTAGGED) return a.tag === UNTAGGED ? 1 : -1;
+      return b.members.length - a.members.length || a.tag.localeCompare(b.tag);
+    });
+
+  // Blocks flow left to right and wrap once a row is about as wide as the whole map is tall
+  const maxRowWidth = Math.max(1, Math.ceil(Math.sqrt(ideas.length))) * cell.width * 1.5;
+  const positions = [];
+  const result = [];
+  let left = options.origin.x;
+  let top = options.origin.y;
+  let rowHeight = 0;
+
+  for (const { tag, members } of groups) {
+    const columns = Math.max(1, Math.ceil(Math.sqrt(members.length)));
+    const blockWidth = columns * cell.width;
+    const blockHeight = Math.ceil(members.length / columns) * cell.height;
+
+    if (left > options.origin.x && left - options.origin.x + blockWidth > maxRowWidth) {
+      left = options.origin.x;
+      top += rowHeight + cell.height; // One empty row between bands of groups
+      rowHeight = 0;
+    }
+
+    const block = gridBlock(members, columns, left, top, cell);
+    positions.push(...block);
+    result.push({ tag, ideaIds: members.map(idea => idea.id), bounds: layoutBounds(block, options) });
+
+    left += blockWidth + cell.width; // One empty column between groups
+    rowHeight = Math.max(rowHeight, blockHeight);
+  }
+
+  return { positions, groups: result };
+};
+
+// Grid cells around (column, row), ring by ring, nearest first
+function* spiralCells(column, row) {
+  yield [column, row];
+  for (let ring = 1; ; ring++) {
+    const cells = [];
+    for (let dc = -ring; dc <= ring; dc++) {
+      for (let dr = -ring; dr <= ring; dr++) {
+        if (Math.max(Math.abs(dc), Math.abs(dr)) === ring) {
+          cells.push([column + dc, row + dr]);
+        }
+      }
+    }
+    cells.sort((a, b) => Math.hypot(a[0] - column, a[1] - row) - Math.hypot(b[0] - column, b[1] - row));
+    yield* cells;
+  }
+}
+
+// Move every position to the nearest free grid cell so no two cards overlap
+const snapToCells = (positions, options) => {
+  const cell = cellSize(options);
+  const center = {
+    x: positions.reduce((sum, position) => sum + position.x, 0) / (positions.length || 1),
+    y: positions.reduce((sum, position) => sum + position.y, 0) / (positions.length || 1)
+  };
+  const distance = (position) => Math.hypot(position.x - center.x, position.y - center.y);
+
+  // Central nodes pick first so the core of the map keeps its shape
+  const ordered = [...positions].sort((a, b) => distance(a) - distance(b) || a.id.localeCompare(b.id));
+  const taken = new Set();
+  const snapped = [];
+
+  for (const position of ordered) {
+    const column = Math.round(position.x / cell.width);
+    const row = Math.round(position.y / cell.height);
+    for (const [c, r] of spiralCells(column, row)) {
+      if (!taken.has(`${c},${r}`)) {
+        taken.add(`${c},${r}`);
+        snapped.push({ id: position.id, x: c * cell.width, y: r * cell.height });
+        break;
+      }
+    }
+  }
+
+  // Shift the whole map so its top-left corner sits at the origin
+  const minX = Math.min(...snapped.map(position => position.x));
+  const minY = Math.min(...snapped.map(position => position.y));
+  return snapped.map(position => ({
+    id: position.id,
+    x: position.x - minX + options.origin.x,
+    y: position.y - minY + options.origin.y
+  }));
+};
+
+/**
+ * Force-directed layout: linked ideas and ideas sharing tags attract, all ideas repel.
+ * Starts from the current positions (a circle for ideas without one) and snaps the
+ * result to grid cells so cards never overlap.
+ * @param {Array} ideas
+ * @param {Array} links - [{ fromId, toId }]
+ * @param {Object} options - Layout options
+ * @returns {Array} [{ id, x, y }]
+ */
+export const forceLayout = (ideas, links, options) => {
+  const count = ideas.length;
+  if (count === 0) {
+    return [];
+  }
+
+  const cell = cellSize(options);
+  const k = Math.max(cell.width, cell.height); // Ideal distance between neighbours
+  const index = new Map(ideas.map((idea, i) => [idea.id, i]));
+
+  const x = new Float64Array(count);
+  const y = new Float64Array(count);
+  const radius = k * Math.sqrt(count) / 2;
+  ideas.forEach((idea, i) => {
+    if (hasPosition(idea)) {
+      x[i] = idea.position.x;
+      y[i] = idea.position.y;
+    } else {
+      const angle = (2 * Math.PI * i) / count;
+      x[i] = radius * Math.cos(angle);
+      y[i] = radius * Math.sin(angle);
+    }
+  });
+
+  // Attraction weights: an explicit link counts double, each shared tag once
+  const weights = new Map();
+  const addWeight = (a, b, weight) => {
+    if (a === b) return;
+    const key = a < b ? `${a},${b}` : `${b},${a}`;
+    weights.set(key, (weights.get(key) || 0) + weight);
+  };
+  for (const link of links) {
+    if (index.has(link.fromId) && index.has(link.toId)) {
+      addWeight(index.get(link.fromId), index.get(link.toId), 2);
+    }
+  }
+  const byTag = new Map();
+  ideas.forEach((idea, i) => {
+    for (const tag of new Set(idea.tags || [])) {
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push(i);
+    }
+  });
+  // Big tags would add n² edges - tie each idea to its next few tag mates instead
+  for (const members of byTag.values()) {
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < Math.min(members.length, a + 1 + TAG_NEIGHBOURS); b++) {
+        addWeight(members[a], members[b], 1);
+      }
+    }
+  }
+  const edges = [...weights.entries()].map(([key, weight]) => [...key.split(',').map(Number), weight]);
+
+  // Fewer iterations for big maps keeps the O(n²) repulsion affordable
+  const iterations = Math.max(20, Math.min(300, Math.round(3e7 / (count * count))));
+  const dx = new Float64Array(count);
+  const dy = new Float64Array(count);
+  let temperature = k * 2;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    dx.fill(0);
+    dy.fill(0);
+
+    for (let a = 0; a < count; a++) {
+      for (let b = a + 1; b < count; b++) {
+        let deltaX = x[a] - x[b];
+        let deltaY = y[a] - y[b];
+        let distance = Math.hypot(deltaX, deltaY);
+        if (distance < 0.01) {
+          // Separate coincident nodes in a fixed direction so the result stays deterministic
+          deltaX = 0.01 * ((a % 7) - 3 || 1);
+          deltaY = 0.01 * ((b % 5) - 2 || 1);
+          distance = Math.hypot(deltaX, deltaY);
+        }
+        const force = (k * k) / distance;
+        dx[a] += (deltaX / distance) * force;
+        dy[a] += (deltaY / distance) * force;
+        dx[b] -= (deltaX / distance) * force;
+        dy[b] -= (deltaY / distance) * force;
+      }
+    }
+
+    for (const [a, b, weight] of edges) {
+      const deltaX = x[a] - x[b];
+      const deltaY = y[a] - y[b];
+      const distance = Math.max(0.01, Math.hypot(deltaX, deltaY));
+      const force = ((distance * distance) / k) * weight;
+      dx[a] -= (deltaX / distance) * force;
+      dy[a] -= (deltaY / distance) * force;
+      dx[b] += (deltaX / distance) * force;
+      dy[b] += (deltaY / distance) * force;
+    }
+
+    // Gravity towards the centre keeps unrelated ideas from drifting off
+    let centerX = 0;
+    let centerY = 0;
+    for (let i = 0; i < count; i++) {
+      centerX += x[i] / count;
+      centerY += y[i] / count;
+    }
+
+    for (let i = 0; i < count; i++) {
+      const deltaX = x[i] - centerX;
+      const deltaY = y[i] - centerY;
+      const distance = Math.hypot(deltaX, deltaY);
+      dx[i] -= (deltaX * distance) / k;
+      dy[i] -= (deltaY * distance) / k;
+
+      const length = Math.hypot(dx[i], dy[i]);
+      if (length > 0) {
+        const step = Math.min(length, temperature);
+        x[i] += (dx[i] / length) * step;
+        y[i] += (dy[i] / length) * step;
+      }
+    }
+
+    temperature = Math.max(1, temperature * (1 - 1 / iterations) - k / iterations);
+  }
+
+  return snapToCells(ideas.map((idea, i) => ({ id: idea.id, x: x[i], y: y[i] })), options);
+};
+
+/**
+ * Lay out all ideas with the given algorithm
+ * @param {string} algorithm - force | grid | tags
+ * @param {Array} ideas - Ideas with id, tags, position, createdAt
+ * @param {Array} links - Idea links ({ fromId, toId })
+ * @param {Object} options - Overrides for DEFAULT_LAYOUT_OPTIONS
+ * @returns {Object} { positions, bounds, groups? }
+ */
+export const layoutIdeas = (algorithm, ideas, links = [], options = {}) => {
+  const settings = { ...DEFAULT_LAYOUT_OPTIONS, ...options };
+
+  if (algorithm === 'tags') {
+    const { positions, groups } = tagLayout(ideas, settings);
+    return { positions, bounds: layoutBounds(positions, settings), groups };
+  }
+
+  const positions = algorithm === 'grid'
+    ? gridLayout(ideas, settings)
+    : forceLayout(ideas, links, settings);
+  return { positions, bounds: layoutBounds(positions, settings) };
+};
+
+/**
+ * Pick a free spot for a new idea next to the ideas it shares the most tags with
+ * (or at the top-left of the map when nothing is related)
+ * @param {Array} tags - Tags of the new idea
+ * @param {Array} existing - The user's ideas with tags and position
+ * @param {Object} options - Overrides for DEFAULT_LAYOUT_OPTIONS
+ * @returns {Object} { x, y }
+ */
+export const placeNewIdea = (tags, existing, options = {}) => {
+  const settings = { ...DEFAULT_LAYOUT_OPTIONS, ...options };
+  const cell = cellSize(settings);
+  const placed = existing.filter(hasPosition);
+
+  const wanted = new Set(tags || []);
+  const scored = placed.map(idea => ({
+    idea,
+    shared: (idea.tags || []).filter(tag => wanted.has(tag)).length
+  }));
+  const best = Math.max(0, ...scored.map(entry => entry.shared));
+  const related = best > 0 ? scored.filter(entry => entry.shared === best).map(entry => entry.idea) : [];
+
+  const anchor = related.length > 0
+    ? {
+        x: related.reduce((sum, idea) => sum + idea.position.x, 0) / related.length,
+        y: related.reduce((sum, idea) => sum + idea.position.y, 0) / related.length
+      }
+    : settings.origin;
+
+  const overlaps = (x, y) => placed.some(idea => (
+    Math.abs(idea.position.x - x) < cell.width && Math.abs(idea.position.y - y) < cell.height
+  ));
+
+  // Walk outwards from the anchor in card-sized steps until a spot is free
+  for (const [column, row] of spiralCells(0, 0)) {
+    const x = Math.round(anchor.x + column * cell.width);
+    const y = Math.round(anchor.y + row * cell.height);
+    if (x >= 0 && y >= 0 && !overlaps(x, y)) {
+      return { x, y };
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import prisma from './prisma.js';
+import { learnAllPatterns } from './userProfile.js';
+import { generateDueReviews } from './weeklyReview.js';
+import { evaluateAllNudges } from './nudges.js';
+import { deliverNotifications } from './notifications.js';
+
+// Background jobs, run on an interval inside a long-running server, or triggered by a scheduler:
+// Vercel Cron calls GET /api/jobs/:name (see vercel.json), other hosts can schedule
+// `npm run jobs:run -- <job>`.
+//
+// Each job gets { since: Date of its previous successful run (null on the first run) } and returns
+// a summary that is logged. Runs are tracked in the JobRun table, so every server instance and
+// scheduler shares them: a run is skipped while another one of the same job is still going.
+//
+// Configuration (environment):
+//   JOBS_ENABLED  false disables the in-process runner. It never starts on Vercel, where
+//                 functions are frozen between requests and the cron entries run the jobs.
+
+const JOBS = {
+  'learn-patterns': { interval: 6 * 60 * 60 * 1000, run: learnAllPatterns },
+  // Hourly so that every timezone gets last week's review early on its Monday
+  'weekly-reviews': { interval: 60 * 60 * 1000, run: generateDueReviews },
+  nudges: { interval: 15 * 60 * 1000, run: evaluateAllNudges },
+  notifications: { interval: 60 * 1000, run: deliverNotifications }
+};
+
+export const JOB_NAMES = Object.keys(JOBS);
+
+// A run that hasn't finished after this long is assumed to have crashed and may be taken over
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+// Mark a job as running; returns the previous successful run's start, or undefined when the job
+// is already running elsewhere
+const claimRun = async (name, startedAt) => {
+  await prisma.jobRun.createMany({ data: [{ name }], skipDuplicates: true });
+
+  const claimed = await prisma.jobRun.updateMany({
+    where: {
+      name,
+      OR: [
+        { startedAt: null },
+        { startedAt: { lt: new Date(startedAt.getTime() - STALE_RUN_MS) } }
+      ]
+    },
+    data: { startedAt }
+  });
+  if (claimed.count === 0) {
+    return undefined;
+  }
+
+  const { lastRunAt } = await prisma.jobRun.findUnique({ where: { name } });
+  return lastRunAt;
+};
+
+/**
+ * Run a job once
+ * @param {string} name - One of JOB_NAMES
+ * @returns {Object|null} The job's summary, null when it is already running
+ */
+export const runJob = async (name) => {
+  const job = JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown job "${name}". Use ${JOB_NAMES.join(', ')}.`);
+  }
+
+  const startedAt = new Date();
+  const since = await claimRun(name, startedAt);
+  if (since === undefined) {
+    return null;
+  }
+
+  let finished = false;
+  try {
+    const summary = await job.run({ since });
+    finished = true;
+    console.log(`⏱️  Job ${name} finished:`, summary);
+    return summary;
+  } finally {
+    await prisma.jobRun.updateMany({
+      where: { name, startedAt },
+      data: { startedAt: null, ...(finished && { lastRunAt: startedAt }) }
+    });
+  }
+};
+
+/**
+ * Start running every job on its interval
+ * @returns {Function} Stops the timers
+ */
+export const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false' || process.env.VERCEL) {
+    return () => {};
+  }
+
+  const timers = Object.entries(JOBS).map(([name, job]) => {
+    const timer = setInterval(() => {
+      runJob(name).catch(error => console.error(`Error running job ${name}:`, error));
+    }, job.interval);
+    // Jobs never keep the process alive on their own
+    timer.unref();
+    return timer;
+  });
+
+  return () => timers.forEach(timer => clearInterval(timer));
+};
@@ -0,0 +1,219 @@
+// Incremental JSON parser for streamed model output.
+//
+// Text is fed in chunks as it arrives. Every value is reported as soon as it is complete,
+// together with its path from the root (e.g. ['tasks', 2] for the third task), and strings
+// that are still being streamed are reported as partial values. Anything before the first
+// "{" or "[" (prose, ``` fences) and after the root value is ignored.
+// The parser never throws: on malformed input it stops and sets error, and the caller falls
+// back to parsing the complete text.
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Characters of numbers and of true/false/null
+const LITERAL_CHAR = /[\w.+-]/;
+
+/**
+ * Create an incremental parser
+ * @returns {Object} { push(chunk) => events, done, error }
+ *   events are { type: 'value', path, value } for completed values and
+ *   { type: 'partial', path, value } for the string being streamed at the end of the chunk
+ */
+export const createJsonStreamParser = () => {
+  // Open containers: { container, path, key (objects: key of the value being parsed) }
+  const stack = [];
+  let mode = 'start';
+  let text = '';
+  let escape = null;
+  let isKey = false;
+  let done = false;
+  let error = null;
+  let events = [];
+
+  const top = () => stack[stack.length - 1];
+
+  // Path of the value being parsed in the innermost container
+  const childPath = () => {
+    const frame = top();
+    return [...frame.path, Array.isArray(frame.container) ? frame.container.length : frame.key];
+  };
+
+  const fail = (message) => {
+    error = message;
+    mode = 'failed';
+  };
+
+  const completeValue = (value, path = stack.length > 0 ? childPath() : []) => {
+    events.push({ type: 'value', path, value });
+
+    const frame = top();
+    if (!frame) {
+      done = true;
+      mode = 'end';
+      return;
+    }
+    if (Array.isArray(frame.container)) {
+      frame.container.push(value);
+    } else {
+      frame.container[frame.key] = value;
+      frame.key = null;
+    }
+    mode = 'afterValue';
+  };
+
+  const open = (container) => {
+    stack.push({ container, path: stack.length > 0 ? childPath() : [], key: null });
+    mode = Array.isArray(container) ? 'valueOrEnd' : 'keyOrEnd';
+  };
+
+  const close = (char) => {
+    const frame = top();
+    if (char !== (Array.isArray(frame.container) ? ']' : '}')) {
+      return fail(`Unexpected "${char}"`);
+    }
+    stack.pop();
+    completeValue(frame.container, frame.path);
+  };
+
+  const startValue = (char) => {
+    if (char === '{') {
+      open({});
+    } else if (char === '[') {
+      open([]);
+    } else if (char === '"') {
+      mode = 'string';
+      isKey = false;
+      text = '';
+    } else if (LITERAL_CHAR.test(char)) {
+      mode = 'literal';
+      text = char;
+    } else {
+      fail(`Unexpected "${char}"`);
+    }
+  };
+
+  const finishLiteral = () => {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch {
+      return fail(`Invalid literal "${text}"`);
+    }
+    completeValue(value);
+  };
+
+  const step = (char) => {
+    switch (mode) {
+      case 'start':
+        if (char === '{' || char === '[') {
+          startValue(char);
+        }
+        return;
+
+      case 'string':
+        // escape is '' right after a backslash, then 'u' plus the hex digits of a \u escape
+        if (escape === '') {
+          if (char === 'u') {
+            escape = 'u';
+          } else {
+            text += ESCAPES[char] ?? char;
+            escape = null;
+          }
+        } else if (escape !== null) {
+          escape += char;
+          if (escape.length === 5) {
+            text += String.fromCharCode(parseInt(escape.slice(1), 16));
+            escape = null;
+          }
+        } else if (char === '\\') {
+          escape = '';
+        } else if (char === '"') {
+          if (isKey) {
+            top().key = text;
+            mode = 'colon';
+          } else {
+            completeValue(text);
+          }
+        } else {
+          text += char;
+        }
+        return;
+
+      case 'literal':
+        if (LITERAL_CHAR.test(char)) {
+          text += char;
+          return;
+        }
+        finishLiteral();
+        if (mode !== 'failed') {
+          step(char);
+        }
+        return;
+
+      default:
+        break;
+    }
+
+    if (WHITESPACE.has(char)) {
+      return;
+    }
+
+    switch (mode) {
+      case 'value':
+        return startValue(char);
+
+      case 'valueOrEnd':
+        return char === ']' ? close(char) : startValue(char);
+
+      case 'keyOrEnd':
+        if (char === '}') {
+          return close(char);
+        }
+        if (char !== '"') {
+          return fail(`Expected a key, got "${char}"`);
+        }
+        mode = 'string';
+        isKey = true;
+        text = '';
+        return;
+
+      case 'colon':
+        return char === ':' ? (mode = 'value') : fail(`Expected ":", got "${char}"`);
+
+      case 'afterValue':
+        if (char === ',') {
+          // Trailing commas are tolerated, models produce them now and then
+          mode = Array.isArray(top().container) ? 'valueOrEnd' : 'keyOrEnd';
+          return;
+        }
+        return char === '}' || char === ']' ? close(char) : fail(`Unexpected "${char}"`);
+
+      default:
+        // 'end' and 'failed' ignore the rest of the input
+        return;
+    }
+  };
+
+  return {
+    push(chunk) {
+      events = [];
+      for (const char of chunk) {
+        step(char);
+        if (mode === 'end' || mode === 'failed') break;
+      }
+      if (mode === 'string' && !isKey) {
+        events.push({ type: 'partial', path: childPath(), value: text });
+      }
+      return events;
+    },
+
+    get done() {
+      return done;
+    },
+
+    get error() {
+      return error;
+    }
+  };
+};
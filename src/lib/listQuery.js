@@ -0,0 +1,237 @@
+import { GOAL_STATUSES } from './goalLifecycle.js';
+import { NUDGE_STATUSES } from './nudges.js';
+import { DELIVERY_STATUSES } from './notifications.js';
+
+// Shared query language for list endpoints (tasks, goals, ideas, nudges, deliveries)
+//
+// Supported query parameters, depending on the resource config:
+//   ?completed=true            boolean filters
+//   ?priority=HIGH,MEDIUM      enum filters (comma separated)
+//   ?goalId=abc | none         id filters ("none" matches null)
+//   ?dueFrom=...&dueTo=...     date range filters (ISO dates)
+//   ?tags=a,b                  array filters (matches any)
+//   ?q=text                    case-insensitive search over text fields
+//   ?sort=-priority,createdAt  sort fields, "-" prefix for descending
+//   ?limit=20&cursor=<id>      cursor pagination (cursor = id of the last item seen)
+
+const MAX_LIMIT = 200;
+
+const parseBoolean = (value) => {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+const parseList = (value) => String(value)
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Translate request query parameters into Prisma findMany arguments
+ * @param {Object} query - req.query
+ * @param {Object} config - Resource config (see TASK_LIST_QUERY etc.)
+ * @returns {Object} { where, orderBy, take, cursor, skip, limit } or { error }
+ */
+export const parseListQuery = (query, config) => {
+  const where = {};
+
+  for (const field of config.booleans || []) {
+    if (query[field] === undefined) continue;
+    const value = parseBoolean(query[field]);
+    if (value === undefined) {
+      return { error: `${field} must be true or false` };
+    }
+    where[field] = value;
+  }
+
+  for (const [field, allowed] of Object.entries(config.enums || {})) {
+    if (query[field] === undefined) continue;
+    const values = parseList(query[field]).map(value => value.toUpperCase());
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (invalid.length > 0) {
+      return { error: `${field} must be one of ${allowed.join(', ')}` };
+    }
+    where[field] = { in: values };
+  }
+
+  for (const field of config.ids || []) {
+    if (query[field] === undefined) continue;
+    where[field] = query[field] === 'none' ? null : query[field];
+  }
+
+  for (const field of config.strings || []) {
+    if (query[field] === undefined) continue;
+    where[field] = { equals: query[field], mode: 'insensitive' };
+  }
+
+  for (const [field, param] of Object.entries(config.arrays || {})) {
+    if (query[param] === undefined) continue;
+    where[field] = { hasSome: parseList(query[param]) };
+  }
+
+  for (const [field, { from, to }] of Object.entries(config.dateRanges || {})) {
+    const range = {};
+    if (query[from] !== undefined) {
+      range.gte = parseDate(query[from]);
+      if (!range.gte) return { error: `${from} must be a valid date` };
+    }
+    if (query[to] !== undefined) {
+      range.lte = parseDate(query[to]);
+      if (!range.lte) return { error: `${to} must be a valid date` };
+    }
+    if (Object.keys(range).length > 0) {
+      where[field] = range;
+    }
+  }
+
+  if (query.q && config.search) {
+    where.OR = config.search.map(field => ({
+      [field]: { contains: String(query.q), mode: 'insensitive' }
+    }));
+  }
+
+  // Sorting - always tie-break on id so cursors are stable
+  const orderBy = [];
+  const sortFields = query.sort ? parseList(query.sort) : config.defaultSort;
+  for (const sortField of sortFields) {
+    const direction = sortField.startsWith('-') ? 'desc' : 'asc';
+    const field = sortField.replace(/^[-+]/, '');
+    if (!config.sortable.includes(field)) {
+      return { error: `sort must use one of ${config.sortable.join(', ')}` };
+    }
+    orderBy.push({ [field]: direction });
+  }
+  orderBy.push({ id: 'asc' });
+
+  // Pagination
+  let limit = config.defaultLimit;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1) {
+      return { error: 'limit must be a positive number' };
+    }
+  }
+  if (limit) {
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const args = { where, orderBy, limit };
+
+  if (limit) {
+    // Fetch one extra row to know whether there is a next page
+    args.take = limit + 1;
+  }
+
+  if (query.cursor) {
+    args.cursor = { id: String(query.cursor) };
+    args.skip = 1;
+  } else if (query.offset !== undefined) {
+    args.skip = parseInt(query.offset) || 0;
+  }
+
+  return args;
+};
+
+/**
+ * Run a list query against a Prisma model and set pagination headers
+ * @param {Object} model - Prisma delegate, e.g. prisma.task
+ * @param {Object} listQuery - Result of parseListQuery
+ * @param {Object} res - Express response (X-Total-Count / X-Next-Cursor are set on it)
+ * @param {Object} extraArgs - Additional findMany args (include, select)
+ * @returns {Array} Page of records
+ */
+export const findPage = async (model, listQuery, res, extraArgs = {}) => {
+  const { where, orderBy, take, cursor, skip, limit } = listQuery;
+
+  const [total, rows] = await Promise.all([
+    model.count({ where }),
+    model.findMany({
+      where,
+      orderBy,
+      ...(take && { take }),
+      ...(cursor && { cursor }),
+      ...(skip && { skip }),
+      ...extraArgs
+    })
+  ]);
+
+  const hasMore = Boolean(limit) && rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  res.setHeader('X-Total-Count', total);
+  if (hasMore) {
+    res.setHeader('X-Next-Cursor', page[page.length - 1].id);
+  }
+
+  return page;
+};
+
+export const TASK_LIST_QUERY = {
+  booleans: ['completed', 'aiGenerated'],
+  enums: { priority: ['LOW', 'MEDIUM', 'HIGH'] },
+  ids: ['goalId'],
+  dateRanges: {
+    dueDate: { from: 'dueFrom', to: 'dueTo' },
+    createdAt: { from: 'createdFrom', to: 'createdTo' },
+    completedAt: { from: 'completedFrom', to: 'completedTo' }
+  },
+  search: ['title', 'description'],
+  sortable: ['priority', 'createdAt', 'updatedAt', 'dueDate', 'completedAt', 'title', 'estimatedTime'],
+  defaultSort: ['-priority', '-createdAt']
+};
+
+export const GOAL_LIST_QUERY = {
+  enums: {
+    priority: ['LOW', 'MEDIUM', 'HIGH'],
+    status: GOAL_STATUSES
+  },
+  strings: ['category'],
+  dateRanges: {
+    deadline: { from: 'deadlineFrom', to: 'deadlineTo' },
+    createdAt: { from: 'createdFrom', to: 'createdTo' }
+  },
+  search: ['title', 'description'],
+  sortable: ['priority', 'createdAt', 'updatedAt', 'deadline', 'title', 'status'],
+  defaultSort: ['-createdAt']
+};
+
+export const IDEA_LIST_QUERY = {
+  booleans: ['expanded'],
+  arrays: { tags: 'tags' },
+  dateRanges: {
+    createdAt: { from: 'createdFrom', to: 'createdTo' }
+  },
+  search: ['title', 'description', 'content'],
+  sortable: ['createdAt', 'updatedAt', 'title'],
+  defaultSort: ['-createdAt'],
+  defaultLimit: 50
+};
+
+export const NUDGE_LIST_QUERY = {
+  enums: { status: NUDGE_STATUSES },
+  strings: ['rule'],
+  dateRanges: {
+    createdAt: { from: 'createdFrom', to: 'createdTo' }
+  },
+  sortable: ['createdAt', 'updatedAt', 'status'],
+  defaultSort: ['-createdAt'],
+  defaultLimit: 50
+};
+
+export const DELIVERY_LIST_QUERY = {
+  enums: { status: DELIVERY_STATUSES },
+  strings: ['channel'],
+  ids: ['nudgeId'],
+  dateRanges: {
+    createdAt: { from: 'createdFrom', to: 'createdTo' }
+  },
+  sortable: ['createdAt', 'updatedAt', 'status'],
+  defaultSort: ['-createdAt'],
+  defaultLimit: 50
+};
@@ -0,0 +1,276 @@
+import OpenAI from 'openai';
+import { createReplayProvider, withRecording, estimateTokens } from './llmReplay.js';
+import { recordUsage } from './aiUsage.js';
+import 'dotenv/config';
+
+// Provider-agnostic LLM client used by the /api/ai routes.
+//
+// Configuration (environment):
+//   LLM_PROVIDER     openai (default) | openai-compatible | replay
+//   LLM_BASE_URL     Base URL for openai-compatible servers, e.g. http://localhost:11434/v1 (Ollama)
+//   LLM_API_KEY      API key, falls back to OPENAI_API_KEY
+//   LLM_MODEL        Model for every endpoint without its own override
+//   LLM_FIXTURES_DIR Fixture directory for the replay provider (default: fixtures/llm)
+//   LLM_RECORD_DIR   When set, real responses are also written there as replay fixtures
+//   LLM_JSON_MODE    How structured output is requested: json_object (default), json_schema
+//                    (schema-guided, newer OpenAI models) or off (servers without JSON mode)
+//
+// Per-endpoint overrides use the upper-cased endpoint name, e.g.
+//   LLM_MODEL_SUGGEST_TASKS, LLM_TEMPERATURE_SUGGEST_TASKS, LLM_MAX_TOKENS_SUGGEST_TASKS
+
+const ENDPOINT_DEFAULTS = {
+  'suggest-tasks': { model: 'gpt-4-turbo-preview', temperature: 0.7, maxTokens: 2000 },
+  'optimize-schedule': { model: 'gpt-4-turbo-preview', temperature: 0.3, maxTokens: 1500 },
+  'analyze-productivity': { model: 'gpt-4-turbo-preview', temperature: 0.7, maxTokens: 1000 },
+  'transform-thought': { model: 'gpt-4-turbo-preview', temperature: 0.7, maxTokens: 1000 },
+  'transform-thought-to-goal': { model: 'gpt-4-turbo-preview', temperature: 0.7, maxTokens: 1500 },
+  'transform-thought-streaming': { model: 'gpt-4o', temperature: 0.7, maxTokens: 1000 },
+  'expand-idea': { model: 'gpt-4-turbo-preview', temperature: 0.7, maxTokens: 1500 },
+  'classify-items': { model: 'gpt-4o-mini', temperature: 0.2, maxTokens: 1000 },
+  'chat': { model: 'gpt-4o', temperature: 0.5, maxTokens: 1000 },
+  'weekly-review': { model: 'gpt-4o-mini', temperature: 0.6, maxTokens: 800 }
+};
+
+const FALLBACK_SETTINGS = { model: 'gpt-4o', temperature: 0.7, maxTokens: 1000 };
+
+// Map a { name, schema } structured-output request onto the chat completions response_format
+const toResponseFormat = (responseFormat) => {
+  const mode = (process.env.LLM_JSON_MODE || 'json_object').toLowerCase();
+  if (!responseFormat || mode === 'off') {
+    return undefined;
+  }
+  if (mode === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: false }
+    };
+  }
+  return { type: 'json_object' };
+};
+
+// Tool calls come back as { id, name, arguments: JSON string }
+const fromToolCalls = (toolCalls) => (toolCalls || []).map(call => ({
+  id: call.id,
+  name: call.function?.name,
+  arguments: call.function?.arguments || '{}'
+}));
+
+/**
+ * Resolve model, temperature and max_tokens for an endpoint
+ * @param {string} endpoint - e.g. 'suggest-tasks'
+ * @returns {Object} { model, temperature, maxTokens }
+ */
+export const getEndpointSettings = (endpoint) => {
+  const defaults = ENDPOINT_DEFAULTS[endpoint] || FALLBACK_SETTINGS;
+  const key = endpoint.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const env = process.env;
+
+  const temperature = parseFloat(env[`LLM_TEMPERATURE_${key}`]);
+  const maxTokens = parseInt(env[`LLM_MAX_TOKENS_${key}`]);
+
+  return {
+    model: env[`LLM_MODEL_${key}`] || env.LLM_MODEL || defaults.model,
+    temperature: isNaN(temperature) ? defaults.temperature : temperature,
+    maxTokens: isNaN(maxTokens) ? defaults.maxTokens : maxTokens
+  };
+};
+
+/**
+ * Provider backed by the OpenAI SDK - also used for any OpenAI-compatible server
+ * (Ollama, llama.cpp, vLLM, ...) through baseURL
+ * @param {Object} options - { apiKey, baseURL }
+ * @returns {Object} Provider with complete() and stream()
+ */
+const createOpenAIProvider = ({ apiKey, baseURL }) => {
+  const client = new OpenAI({
+    // Local servers usually ignore the key, but the SDK requires one
+    apiKey: apiKey || (baseURL ? 'not-needed' : undefined),
+    ...(baseURL && { baseURL })
+  });
+
+  return {
+    name: baseURL ? 'openai-compatible' : 'openai',
+
+    async complete({ messages, model, temperature, maxTokens, responseFormat, tools, signal }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        response_format: toResponseFormat(responseFormat),
+        ...(tools && { tools })
+      }, { signal });
+
+      const message = completion.choices?.[0]?.message;
+      return {
+        content: message?.content || '',
+        toolCalls: fromToolCalls(message?.tool_calls),
+        model: completion.model || model,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0
+        }
+      };
+    },
+
+    async *stream({ messages, model, temperature, maxTokens, responseFormat, tools, signal, onUsage, onToolCalls }) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        response_format: toResponseFormat(responseFormat),
+        ...(tools && { tools }),
+        stream: true,
+        // Only OpenAI itself is known to support usage reporting on streams
+        ...(!baseURL && { stream_options: { include_usage: true } })
+      }, { signal });
+
+      // Tool calls arrive in fragments keyed by index: id and name first, then pieces of the arguments
+      const toolCalls = [];
+
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          onUsage?.({
+            model: chunk.model || model,
+            promptTokens: chunk.usage.prompt_tokens || 0,
+            completionTokens: chunk.usage.completion_tokens || 0
+          });
+        }
+
+        for (const fragment of chunk.choices?.[0]?.delta?.tool_calls || []) {
+          const call = toolCalls[fragment.index] ||= { id: '', function: { name: '', arguments: '' } };
+          call.id += fragment.id || '';
+          call.function.name += fragment.function?.name || '';
+          call.function.arguments += fragment.function?.arguments || '';
+        }
+
+        const content = chunk.choices?.[0]?.delta?.content || '';
+        if (content) {
+          yield content;
+        }
+      }
+
+      if (toolCalls.length > 0) {
+        onToolCalls?.(fromToolCalls(toolCalls.filter(Boolean)));
+      }
+    }
+  };
+};
+
+const createProvider = () => {
+  const providerName = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+
+  let provider;
+  switch (providerName) {
+    case 'replay':
+      provider = createReplayProvider({ dir: process.env.LLM_FIXTURES_DIR });
+      break;
+    case 'openai-compatible':
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      provider = createOpenAIProvider({ apiKey, baseURL: process.env.LLM_BASE_URL });
+      break;
+    case 'openai':
+      provider = createOpenAIProvider({ apiKey });
+      break;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use openai, openai-compatible or replay.`);
+  }
+
+  if (process.env.LLM_RECORD_DIR && provider.name !== 'replay') {
+    provider = withRecording(provider, process.env.LLM_RECORD_DIR);
+  }
+
+  console.log(`🤖 LLM provider: ${provider.name}`);
+  return provider;
+};
+
+// Created lazily so a missing API key only fails the AI routes, not server startup
+let activeProvider = null;
+
+const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active provider (e.g. with a replay provider in tests); pass null to reset
+ * @param {Object|null} provider
+ */
+export const setLLMProvider = (provider) => {
+  activeProvider = provider;
+};
+
+// Log a call in AiUsage when it was made on behalf of a user; metering never fails the request
+const meter = async (userId, endpoint, provider, model, usage) => {
+  if (!userId) {
+    return;
+  }
+
+  try {
+    await recordUsage({ userId, endpoint, provider: provider.name, model, usage });
+  } catch (error) {
+    console.error('Error recording AI usage:', error);
+  }
+};
+
+/**
+ * Run a chat completion for an endpoint
+ * @param {string} endpoint - Endpoint name used for settings and fixtures
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - Optional { userId, signal, responseFormat: { name, schema }, tools } and setting
+ *   overrides; calls with a userId are metered. tools are chat completions tool definitions.
+ * @returns {Object} { content, toolCalls: [{ id, name, arguments }], model, usage: { promptTokens, completionTokens } }
+ */
+export const complete = async (endpoint, messages, { userId, ...options } = {}) => {
+  const provider = getProvider();
+  const result = await provider.complete({
+    endpoint,
+    messages,
+    ...getEndpointSettings(endpoint),
+    ...options
+  });
+
+  await meter(userId, endpoint, provider, result.model, result.usage);
+  return result;
+};
+
+/**
+ * Stream a chat completion for an endpoint
+ * @param {string} endpoint - Endpoint name used for settings and fixtures
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - Optional { userId, signal, responseFormat: { name, schema }, tools, onToolCalls } and
+ *   setting overrides; calls with a userId are metered, also when the stream is abandoned early.
+ *   onToolCalls([{ id, name, arguments }]) is called after the last delta when the model called tools.
+ * @returns {AsyncIterable<string>} Content deltas
+ */
+export const stream = async function* (endpoint, messages, { userId, ...options } = {}) {
+  const provider = getProvider();
+  const request = {
+    endpoint,
+    messages,
+    ...getEndpointSettings(endpoint),
+    ...options
+  };
+
+  let reported = null;
+  let content = '';
+  try {
+    for await (const chunk of provider.stream({ ...request, onUsage: usage => { reported = usage; } })) {
+      content += chunk;
+      yield chunk;
+    }
+  } finally {
+    // Providers that don't report stream usage get the same estimate the replay provider uses
+    const { model = request.model, ...usage } = reported || {
+      promptTokens: estimateTokens(JSON.stringify(messages)),
+      completionTokens: estimateTokens(content)
+    };
+    await meter(userId, endpoint, provider, model, usage);
+  }
+};
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Deterministic fixture-replay LLM provider, so the AI routes can run without network access.
+//
+// Fixtures are JSON files in the fixture directory:
+//   <endpoint>.<hash>.json  response recorded for exactly these messages
+//   <endpoint>.json         default response for the endpoint
+// with the shape { "content": string | object, "chunks"?: [string], "toolCalls"?: [...], "model"?: string, "usage"?: {...} }.
+// Object content is serialized as JSON, which keeps hand-written fixtures readable.
+// toolCalls are { "id", "name", "arguments": string | object } like the ones a model returns.
+//
+// Conversations with tools take several model turns per user message. A fixture with
+// "turns": [response, ...] answers with the response for the number of assistant messages
+// since the last user message, so one file can script a whole tool-calling exchange.
+
+const DEFAULT_FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/llm');
+const STREAM_CHUNK_SIZE = 16;
+
+/**
+ * Stable hash of a conversation, used to key recorded fixtures
+ * @param {Array} messages
+ * @returns {string}
+ */
+export const hashMessages = (messages) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify(messages))
+  .digest('hex')
+  .slice(0, 12);
+
+/**
+ * Rough token estimate (~4 characters per token) for responses without reported usage
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Index of the model turn since the last user message
+const currentTurn = (messages) => {
+  let turn = 0;
+  for (let i = messages.length - 1; i >= 0 && messages[i].role !== 'user'; i--) {
+    if (messages[i].role === 'assistant') {
+      turn++;
+    }
+  }
+  return turn;
+};
+
+const abortError = () => {
+  const error = new Error('The request was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Create a provider that replays fixture responses
+ * @param {Object} options - { dir }
+ * @returns {Object} Provider with complete() and stream()
+ */
+export const createReplayProvider = ({ dir } = {}) => {
+  const fixturesDir = dir ? path.resolve(dir) : DEFAULT_FIXTURES_DIR;
+
+  const loadFixture = (endpoint, messages) => {
+    const candidates = [
+      path.join(fixturesDir, `${endpoint}.${hashMessages(messages)}.json`),
+      path.join(fixturesDir, `${endpoint}.json`)
+    ];
+
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+    if (!file) {
+      const error = new Error(`No LLM fixture for "${endpoint}" in ${fixturesDir}`);
+      error.code = 'fixture_not_found';
+      throw error;
+    }
+
+    let fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(fixture.turns)) {
+      fixture = fixture.turns[Math.min(currentTurn(messages), fixture.turns.length - 1)];
+    }
+
+    // Turns that only call tools have no content
+    const { content: raw = '' } = fixture;
+    const content = typeof raw === 'string' ? raw : JSON.stringify(raw, null, 2);
+
+    return {
+      content,
+      chunks: fixture.chunks,
+      toolCalls: (fixture.toolCalls || []).map(call => ({
+        ...call,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+      })),
+      model: fixture.model || 'replay',
+      usage: {
+        promptTokens: fixture.usage?.promptTokens ?? estimateTokens(JSON.stringify(messages)),
+        completionTokens: fixture.usage?.completionTokens ?? estimateTokens(content)
+      }
+    };
+  };
+
+  return {
+    name: 'replay',
+
+    async complete({ endpoint, messages, signal }) {
+      if (signal?.aborted) {
+        throw abortError();
+      }
+      const { content, toolCalls, model, usage } = loadFixture(endpoint, messages);
+      return { content, toolCalls, model, usage };
+    },
+
+    async *stream({ endpoint, messages, signal, onUsage, onToolCalls }) {
+      const { content, chunks, toolCalls, model, usage } = loadFixture(endpoint, messages);
+      const pieces = chunks || content.match(new RegExp(`[\\s\\S]{1,${STREAM_CHUNK_SIZE}}`, 'g')) || [];
+
+      for (const piece of pieces) {
+        if (signal?.aborted) {
+          throw abortError();
+        }
+        yield piece;
+      }
+      if (toolCalls.length > 0) {
+        onToolCalls?.(toolCalls);
+      }
+      onUsage?.({ model, ...usage });
+    }
+  };
+};
+
+/**
+ * Wrap a provider so every response is also saved as a replay fixture
+ * @param {Object} provider
+ * @param {string} dir - Directory to write fixtures to
+ * @returns {Object} Provider
+ */
+export const withRecording = (provider, dir) => {
+  const write = (endpoint, messages, fixture) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${endpoint}.${hashMessages(messages)}.json`);
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+    console.log('📼 Recorded LLM fixture:', file);
+  };
+
+  return {
+    name: provider.name,
+
+    async complete(request) {
+      const result = await provider.complete(request);
+      write(request.endpoint, request.messages, result);
+      return result;
+    },
+
+    async *stream(request) {
+      const chunks = [];
+      let toolCalls;
+      const onToolCalls = (calls) => {
+        toolCalls = calls;
+        request.onToolCalls?.(calls);
+      };
+
+      for await (const chunk of provider.stream({ ...request, onToolCalls })) {
+        chunks.push(chunk);
+        yield chunk;
+      }
+      write(request.endpoint, request.messages, { content: chunks.join(''), chunks, ...(toolCalls && { toolCalls }) });
+    }
+  };
+};
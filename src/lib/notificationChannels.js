@@ -0,0 +1,184 @@
+import webpush from 'web-push';
+import nodemailer from 'nodemailer';
+import 'dotenv/config';
+
+// Transports that deliver a notification on one channel.
+//
+// A transport is { name, send(target, message) } where message is { title, body, data } and
+// target is a Web Push subscription { endpoint, keys }, an Expo push token or an email address.
+// send() throws on failure; errors with `permanent: true` are not retried (the subscription is
+// gone, the address is rejected).
+//
+// Configuration (environment):
+//   NOTIFY_TRANSPORT            live | fake (default: live in production, fake otherwise), or per
+//                               channel NOTIFY_TRANSPORT_WEBPUSH, NOTIFY_TRANSPORT_EXPO, NOTIFY_TRANSPORT_EMAIL
+//   VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT (mailto: or https: URL)
+//                               Web Push keys, generate them with `npx web-push generate-vapid-keys`
+//   EXPO_PUSH_URL               Expo push API (default https://exp.host/--/api/v2/push/send)
+//   EXPO_ACCESS_TOKEN           Only needed with Expo's enhanced push security
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+//
+// Fake transports keep sent messages in memory (see getFakeOutbox) instead of sending them.
+// Targets containing "fail" fail with a retryable error and targets containing "gone" fail
+// permanently, so retries and cleanup can be exercised offline.
+
+export const CHANNELS = ['webpush', 'expo', 'email'];
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+const deliveryError = (message, { permanent = false } = {}) => Object.assign(new Error(message), { permanent });
+
+const webPushTransport = () => ({
+  name: 'webpush',
+  send: async (subscription, message) => {
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+      throw deliveryError('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not configured');
+    }
+
+    try {
+      await webpush.sendNotification(subscription, JSON.stringify(message), {
+        vapidDetails: {
+          subject: VAPID_SUBJECT || 'mailto:support@nudgr.app',
+          publicKey: VAPID_PUBLIC_KEY,
+          privateKey: VAPID_PRIVATE_KEY
+        },
+        TTL: 24 * 60 * 60
+      });
+    } catch (error) {
+      // 404 and 410: the browser dropped the subscription
+      throw deliveryError(error.body || error.message, { permanent: [404, 410].includes(error.statusCode) });
+    }
+  }
+});
+
+const expoTransport = () => ({
+  name: 'expo',
+  send: async (token, { title, body, data }) => {
+    const response = await fetch(process.env.EXPO_PUSH_URL || EXPO_PUSH_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...(process.env.EXPO_ACCESS_TOKEN && { Authorization: `Bearer ${process.env.EXPO_ACCESS_TOKEN}` })
+      },
+      body: JSON.stringify({ to: token, title, body, data, sound: 'default' })
+    });
+    if (!response.ok) {
+      throw deliveryError(`Expo push API responded with ${response.status}`);
+    }
+
+    // The ticket reports problems with the token itself
+    const { data: ticket } = await response.json();
+    if (ticket?.status === 'error') {
+      throw deliveryError(ticket.message, { permanent: ticket.details?.error === 'DeviceNotRegistered' });
+    }
+  }
+});
+
+const emailTransport = () => {
+  let mailer = null;
+
+  return {
+    name: 'email',
+    send: async (address, { title, body, data }) => {
+      const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM } = process.env;
+      if (!SMTP_HOST) {
+        throw deliveryError('SMTP_HOST is not configured');
+      }
+
+      mailer ||= nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: parseInt(SMTP_PORT) || 587,
+        secure: SMTP_SECURE === 'true',
+        ...(SMTP_USER && { auth: { user: SMTP_USER, pass: SMTP_PASS } })
+      });
+
+      try {
+        await mailer.sendMail({
+          from: SMTP_FROM || 'nudgr <no-reply@nudgr.app>',
+          to: address,
+          subject: title,
+          text: data?.url ? `${body}\n\n${data.url}` : body
+        });
+      } catch (error) {
+        // 5xx replies reject the address or message for good
+        throw deliveryError(error.message, { permanent: error.responseCode >= 500 });
+      }
+    }
+  };
+};
+
+const fakeOutbox = Object.fromEntries(CHANNELS.map(channel => [channel, []]));
+
+const fakeTransport = (channel) => ({
+  name: `fake-${channel}`,
+  send: async (target, message) => {
+    const label = typeof target === 'string' ? target : target.endpoint;
+    if (label.includes('gone')) {
+      throw deliveryError(`Fake ${channel} target is gone`, { permanent: true });
+    }
+    if (label.includes('fail')) {
+      throw deliveryError(`Fake ${channel} delivery failed`);
+    }
+    fakeOutbox[channel].push({ target, message, sentAt: new Date() });
+  }
+});
+
+const LIVE_TRANSPORTS = {
+  webpush: webPushTransport,
+  expo: expoTransport,
+  email: emailTransport
+};
+
+const transports = {};
+
+/**
+ * Get the transport of a channel
+ * @param {string} channel - One of CHANNELS
+ * @returns {Object} { name, send }
+ */
+export const getTransport = (channel) => {
+  if (!transports[channel]) {
+    const env = process.env;
+    const mode = (env[`NOTIFY_TRANSPORT_${channel.toUpperCase()}`] || env.NOTIFY_TRANSPORT
+      || (env.NODE_ENV === 'production' ? 'live' : 'fake')).toLowerCase();
+    transports[channel] = mode === 'fake' ? fakeTransport(channel) : LIVE_TRANSPORTS[channel]();
+  }
+  return transports[channel];
+};
+
+/**
+ * Replace the transport of a channel (e.g. with a stub in tests); pass null to reset
+ * @param {string} channel
+ * @param {Object|null} transport
+ */
+export const setTransport = (channel, transport) => {
+  if (transport) {
+    transports[channel] = transport;
+  } else {
+    delete transports[channel];
+  }
+};
+
+/**
+ * Messages the fake transport of a channel "sent"
+ * @param {string} channel
+ * @returns {Array} [{ target, message, sentAt }]
+ */
+export const getFakeOutbox = (channel) => fakeOutbox[channel];
+
+/**
+ * Empty the fake outboxes
+ */
+export const clearFakeOutbox = () => {
+  for (const channel of CHANNELS) {
+    fakeOutbox[channel].length = 0;
+  }
+};
+
+/**
+ * The VAPID public key browsers subscribe with
+ * @returns {string|null} null when Web Push isn't configured
+ */
+export const getVapidPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
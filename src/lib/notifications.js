@@ -0,0 +1,379 @@
+import prisma from './prisma.js';
+import { CHANNELS, getTransport } from './notificationChannels.js';
+import { isQuietTime, CANCELLED_DELIVERY_ERROR } from './nudges.js';
+import { getProfile } from './userProfile.js';
+import { isValidTimeZone, localMinutes, localDateString, zonedTimeToUtc, addDays, parseTimeOfDay } from './timezone.js';
+
+// Delivers pending nudges on the user's channels and keeps the delivery log.
+//
+// Every notification becomes one NotificationDelivery per target: each Web Push subscription,
+// each Expo token and the user's email address, as far as the channel is enabled. Failed
+// deliveries are retried with exponential backoff (1, 4, 16, 64 minutes) until MAX_ATTEMPTS;
+// push subscriptions that are gone for good are removed. The notifications job queues and
+// delivers every minute. Nothing is sent during the user's quiet hours: nudges wait to be queued
+// and due deliveries (retries included) are moved to the end of the quiet window. Nudges and
+// deliveries are claimed before they are handled, so overlapping job runs don't send them twice.
+// Deliveries of nudges that were dismissed or snoozed in the meantime are cancelled instead of sent.
+
+export const DELIVERY_STATUSES = ['PENDING', 'SENT', 'FAILED'];
+
+// Channels a user hasn't configured
+export const DEFAULT_CHANNELS = { webpush: true, expo: true, email: false };
+
+export const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_FACTOR = 4;
+
+// Deliveries attempted per job run
+const BATCH_SIZE = 100;
+
+// How long a claimed delivery is held; one whose run died is attempted again after this
+const CLAIM_MS = 5 * 60 * 1000;
+
+const EXPO_TOKEN_PATTERN = /^Expo(nent)?PushToken\[.+\]$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a channel preferences update
+ * @param {Object} changes - { webpush?, expo?, email? } booleans
+ * @returns {Object} { changes } or { error }
+ */
+export const validateChannelPreferences = (changes) => {
+  if (!isPlainObject(changes)) {
+    return { error: 'Channel preferences must be an object' };
+  }
+
+  for (const [channel, enabled] of Object.entries(changes)) {
+    if (!CHANNELS.includes(channel)) {
+      return { error: `Unknown channel "${channel}". Use ${CHANNELS.join(', ')}` };
+    }
+    if (typeof enabled !== 'boolean') {
+      return { error: `${channel} must be true or false` };
+    }
+  }
+
+  return { changes };
+};
+
+/**
+ * A user's channel preferences, defaults included
+ * @param {string} userId
+ * @returns {Object} { webpush, expo, email }
+ */
+export const getChannelPreferences = async (userId) => {
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId },
+    select: { channels: true }
+  });
+  return { ...DEFAULT_CHANNELS, ...profile?.channels };
+};
+
+/**
+ * Merge changes into a user's channel preferences
+ * @param {string} userId
+ * @param {Object} changes - Validated changes
+ * @returns {Object} The preferences after the update
+ */
+export const updateChannelPreferences = async (userId, changes) => {
+  const channels = { ...(await getChannelPreferences(userId)), ...changes };
+
+  await prisma.userProfile.upsert({
+    where: { userId },
+    create: { userId, channels },
+    update: { channels }
+  });
+  return channels;
+};
+
+/**
+ * Validate a device registration
+ * @param {string} channel - webpush | expo
+ * @param {Object} body - { subscription: { endpoint, keys: { p256dh, auth } } } for Web Push,
+ *   { token } for Expo
+ * @returns {Object} { endpoint, keys? } or { error }
+ */
+export const validateSubscription = (channel, body) => {
+  if (channel === 'expo') {
+    return typeof body?.token === 'string' && EXPO_TOKEN_PATTERN.test(body.token)
+      ? { endpoint: body.token }
+      : { error: 'token must be an Expo push token, e.g. ExponentPushToken[...]' };
+  }
+
+  const { endpoint, keys } = body?.subscription || {};
+  let url = null;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    // Reported below
+  }
+  if (url?.protocol !== 'https:' || typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+    return { error: 'subscription must be a PushSubscription { endpoint, keys: { p256dh, auth } }' };
+  }
+  return { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+};
+
+/**
+ * Register a device. A device that was registered before (by anyone) moves to this user.
+ * @param {string} userId
+ * @param {Object} device - { channel, endpoint, keys?, userAgent? }
+ * @returns {Object} PushSubscription
+ */
+export const registerSubscription = (userId, { channel, endpoint, keys, userAgent }) => {
+  const data = { userId, channel, keys, userAgent };
+  return prisma.pushSubscription.upsert({
+    where: { endpoint },
+    create: { ...data, endpoint },
+    update: data
+  });
+};
+
+/**
+ * Queue a notification on every enabled channel of a user
+ * @param {string} userId
+ * @param {Object} message - { title, body, data? }
+ * @param {Object} options - { nudgeId, now }
+ * @returns {Array} The queued deliveries, empty when the user has no enabled channel
+ */
+export const queueNotification = async (userId, message, { nudgeId, now = new Date() } = {}) => {
+  const [channels, subscriptions, user] = await Promise.all([
+    getChannelPreferences(userId),
+    prisma.pushSubscription.findMany({ where: { userId } }),
+    prisma.user.findUnique({ where: { id: userId }, select: { email: true } })
+  ]);
+
+  const targets = subscriptions
+    .filter(subscription => channels[subscription.channel])
+    .map(subscription => ({ channel: subscription.channel, subscriptionId: subscription.id, target: subscription.endpoint }));
+  if (channels.email && user?.email) {
+    targets.push({ channel: 'email', target: user.email });
+  }
+
+  const deliveries = [];
+  for (const target of targets) {
+    deliveries.push(await prisma.notificationDelivery.create({
+      data: {
+        userId,
+        ...(nudgeId && { nudgeId }),
+        ...target,
+        payload: message,
+        nextAttemptAt: now
+      }
+    }));
+  }
+  return deliveries;
+};
+
+const backoff = (attempts) => BACKOFF_BASE_MS * BACKOFF_FACTOR ** (attempts - 1);
+
+// Claim a pending delivery by moving its next attempt past the claim period; false when another
+// run claimed (or finished) it first
+const claimDelivery = async (delivery, now) => {
+  const { count } = await prisma.notificationDelivery.updateMany({
+    where: { id: delivery.id, status: 'PENDING', nextAttemptAt: delivery.nextAttemptAt },
+    data: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) }
+  });
+  return count === 1;
+};
+
+/**
+ * Make one attempt at a delivery and record the outcome
+ * @param {Object} delivery - NotificationDelivery
+ * @param {Object} options - { now }
+ * @returns {Object} The updated delivery
+ */
+export const attemptDelivery = async (delivery, { now = new Date() } = {}) => {
+  const attempts = delivery.attempts + 1;
+
+  // Sibling deliveries still go out once the nudge is SENT, not once it's dismissed or snoozed
+  if (delivery.nudgeId) {
+    const nudge = await prisma.nudge.findUnique({ where: { id: delivery.nudgeId }, select: { status: true } });
+    if (!nudge || ['DISMISSED', 'SNOOZED'].includes(nudge.status)) {
+      return prisma.notificationDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'FAILED', nextAttemptAt: null, lastError: CANCELLED_DELIVERY_ERROR }
+      });
+    }
+  }
+
+  try {
+    let target = delivery.target;
+    if (delivery.subscriptionId) {
+      const subscription = await prisma.pushSubscription.findUnique({ where: { id: delivery.subscriptionId } });
+      if (!subscription) {
+        throw Object.assign(new Error('The device was unregistered'), { permanent: true });
+      }
+      target = subscription.channel === 'webpush'
+        ? { endpoint: subscription.endpoint, keys: subscription.keys }
+        : subscription.endpoint;
+    }
+
+    await getTransport(delivery.channel).send(target, delivery.payload);
+  } catch (error) {
+    const giveUp = error.permanent || attempts >= MAX_ATTEMPTS;
+    if (error.permanent && delivery.subscriptionId) {
+      await prisma.pushSubscription.deleteMany({ where: { id: delivery.subscriptionId } });
+    }
+
+    return prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        attempts,
+        status: giveUp ? 'FAILED' : 'PENDING',
+        nextAttemptAt: giveUp ? null : new Date(now.getTime() + backoff(attempts)),
+        lastError: error.message
+      }
+    });
+  }
+
+  if (delivery.subscriptionId) {
+    await prisma.pushSubscription.updateMany({
+      where: { id: delivery.subscriptionId },
+      data: { lastUsedAt: now }
+    });
+  }
+  if (delivery.nudgeId) {
+    await prisma.nudge.updateMany({
+      where: { id: delivery.nudgeId, status: 'PENDING' },
+      data: { status: 'SENT', sentAt: now }
+    });
+  }
+
+  return prisma.notificationDelivery.update({
+    where: { id: delivery.id },
+    data: { attempts, status: 'SENT', sentAt: now, nextAttemptAt: null, lastError: null }
+  });
+};
+
+const profileTimeZone = ({ preferences }) => (isValidTimeZone(preferences.timezone) ? preferences.timezone : 'UTC');
+
+const isQuietNow = (profile, now) => isQuietTime(profile.preferences.quietHours, localMinutes(now, profileTimeZone(profile)));
+
+// End of the quiet window the user is in now
+const quietHoursEnd = (profile, now) => {
+  const timeZone = profileTimeZone(profile);
+  const end = parseTimeOfDay(profile.preferences.quietHours.end);
+  const today = localDateString(now, timeZone);
+  const endToday = zonedTimeToUtc(today, end, timeZone);
+  return endToday > now ? endToday : zonedTimeToUtc(addDays(today, 1), end, timeZone);
+};
+
+// Quiet-hours check with one profile lookup per user
+const quietChecker = (now) => {
+  const profiles = new Map();
+  return async (userId) => {
+    if (!profiles.has(userId)) {
+      profiles.set(userId, await getProfile(userId));
+    }
+    const profile = profiles.get(userId);
+    return isQuietNow(profile, now) ? quietHoursEnd(profile, now) : null;
+  };
+};
+
+/**
+ * Attempt every delivery that is due, except for users in their quiet hours
+ * @param {Object} options - { now }
+ * @returns {Object} { sent, retrying, failed, deferred }
+ */
+export const processDueDeliveries = async ({ now = new Date() } = {}) => {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  const quietUntil = quietChecker(now);
+  const counts = { sent: 0, retrying: 0, failed: 0, deferred: 0 };
+  for (const delivery of due) {
+    const resumeAt = await quietUntil(delivery.userId);
+    if (resumeAt) {
+      const { count } = await prisma.notificationDelivery.updateMany({
+        where: { id: delivery.id, status: 'PENDING', nextAttemptAt: delivery.nextAttemptAt },
+        data: { nextAttemptAt: resumeAt }
+      });
+      counts.deferred += count;
+      continue;
+    }
+
+    if (!(await claimDelivery(delivery, now))) {
+      continue;
+    }
+    const { status } = await attemptDelivery(delivery, { now });
+    counts[status === 'SENT' ? 'sent' : status === 'FAILED' ? 'failed' : 'retrying']++;
+  }
+  return counts;
+};
+
+/**
+ * Queue deliveries for the pending nudges that haven't been notified yet, except for users
+ * in their quiet hours
+ * @param {Object} options - { now }
+ * @returns {Object} { nudges, deliveries }
+ */
+export const dispatchPendingNudges = async ({ now = new Date() } = {}) => {
+  const nudges = await prisma.nudge.findMany({
+    where: { status: 'PENDING', notifiedAt: null },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const quietUntil = quietChecker(now);
+  let dispatched = 0;
+  let deliveries = 0;
+  for (const nudge of nudges) {
+    if (await quietUntil(nudge.userId)) {
+      continue;
+    }
+
+    // Claim the nudge, so an overlapping run doesn't queue it as well
+    const { count } = await prisma.nudge.updateMany({
+      where: { id: nudge.id, status: 'PENDING', notifiedAt: null },
+      data: { notifiedAt: now }
+    });
+    if (count === 0) {
+      continue;
+    }
+
+    const queued = await queueNotification(nudge.userId, {
+      title: nudge.title,
+      body: nudge.message,
+      data: { nudgeId: nudge.id, rule: nudge.rule, entityType: nudge.entityType, entityId: nudge.entityId }
+    }, { nudgeId: nudge.id, now });
+
+    dispatched++;
+    deliveries += queued.length;
+  }
+  return { nudges: dispatched, deliveries };
+};
+
+/**
+ * Job: queue pending nudges, then attempt the deliveries that are due
+ * @returns {Object} { nudges, deliveries, sent, retrying, failed, deferred }
+ */
+export const deliverNotifications = async () => {
+  const now = new Date();
+  const dispatched = await dispatchPendingNudges({ now });
+  return { ...dispatched, ...(await processDueDeliveries({ now })) };
+};
+
+/**
+ * Send a test notification on every enabled channel right away
+ * @param {string} userId
+ * @returns {Array} The deliveries after their first attempt
+ */
+export const sendTestNotification = async (userId) => {
+  const deliveries = await queueNotification(userId, {
+    title: 'Test notification',
+    body: 'Notifications from nudgr reach you here.',
+    data: { test: true }
+  });
+
+  const now = new Date();
+  const attempted = [];
+  for (const delivery of deliveries) {
+    // The job may have picked it up already
+    if (await claimDelivery(delivery, now)) {
+      attempted.push(await attemptDelivery(delivery, { now }));
+    }
+  }
+  return attempted;
+};
@@ -0,0 +1,316 @@
+import prisma from './prisma.js';
+import { isValidTimeZone, localDateString, localMinutes, parseTimeOfDay } from './timezone.js';
+import { resolveAnalyticsRange, computeAnalytics } from './analytics.js';
+import { getProfile } from './userProfile.js';
+
+// Rule-based nudges about stale and overdue work.
+//
+// The nudges job evaluates every user's rules and stores a Nudge per thing worth mentioning.
+// A nudge's key identifies what it is about (e.g. a task and its due date), so a rule never
+// nudges twice for the same thing, dismissed or not. Pending and snoozed nudges whose condition
+// no longer holds (the task got done, the rule was disabled) are removed on the next evaluation.
+//
+// Statuses: PENDING (new), SENT (delivered), DISMISSED, SNOOZED (back to PENDING at snoozedUntil).
+// Each evaluation creates at most MAX_NEW_NUDGES per user.
+// Nothing is evaluated during the user's quiet hours (profile preference quietHours).
+// Pending nudges are delivered on the user's notification channels (see lib/notifications.js).
+
+export const NUDGE_STATUSES = ['PENDING', 'SENT', 'DISMISSED', 'SNOOZED'];
+
+// Rule settings a user hasn't overridden. Tasks overdue and ideas noted more than maxAgeDays
+// ago are left alone, so a rule doesn't dig up the whole history when it first runs.
+export const DEFAULT_RULES = {
+  overdue: { enabled: true, maxAgeDays: 7 },
+  staleGoal: { enabled: true, days: 7 },
+  unexpandedIdea: { enabled: true, days: 14, maxAgeDays: 60 },
+  // Nudge after `after` (local time) when a streak of at least minStreak days has no completion today
+  streakAtRisk: { enabled: true, minStreak: 2, after: '18:00' }
+};
+
+export const RULE_NAMES = Object.keys(DEFAULT_RULES);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// New nudges per user and evaluation; the rest follow on later evaluations while they still apply
+const MAX_NEW_NUDGES = 5;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isCount = (max) => (value) => Number.isInteger(value) && value >= 1 && value <= max;
+
+// Validators per rule setting; each returns true for a valid value
+const SETTING_VALIDATORS = {
+  enabled: { valid: (value) => typeof value === 'boolean', message: 'a boolean' },
+  days: { valid: isCount(365), message: 'a whole number of days between 1 and 365' },
+  maxAgeDays: { valid: isCount(365), message: 'a whole number of days between 1 and 365' },
+  minStreak: { valid: isCount(365), message: 'a whole number between 1 and 365' },
+  after: { valid: (value) => parseTimeOfDay(value) !== undefined, message: 'a time in HH:MM format' }
+};
+
+/**
+ * Validate a rules update. null resets a rule to its defaults.
+ * @param {Object} changes - { [rule]: { enabled?, days?, maxAgeDays?, minStreak?, after? } | null }
+ * @returns {Object} { changes } or { error }
+ */
+export const validateRules = (changes) => {
+  if (!isPlainObject(changes)) {
+    return { error: 'Rules must be an object' };
+  }
+
+  for (const [rule, settings] of Object.entries(changes)) {
+    if (!DEFAULT_RULES[rule]) {
+      return { error: `Unknown rule "${rule}". Use ${RULE_NAMES.join(', ')}` };
+    }
+    if (settings === null) {
+      continue;
+    }
+    if (!isPlainObject(settings)) {
+      return { error: `${rule} must be an object or null` };
+    }
+    for (const [setting, value] of Object.entries(settings)) {
+      if (!(setting in DEFAULT_RULES[rule])) {
+        return { error: `${rule} has no setting "${setting}". Use ${Object.keys(DEFAULT_RULES[rule]).join(', ')}` };
+      }
+      if (!SETTING_VALIDATORS[setting].valid(value)) {
+        return { error: `${rule}.${setting} must be ${SETTING_VALIDATORS[setting].message}` };
+      }
+    }
+  }
+
+  return { changes };
+};
+
+const mergeRules = (overrides = {}) => Object.fromEntries(
+  RULE_NAMES.map(rule => [rule, { ...DEFAULT_RULES[rule], ...overrides[rule] }])
+);
+
+/**
+ * A user's rules: the defaults with their overrides applied
+ * @param {string} userId
+ * @returns {Object} { [rule]: settings }
+ */
+export const getRules = async (userId) => {
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId },
+    select: { nudgeRules: true }
+  });
+  return mergeRules(profile?.nudgeRules || {});
+};
+
+/**
+ * Merge changes into a user's rule overrides
+ * @param {string} userId
+ * @param {Object} changes - Validated changes, null resets a rule
+ * @returns {Object} The rules after the update
+ */
+export const updateRules = async (userId, changes) => {
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId },
+    select: { nudgeRules: true }
+  });
+
+  const overrides = { ...profile?.nudgeRules };
+  for (const [rule, settings] of Object.entries(changes)) {
+    if (settings === null) {
+      delete overrides[rule];
+    } else {
+      overrides[rule] = { ...overrides[rule], ...settings };
+    }
+  }
+
+  await prisma.userProfile.upsert({
+    where: { userId },
+    create: { userId, nudgeRules: overrides },
+    update: { nudgeRules: overrides }
+  });
+  return mergeRules(overrides);
+};
+
+/**
+ * Whether a local time of day falls into quiet hours
+ * @param {Object} quietHours - { start, end } ('HH:MM'), may span midnight; missing means never quiet
+ * @param {number} minutes - Local minutes from midnight
+ * @returns {boolean}
+ */
+export const isQuietTime = (quietHours, minutes) => {
+  const start = parseTimeOfDay(quietHours?.start);
+  const end = parseTimeOfDay(quietHours?.end);
+  if (start === undefined || end === undefined) {
+    return false;
+  }
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const daysSince = (date, now) => Math.floor((now - date) / DAY_MS);
+
+// Rule evaluators. Each gets (userId, settings, { now, timeZone }) and returns the nudges that
+// apply right now: [{ key, entityType?, entityId?, title, message }]
+const RULES = {
+  overdue: async (userId, { maxAgeDays }, { now, timeZone }) => {
+    const tasks = await prisma.task.findMany({
+      where: { userId, completed: false, dueDate: { lt: now, gte: new Date(now.getTime() - maxAgeDays * DAY_MS) } },
+      select: { id: true, title: true, dueDate: true },
+      orderBy: { dueDate: 'desc' }
+    });
+
+    // Keyed by due date as well, so a rescheduled task that slips again is nudged again
+    return tasks.map(task => ({
+      key: `overdue:${task.id}:${task.dueDate.toISOString()}`,
+      entityType: 'task',
+      entityId: task.id,
+      title: `Overdue: ${task.title}`,
+      message: `"${task.title}" was due on ${localDateString(task.dueDate, timeZone)}.`
+    }));
+  },
+
+  staleGoal: async (userId, { days }, { now }) => {
+    const goals = await prisma.goal.findMany({
+      where: { userId, status: 'ACTIVE' },
+      select: {
+        id: true,
+        title: true,
+        updatedAt: true,
+        tasks: { select: { updatedAt: true } }
+      }
+    });
+
+    return goals
+      .map(goal => ({
+        goal,
+        lastActivity: new Date(Math.max(goal.updatedAt, ...goal.tasks.map(task => task.updatedAt)))
+      }))
+      .filter(({ lastActivity }) => daysSince(lastActivity, now) >= days)
+      .map(({ goal, lastActivity }) => ({
+        key: `staleGoal:${goal.id}:${lastActivity.toISOString()}`,
+        entityType: 'goal',
+        entityId: goal.id,
+        title: `No progress on ${goal.title}`,
+        message: `Nothing has happened on "${goal.title}" in ${daysSince(lastActivity, now)} days. Pick a small next step?`
+      }));
+  },
+
+  unexpandedIdea: async (userId, { days, maxAgeDays }, { now }) => {
+    const ideas = await prisma.idea.findMany({
+      where: {
+        userId,
+        expanded: false,
+        createdAt: { lt: new Date(now.getTime() - days * DAY_MS), gte: new Date(now.getTime() - maxAgeDays * DAY_MS) }
+      },
+      select: { id: true, title: true, createdAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return ideas.map(idea => ({
+      key: `unexpandedIdea:${idea.id}`,
+      entityType: 'idea',
+      entityId: idea.id,
+      title: `Still thinking about ${idea.title}?`,
+      message: `You noted "${idea.title}" ${daysSince(idea.createdAt, now)} days ago. Turn it into a goal, or let it go.`
+    }));
+  },
+
+  streakAtRisk: async (userId, { minStreak, after }, { now, timeZone }) => {
+    if (localMinutes(now, timeZone) < parseTimeOfDay(after)) {
+      return [];
+    }
+
+    const today = localDateString(now, timeZone);
+    const { range } = await resolveAnalyticsRange(userId, { from: today, to: today, timezone: timeZone });
+    const { summary, streaks } = await computeAnalytics(userId, range, { metrics: ['summary', 'streaks'] });
+    if (summary.tasksCompleted > 0 || streaks.current < minStreak) {
+      return [];
+    }
+
+    return [{
+      key: `streakAtRisk:${today}`,
+      title: 'Keep your streak going',
+      message: `You've completed tasks ${streaks.current} days in a row. Finish one today to keep it going.`
+    }];
+  }
+};
+
+export const CANCELLED_DELIVERY_ERROR = 'The nudge is no longer pending';
+
+/**
+ * Cancel the queued notifications of nudges that stop being pending (dismissed, snoozed or
+ * resolved), so the notifications job doesn't deliver them afterwards
+ * @param {Object} where - Nudge filter
+ * @returns {number} Deliveries cancelled
+ */
+export const cancelNudgeDeliveries = async (where) => {
+  const { count } = await prisma.notificationDelivery.updateMany({
+    where: { status: 'PENDING', nudge: { is: where } },
+    data: { status: 'FAILED', nextAttemptAt: null, lastError: CANCELLED_DELIVERY_ERROR }
+  });
+  return count;
+};
+
+/**
+ * Evaluate a user's rules now: wake snoozed nudges that are due, store new ones and remove
+ * pending ones that no longer apply
+ * @param {string} userId
+ * @param {Object} options - { now: Date (default now) }
+ * @returns {Object} { created, woken, resolved } or { quiet: true } during quiet hours
+ */
+export const evaluateNudges = async (userId, { now = new Date() } = {}) => {
+  const { preferences } = await getProfile(userId);
+  const timeZone = isValidTimeZone(preferences.timezone) ? preferences.timezone : 'UTC';
+  if (isQuietTime(preferences.quietHours, localMinutes(now, timeZone))) {
+    return { quiet: true };
+  }
+
+  const rules = await getRules(userId);
+
+  const woken = await prisma.nudge.updateMany({
+    where: { userId, status: 'SNOOZED', snoozedUntil: { lte: now } },
+    data: { status: 'PENDING', snoozedUntil: null, notifiedAt: null }
+  });
+
+  const candidates = [];
+  for (const rule of RULE_NAMES) {
+    if (rules[rule].enabled) {
+      const nudges = await RULES[rule](userId, rules[rule], { now, timeZone });
+      candidates.push(...nudges.map(nudge => ({ ...nudge, rule })));
+    }
+  }
+  const keys = candidates.map(nudge => nudge.key);
+
+  // Deleting a nudge unlinks its deliveries, so they are cancelled first
+  const stale = { userId, status: { in: ['PENDING', 'SNOOZED'] }, key: { notIn: keys } };
+  await cancelNudgeDeliveries(stale);
+  const resolved = await prisma.nudge.deleteMany({ where: stale });
+
+  const known = await prisma.nudge.findMany({
+    where: { userId, key: { in: keys } },
+    select: { key: true }
+  });
+  const knownKeys = new Set(known.map(nudge => nudge.key));
+  const fresh = candidates.filter(nudge => !knownKeys.has(nudge.key)).slice(0, MAX_NEW_NUDGES);
+
+  const created = await prisma.nudge.createMany({
+    data: fresh.map(nudge => ({ userId, ...nudge })),
+    skipDuplicates: true
+  });
+
+  return { created: created.count, woken: woken.count, resolved: resolved.count };
+};
+
+/**
+ * Job: evaluate the rules of every user
+ * @returns {Object} { users, created }
+ */
+export const evaluateAllNudges = async () => {
+  const users = await prisma.user.findMany({ select: { id: true } });
+
+  let created = 0;
+  for (const user of users) {
+    try {
+      created += (await evaluateNudges(user.id)).created || 0;
+    } catch (error) {
+      console.error(`Error evaluating nudges for user ${user.id}:`, error);
+    }
+  }
+  return { users: users.length, created };
+};
@@ -0,0 +1,200 @@
+import prisma from './prisma.js';
+import { isValidTimeZone, zonedTimeToUtc, localMinutes, parseTimeOfDay } from './timezone.js';
+
+export const DEFAULT_DAY_START = 9 * 60; // 09:00 local time
+
+export const planInclude = {
+  blocks: {
+    orderBy: { startTime: 'asc' },
+    include: {
+      task: {
+        select: {
+          id: true,
+          title: true,
+          completed: true,
+          priority: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Pick the timezone for a user's plan: the requested one, then the profile preference, then UTC
+ * @param {string} userId
+ * @param {string} requested - Timezone from the request, if any
+ * @returns {string} IANA timezone
+ */
+export const resolveTimeZone = async (userId, requested) => {
+  if (isValidTimeZone(requested)) {
+    return requested;
+  }
+
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId },
+    select: { preferences: true }
+  });
+
+  const preferred = profile?.preferences?.timezone;
+  return isValidTimeZone(preferred) ? preferred : 'UTC';
+};
+
+/**
+ * Resolve the local day start ('HH:MM') for a plan
+ * @param {string} value
+ * @returns {number|undefined} Minutes from midnight, undefined when invalid
+ */
+export const resolveDayStart = (value) => (
+  value === undefined ? DEFAULT_DAY_START : parseTimeOfDay(value)
+);
+
+/**
+ * Turn an optimize-schedule result (relative minutes) into absolute time blocks
+ * @param {Object} schedule - { scheduledTasks: [{ taskId, title, startTime, duration, reason }] }
+ * @param {string} date - Local date 'YYYY-MM-DD'
+ * @param {string} timeZone
+ * @param {number} dayStart - Minutes from local midnight the schedule starts at
+ * @returns {Array} Block data
+ */
+export const scheduleToBlocks = (schedule, date, timeZone, dayStart) => (
+  (schedule?.scheduledTasks || []).map(entry => {
+    const offset = Number(entry.startTime) || 0;
+    const duration = Math.max(1, Number(entry.duration) || 30);
+    const startTime = zonedTimeToUtc(date, dayStart + offset, timeZone);
+
+    return {
+      taskId: entry.taskId || null,
+      title: entry.title || 'Untitled block',
+      startTime,
+      endTime: new Date(startTime.getTime() + duration * 60000),
+      reason: entry.reason || null
+    };
+  })
+);
+
+/**
+ * Create or replace the plan for a date
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} options.date - Local date 'YYYY-MM-DD'
+ * @param {string} options.timezone
+ * @param {Array} options.blocks - Block data ({ taskId, title, startTime, endTime, reason })
+ * @param {string} options.source - "ai" or "manual"
+ * @param {Array} options.recommendations
+ * @returns {Object} Plan with blocks
+ */
+export const savePlan = async ({ userId, date, timezone, blocks, source = 'manual', recommendations }) => {
+  // Only link blocks to tasks the user owns
+  const taskIds = [...new Set(blocks.map(block => block.taskId).filter(Boolean))];
+  const ownedTasks = taskIds.length > 0
+    ? await prisma.task.findMany({
+        where: { id: { in: taskIds }, userId },
+        select: { id: true }
+      })
+    : [];
+  const owned = new Set(ownedTasks.map(task => task.id));
+
+  return prisma.$transaction(async (tx) => {
+    const plan = await tx.plan.upsert({
+      where: { userId_date: { userId, date } },
+      update: {
+        timezone,
+        source,
+        ...(recommendations !== undefined && { recommendations })
+      },
+      create: {
+        userId,
+        date,
+        timezone,
+        source,
+        ...(recommendations !== undefined && { recommendations })
+      }
+    });
+
+    await tx.timeBlock.deleteMany({ where: { planId: plan.id } });
+
+    if (blocks.length > 0) {
+      await tx.timeBlock.createMany({
+        data: blocks.map(block => ({
+          planId: plan.id,
+          taskId: owned.has(block.taskId) ? block.taskId : null,
+          title: block.title,
+          startTime: block.startTime,
+          endTime: block.endTime,
+          reason: block.reason || null
+        }))
+      });
+    }
+
+    return tx.plan.findUnique({
+      where: { id: plan.id },
+      include: planInclude
+    });
+  });
+};
+
+/**
+ * Move unfinished blocks of a plan to another day, keeping their local time of day.
+ * Blocks whose task has been completed in the meantime are marked DONE instead.
+ * @param {Object} plan - Source plan including blocks with task
+ * @param {string} toDate - Local date 'YYYY-MM-DD'
+ * @returns {Object} { plan: target plan with blocks, carried: number, completed: number }
+ */
+export const carryOverPlan = async (plan, toDate) => {
+  const pending = plan.blocks.filter(block => block.status === 'PLANNED');
+  const finished = pending.filter(block => block.task?.completed);
+  const unfinished = pending.filter(block => !block.task?.completed);
+
+  const target = await prisma.$transaction(async (tx) => {
+    const targetPlan = await tx.plan.upsert({
+      where: { userId_date: { userId: plan.userId, date: toDate } },
+      update: {},
+      create: {
+        userId: plan.userId,
+        date: toDate,
+        timezone: plan.timezone,
+        source: plan.source
+      }
+    });
+
+    if (unfinished.length > 0) {
+      await tx.timeBlock.createMany({
+        data: unfinished.map(block => {
+          const startTime = zonedTimeToUtc(toDate, localMinutes(block.startTime, plan.timezone), targetPlan.timezone);
+          return {
+            planId: targetPlan.id,
+            taskId: block.taskId,
+            title: block.title,
+            startTime,
+            endTime: new Date(startTime.getTime() + (block.endTime - block.startTime)),
+            reason: block.reason,
+            carriedFromId: block.id
+          };
+        })
+      });
+
+      await tx.timeBlock.updateMany({
+        where: { id: { in: unfinished.map(block => block.id) } },
+        data: { status: 'CARRIED_OVER' }
+      });
+    }
+
+    if (finished.length > 0) {
+      await tx.timeBlock.updateMany({
+        where: { id: { in: finished.map(block => block.id) } },
+        data: { status: 'DONE' }
+      });
+    }
+
+    return tx.plan.findUnique({
+      where: { id: targetPlan.id },
+      include: planInclude
+    });
+  });
+
+  return {
+    plan: target,
+    carried: unfinished.length,
+    completed: finished.length
+  };
+};
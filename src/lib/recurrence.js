@@ -0,0 +1,299 @@
+import prisma from './prisma.js';
+import { isValidTimeZone, localDateString, localMinutes, zonedTimeToUtc, addDays } from './timezone.js';
+
+// Recurrence rules for repeating tasks
+//
+// A rule is stored on Task.recurrence as JSON:
+//   { freq: 'DAILY' | 'WEEKLY' | 'MONTHLY', interval: 1, byWeekday: ['MO', 'WE'], until: ISO date, count: 10,
+//     dtstart: ISO date, timeZone: 'Europe/Berlin' }
+// dtstart is the due date of the first task in the series and is set by the server, as is timeZone
+// (the user's, unless the rule names one). "Every N days" is DAILY with interval N; "3x/week" is
+// WEEKLY with three weekdays. Clients may also send an RRULE string, e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=12".
+// Occurrences are stepped in local dates of the rule's timezone (UTC for rules without one) and
+// keep the local time of day of the first due date across DST changes.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard cap on occurrences listed at once, and on steps taken from the starting point
+const MAX_EXPANSION = 500;
+
+/**
+ * Parse an RRULE string (FREQ, INTERVAL, BYDAY, UNTIL, COUNT) into a rule object
+ * @param {string} rrule
+ * @returns {Object} Raw rule object (not yet validated)
+ */
+export const parseRRule = (rrule) => {
+  const rule = {};
+  const parts = rrule.replace(/^RRULE:/i, '').split(';');
+
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) continue;
+
+    switch (key.trim().toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.trim().toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value);
+        break;
+      case 'BYDAY':
+        rule.byWeekday = value.split(',').map(day => day.trim().toUpperCase());
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value);
+        break;
+      case 'UNTIL': {
+        // Accept both basic (20250101T000000Z) and extended ISO formats
+        const basic = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        rule.until = basic
+          ? `${basic[1]}-${basic[2]}-${basic[3]}T${basic[4] || '23'}:${basic[5] || '59'}:${basic[6] || '59'}Z`
+          : value.trim();
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return rule;
+};
+
+/**
+ * Validate and normalize a recurrence rule from a request body
+ * @param {Object|string} input - Rule object or RRULE string
+ * @param {Date} dtstart - Due date of the first occurrence
+ * @param {Object} options - { timeZone: used when the rule doesn't name a valid one (default UTC) }
+ * @returns {Object} { rule } or { error }
+ */
+export const normalizeRecurrence = (input, dtstart, { timeZone = 'UTC' } = {}) => {
+  const raw = typeof input === 'string' ? parseRRule(input) : input;
+
+  if (!raw || typeof raw !== 'object') {
+    return { error: 'Recurrence must be an object or an RRULE string' };
+  }
+
+  const freq = String(raw.freq || '').toUpperCase();
+  if (!FREQUENCIES.includes(freq)) {
+    return { error: `Recurrence freq must be one of ${FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = raw.interval === undefined ? 1 : parseInt(raw.interval);
+  if (isNaN(interval) || interval < 1) {
+    return { error: 'Recurrence interval must be a positive number' };
+  }
+
+  const rule = {
+    freq,
+    interval,
+    dtstart: new Date(dtstart).toISOString(),
+    timeZone: isValidTimeZone(raw.timeZone) ? raw.timeZone : timeZone
+  };
+
+  if (raw.byWeekday !== undefined) {
+    if (freq !== 'WEEKLY') {
+      return { error: 'byWeekday is only supported for WEEKLY recurrence' };
+    }
+    const days = (Array.isArray(raw.byWeekday) ? raw.byWeekday : [raw.byWeekday])
+      .map(day => String(day).toUpperCase().slice(0, 2));
+    if (days.length === 0 || days.some(day => !WEEKDAYS.includes(day))) {
+      return { error: `byWeekday must contain values from ${WEEKDAYS.join(', ')}` };
+    }
+    rule.byWeekday = [...new Set(days)];
+  }
+
+  if (raw.until !== undefined && raw.until !== null) {
+    const until = new Date(raw.until);
+    if (isNaN(until.getTime())) {
+      return { error: 'Recurrence until must be a valid date' };
+    }
+    rule.until = until.toISOString();
+  }
+
+  if (raw.count !== undefined && raw.count !== null) {
+    const count = parseInt(raw.count);
+    if (isNaN(count) || count < 1) {
+      return { error: 'Recurrence count must be a positive number' };
+    }
+    rule.count = count;
+  }
+
+  return { rule };
+};
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Add months to a local date, clamping to the last day of shorter months (Jan 31 -> Feb 28)
+const addMonths = (dateString, months) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const first = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(day, lastDay));
+  return first.toISOString().slice(0, 10);
+};
+
+/**
+ * Iterate occurrence dates of a rule. Iteration starts at the period containing `start` (counting
+ * the occurrences skipped for COUNT), so long-running series cost the same as new ones.
+ * @param {Object} rule - Normalized rule
+ * @param {Date|null} start - Occurrences before this may be skipped (default: from dtstart)
+ * @yields {Date}
+ */
+function* occurrences(rule, start = null) {
+  const timeZone = isValidTimeZone(rule.timeZone) ? rule.timeZone : 'UTC';
+  const anchor = new Date(rule.dtstart);
+  const anchorDate = localDateString(anchor, timeZone);
+  const minutes = localMinutes(anchor, timeZone) + (anchor.getTime() % 60000) / 60000;
+  const until = rule.until ? new Date(rule.until) : null;
+
+  // Local days from dtstart to the day before `start`
+  const skipDays = start && start > anchor
+    ? Math.max(0, daysBetween(anchorDate, localDateString(start, timeZone)) - 1)
+    : 0;
+
+  // The occurrence with this 0-based position in the series, or null once the series has ended
+  const occurrence = (position, dateString) => {
+    const date = zonedTimeToUtc(dateString, minutes, timeZone);
+    if ((until && date > until) || (rule.count && position >= rule.count)) {
+      return null;
+    }
+    return date;
+  };
+
+  if (rule.freq === 'WEEKLY' && rule.byWeekday) {
+    const days = rule.byWeekday.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+    const anchorWeekday = new Date(`${anchorDate}T00:00:00Z`).getUTCDay();
+    // Sunday of dtstart's week; only every interval-th week has occurrences
+    const firstWeek = addDays(anchorDate, -anchorWeekday);
+    const inFirstWeek = days.filter(day => day >= anchorWeekday).length;
+
+    let week = Math.floor((skipDays + anchorWeekday) / 7);
+    week -= week % rule.interval;
+    let position = week === 0 ? 0 : inFirstWeek + (week / rule.interval - 1) * days.length;
+
+    for (let steps = 0; steps < MAX_EXPANSION; steps++, week += rule.interval) {
+      for (const day of days) {
+        if (week === 0 && day < anchorWeekday) continue;
+        const date = occurrence(position, addDays(firstWeek, week * 7 + day));
+        if (!date) return;
+        position++;
+        yield date;
+      }
+    }
+    return;
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const [anchorYear, anchorMonth] = anchorDate.split('-').map(Number);
+    const [startYear, startMonth] = addDays(anchorDate, skipDays).split('-').map(Number);
+    const months = (startYear - anchorYear) * 12 + (startMonth - anchorMonth);
+    for (let position = Math.floor(months / rule.interval), steps = 0; steps < MAX_EXPANSION; position++, steps++) {
+      const date = occurrence(position, addMonths(anchorDate, position * rule.interval));
+      if (!date) return;
+      yield date;
+    }
+    return;
+  }
+
+  const step = rule.freq === 'DAILY' ? rule.interval : rule.interval * 7;
+  for (let position = Math.floor(skipDays / step), steps = 0; steps < MAX_EXPANSION; position++, steps++) {
+    const date = occurrence(position, addDays(anchorDate, position * step));
+    if (!date) return;
+    yield date;
+  }
+}
+
+/**
+ * Compute the due date of the occurrence following the given one
+ * @param {Object} rule - Normalized rule
+ * @param {Date} current - Due date of the occurrence just completed
+ * @returns {Date|null} Next due date, or null when the series has ended
+ */
+export const nextOccurrence = (rule, current) => {
+  for (const date of occurrences(rule, new Date(current))) {
+    if (date > current) {
+      return date;
+    }
+  }
+  return null;
+};
+
+/**
+ * List occurrence dates of a series that fall inside a window, without creating tasks
+ * @param {Object} rule - Normalized rule
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @param {Date} after - Only return dates after this one (e.g. the current open occurrence)
+ * @returns {Array<Date>}
+ */
+export const expandOccurrences = (rule, from, to, after = null) => {
+  const dates = [];
+  const start = after && after > from ? new Date(after) : from;
+  for (const date of occurrences(rule, start)) {
+    if (date > to || dates.length >= MAX_EXPANSION) break;
+    if (date < from || (after && date <= after)) continue;
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Create the next task in a recurring series after an occurrence was completed.
+ * Safe to call repeatedly and concurrently - an existing next occurrence is returned instead of a duplicate.
+ * @param {Object} task - The completed task
+ * @returns {Object|null} Next occurrence task, or null when the task doesn't repeat or the series ended
+ */
+export const spawnNextOccurrence = async (task) => {
+  if (!task.recurrence || !task.dueDate) {
+    return null;
+  }
+
+  const seriesId = task.seriesId || task.id;
+
+  const findNext = () => prisma.task.findFirst({
+    where: {
+      seriesId,
+      occurrence: task.occurrence + 1
+    }
+  });
+
+  const existing = await findNext();
+  if (existing) {
+    return existing;
+  }
+
+  const dueDate = nextOccurrence(task.recurrence, task.dueDate);
+  if (!dueDate) {
+    return null;
+  }
+
+  let next;
+  try {
+    next = await prisma.task.create({
+      data: {
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        estimatedTime: task.estimatedTime,
+        aiGenerated: task.aiGenerated,
+        recurrence: task.recurrence,
+        seriesId,
+        occurrence: task.occurrence + 1,
+        dueDate,
+        userId: task.userId,
+        goalId: task.goalId
+      }
+    });
+  } catch (error) {
+    // A concurrent completion created it first (unique seriesId + occurrence)
+    if (error.code === 'P2002') {
+      return findNext();
+    }
+    throw error;
+  }
+
+  console.log(`Created occurrence ${next.occurrence} of recurring task series ${seriesId}`);
+  return next;
+};
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { getEmbeddingsProvider, cosineSimilarity } from './embeddings.js';
+
+// Semantic search over a user's tasks, goals and ideas.
+//
+// Vectors are stored in the Embedding table and kept in an in-process index per user.
+// The index is brought up to date lazily before every search: records whose text changed
+// (or that are new) are embedded again, vectors of deleted records are dropped. Per-user
+// collections are small enough that brute-force cosine similarity is fast.
+
+const SOURCES = {
+  task: {
+    delegate: 'task',
+    select: { id: true, title: true, description: true, completed: true, priority: true, dueDate: true, goalId: true },
+    text: (task) => [task.title, task.description].filter(Boolean).join('\n')
+  },
+  goal: {
+    delegate: 'goal',
+    select: { id: true, title: true, description: true, status: true, category: true, deadline: true },
+    text: (goal) => [goal.title, goal.description, goal.category].filter(Boolean).join('\n')
+  },
+  idea: {
+    delegate: 'idea',
+    select: { id: true, title: true, description: true, content: true, tags: true, expanded: true },
+    text: (idea) => [idea.title, idea.description, idea.content, ...(idea.tags || [])].filter(Boolean).join('\n')
+  }
+};
+
+export const SEARCH_TYPES = Object.keys(SOURCES);
+
+export const DUPLICATE_POLICIES = ['warn', 'skip', 'off'];
+
+const duplicateThreshold = () => {
+  const value = parseFloat(process.env.SEARCH_DUPLICATE_THRESHOLD);
+  return isNaN(value) ? 0.85 : value;
+};
+
+// Indexes of the most recently searched users; older ones are dropped first
+const MAX_CACHED_USERS = 50;
+const indexCache = new Map();
+
+const textHash = (model, text) => crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex');
+
+// userId -> Map('type:id' -> { hash, vector }), loaded from the Embedding table on first use
+const getUserIndex = async (userId, model) => {
+  let entry = indexCache.get(userId);
+  if (entry && entry.model !== model) {
+    entry = null;
+  }
+
+  if (!entry) {
+    const stored = await prisma.embedding.findMany({
+      where: { userId, model },
+      select: { entityType: true, entityId: true, textHash: true, vector: true }
+    });
+    entry = {
+      model,
+      vectors: new Map(stored.map(row => [
+        `${row.entityType}:${row.entityId}`,
+        { hash: row.textHash, vector: row.vector }
+      ]))
+    };
+  }
+
+  // Re-insert to mark the user as most recently used
+  indexCache.delete(userId);
+  indexCache.set(userId, entry);
+  if (indexCache.size > MAX_CACHED_USERS) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+
+  return entry.vectors;
+};
+
+/**
+ * Bring the user's index up to date for some record types
+ * @param {string} userId
+ * @param {Array<string>} types - Subset of SEARCH_TYPES
+ * @param {Object} options - { endpoint: what the embedding calls are metered as }
+ * @returns {Array} [{ type, record, vector }]
+ */
+export const syncIndex = async (userId, types = SEARCH_TYPES, { endpoint = 'search' } = {}) => {
+  const provider = getEmbeddingsProvider();
+  const vectors = await getUserIndex(userId, provider.model);
+
+  const entries = [];
+  for (const type of types) {
+    const source = SOURCES[type];
+    const records = await prisma[source.delegate].findMany({
+      where: { userId },
+      select: source.select
+    });
+    for (const record of records) {
+      const text = source.text(record);
+      entries.push({ type, record, key: `${type}:${record.id}`, text, hash: textHash(provider.model, text) });
+    }
+  }
+
+  const stale = entries.filter(entry => vectors.get(entry.key)?.hash !== entry.hash);
+  if (stale.length > 0) {
+    const embedded = await provider.embed(stale.map(entry => entry.text), { userId, endpoint });
+
+    await prisma.$transaction(stale.map((entry, i) => prisma.embedding.upsert({
+      where: { entityType_entityId: { entityType: entry.type, entityId: entry.record.id } },
+      update: { model: provider.model, textHash: entry.hash, vector: embedded[i] },
+      create: {
+        userId,
+        entityType: entry.type,
+        entityId: entry.record.id,
+        model: provider.model,
+        textHash: entry.hash,
+        vector: embedded[i]
+      }
+    })));
+
+    stale.forEach((entry, i) => vectors.set(entry.key, { hash: entry.hash, vector: embedded[i] }));
+  }
+
+  // Forget vectors of records that no longer exist
+  const current = new Set(entries.map(entry => entry.key));
+  const removed = [...vectors.keys()].filter(key => types.includes(key.split(':')[0]) && !current.has(key));
+  if (removed.length > 0) {
+    await prisma.embedding.deleteMany({
+      where: {
+        userId,
+        OR: removed.map(key => {
+          const [entityType, entityId] = key.split(':');
+          return { entityType, entityId };
+        })
+      }
+    });
+    removed.forEach(key => vectors.delete(key));
+  }
+
+  return entries.map(({ type, record, key }) => ({ type, record, vector: vectors.get(key).vector }));
+};
+
+/**
+ * Find the user's records closest in meaning to a query
+ * @param {string} userId
+ * @param {string} query
+ * @param {Object} options - { types, limit, minScore }
+ * @returns {Array} [{ type, score, ...record }] best first
+ */
+export const searchRecords = async (userId, query, { types = SEARCH_TYPES, limit = 20, minScore = 0.25 } = {}) => {
+  const entries = await syncIndex(userId, types);
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const [queryVector] = await getEmbeddingsProvider().embed([query], { userId, endpoint: 'search' });
+
+  return entries
+    .map(({ type, record, vector }) => ({ type, score: cosineSimilarity(queryVector, vector), ...record }))
+    .filter(result => result.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// The user's open tasks with their vectors
+const loadOpenTasks = async (userId) => (
+  (await syncIndex(userId, ['task'], { endpoint: 'duplicate-check' })).filter(entry => !entry.record.completed)
+);
+
+// Closest open task to a vector at or above the threshold
+const closestTask = (openTasks, vector, threshold) => {
+  let best = null;
+  for (const { record, vector: existing } of openTasks) {
+    const score = cosineSimilarity(vector, existing);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { id: record.id, title: record.title, score };
+    }
+  }
+  return best;
+};
+
+/**
+ * Match new tasks against the user's open tasks
+ * @param {string} userId
+ * @param {Array} tasks - [{ title, description }]
+ * @param {Object} options - { threshold, openTasks: from an earlier load (loaded when omitted) }
+ * @returns {Array} One entry per task: { id, title, score } of the closest open task, or null
+ */
+export const findDuplicateTasks = async (userId, tasks, { threshold = duplicateThreshold(), openTasks } = {}) => {
+  if (tasks.length === 0) {
+    return [];
+  }
+
+  const candidates = openTasks ?? await loadOpenTasks(userId);
+  if (candidates.length === 0) {
+    return tasks.map(() => null);
+  }
+
+  const vectors = await getEmbeddingsProvider().embed(
+    tasks.map(task => SOURCES.task.text(task)),
+    { userId, endpoint: 'duplicate-check' }
+  );
+
+  return vectors.map(vector => closestTask(candidates, vector, threshold));
+};
+
+/**
+ * Apply a duplicate policy to generated tasks before they are saved.
+ * Duplicate detection never fails a request: on errors every task is kept.
+ * @param {string} userId
+ * @param {Array} tasks - Generated tasks
+ * @param {string} policy - warn (keep, but report), skip (drop duplicates) or off
+ * @returns {Object} { tasks: tasks to keep, duplicates: [{ index, title, duplicateOf }] }
+ */
+export const applyDuplicatePolicy = async (userId, tasks, policy = 'warn') => {
+  if (policy === 'off') {
+    return { tasks, duplicates: [] };
+  }
+
+  let matches;
+  try {
+    matches = await findDuplicateTasks(userId, tasks);
+  } catch (error) {
+    console.error('Error checking for duplicate tasks:', error);
+    return { tasks, duplicates: [] };
+  }
+
+  const duplicates = matches
+    .map((match, index) => match && { index, title: tasks[index].title, duplicateOf: match })
+    .filter(Boolean);
+
+  return {
+    tasks: policy === 'skip' ? tasks.filter((task, index) => !matches[index]) : tasks,
+    duplicates
+  };
+};
+
+/**
+ * Duplicate checking for tasks generated one at a time (streaming). The user's open tasks are
+ * loaded once per generation, so tasks stored while it runs are neither re-embedded nor matched.
+ * Like applyDuplicatePolicy, it never fails the generation.
+ * @param {string} userId
+ * @param {string} policy - warn, skip or off
+ * @returns {Function} async (task) => { keep, duplicateOf: { id, title, score } | null }
+ */
+export const createDuplicateChecker = (userId, policy = 'warn') => {
+  let openTasks = null;
+
+  return async (task) => {
+    if (policy === 'off') {
+      return { keep: true, duplicateOf: null };
+    }
+
+    try {
+      openTasks ??= loadOpenTasks(userId);
+      const [duplicateOf] = await findDuplicateTasks(userId, [task], { openTasks: await openTasks });
+      return { keep: !(duplicateOf && policy === 'skip'), duplicateOf };
+    } catch (error) {
+      console.error('Error checking for duplicate tasks:', error);
+      return { keep: true, duplicateOf: null };
+    }
+  };
+};
+
+/**
+ * Read the duplicate policy of a generation request
+ * @param {*} value - Request body field
+ * @returns {string|undefined} Policy (warn when not given), undefined when invalid
+ */
+export const parseDuplicatePolicy = (value) => {
+  if (value === undefined) {
+    return 'warn';
+  }
+  return DUPLICATE_POLICIES.includes(value) ? value : undefined;
+};
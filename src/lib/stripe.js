@@ -0,0 +1,62 @@
+import Stripe from 'stripe';
+
+// Stripe API client. Set STRIPE_API_BASE to run against a local stub such as stripe-mock
+// (http://localhost:12111) instead of the live API; webhook signatures are verified locally
+// and don't need the API at all.
+
+const API_VERSION = '2023-10-16';
+
+let client = null;
+
+/**
+ * Get the (lazily created) Stripe client
+ * @returns {Stripe}
+ */
+export const getStripe = () => {
+  if (!client) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+
+    const base = process.env.STRIPE_API_BASE ? new URL(process.env.STRIPE_API_BASE) : null;
+    client = new Stripe(process.env.STRIPE_SECRET_KEY, {
+      apiVersion: API_VERSION,
+      ...(base && {
+        host: base.hostname,
+        port: base.port || (base.protocol === 'http:' ? 80 : 443),
+        protocol: base.protocol.replace(':', '')
+      })
+    });
+  }
+  return client;
+};
+
+/**
+ * Replace the Stripe client (e.g. with a stub in tests); pass null to reset
+ * @param {Object|null} stripe
+ */
+export const setStripeClient = (stripe) => {
+  client = stripe;
+};
+
+/**
+ * Verify a webhook signature and parse the event
+ * @param {Buffer|string} rawBody - The unparsed request body
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} Stripe event
+ */
+export const constructWebhookEvent = (rawBody, signature) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+  }
+  return Stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+};
+
+/**
+ * Price ids users may subscribe to, keyed by billing interval
+ * @returns {Object} { monthly?, yearly? }
+ */
+export const getPlanPrices = () => ({
+  ...(process.env.STRIPE_PRICE_MONTHLY && { monthly: process.env.STRIPE_PRICE_MONTHLY }),
+  ...(process.env.STRIPE_PRICE_YEARLY && { yearly: process.env.STRIPE_PRICE_YEARLY })
+});
@@ -0,0 +1,271 @@
+import { complete } from './llm.js';
+
+// Parse, validate and coerce JSON returned by the model against the schemas in aiSchemas.js.
+// Supported keywords: type (incl. ["x", "null"]), properties, required, items, enum, default,
+// minimum, maximum, minLength, maxLength, minItems, maxItems. Unknown object keys are dropped.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const allowsNull = (schema) => Array.isArray(schema.type) && schema.type.includes('null');
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const coerceNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    // Models like to answer "45 minutes" or "1,5"
+    const match = value.replace(',', '.').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : NaN;
+  }
+  return NaN;
+};
+
+const coerce = (schema, value, path, errors) => {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (value === null && allowsNull(schema)) {
+    return null;
+  }
+
+  switch (types.find(type => type !== 'null')) {
+    case 'object': {
+      if (typeOf(value) !== 'object') {
+        errors.push(`${path || 'response'} must be an object`);
+        return undefined;
+      }
+
+      const result = {};
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        const propertyPath = path ? `${path}.${key}` : key;
+        let propertyValue = value[key];
+
+        if (propertyValue === undefined || (propertyValue === null && !allowsNull(propertySchema))) {
+          if (propertySchema.default !== undefined) {
+            result[key] = clone(propertySchema.default);
+          } else if (schema.required?.includes(key)) {
+            errors.push(`${propertyPath} is required`);
+          }
+          continue;
+        }
+
+        propertyValue = coerce(propertySchema, propertyValue, propertyPath, errors);
+        if (propertyValue !== undefined) {
+          result[key] = propertyValue;
+        }
+      }
+      return result;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return undefined;
+      }
+
+      const items = (schema.maxItems ? value.slice(0, schema.maxItems) : value)
+        .map((item, index) => coerce(schema.items || {}, item, `${path}[${index}]`, errors));
+
+      if (schema.minItems && items.length < schema.minItems) {
+        errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+      }
+      return items;
+    }
+
+    case 'integer':
+    case 'number': {
+      let number = coerceNumber(value);
+      if (isNaN(number)) {
+        errors.push(`${path} must be a number`);
+        return undefined;
+      }
+      if (types.includes('integer')) {
+        number = Math.round(number);
+      }
+      if (schema.minimum !== undefined && number < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+        return undefined;
+      }
+      if (schema.maximum !== undefined && number > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+        return undefined;
+      }
+      return number;
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      errors.push(`${path} must be a boolean`);
+      return undefined;
+    }
+
+    case 'string': {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        errors.push(`${path} must be a string`);
+        return undefined;
+      }
+
+      let text = String(value).trim();
+
+      if (schema.enum) {
+        const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase());
+        if (match) return match;
+        if (schema.default !== undefined) return schema.default;
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+        return undefined;
+      }
+
+      if (schema.maxLength && text.length > schema.maxLength) {
+        text = text.substring(0, schema.maxLength);
+      }
+      if (schema.minLength && text.length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+        return undefined;
+      }
+      return text;
+    }
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validate and coerce a parsed value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {Object} { data, errors } - errors is empty when the value is valid
+ */
+export const validateStructured = (schema, value) => {
+  // A bare array answer for a { list: [...] } schema is accepted as the list itself
+  const arrayKeys = Object.entries(schema.properties || {})
+    .filter(([, property]) => property.type === 'array')
+    .map(([key]) => key);
+  if (Array.isArray(value) && schema.type === 'object' && arrayKeys.length === 1 && schema.required?.length === 1) {
+    value = { [arrayKeys[0]]: value };
+  }
+
+  const errors = [];
+  const data = coerce(schema, value, '', errors);
+  return { data, errors };
+};
+
+// Drop commas between a value and a closing bracket, outside strings. The streaming parser
+// (jsonStream.js) accepts them, so the final parse has to as well.
+const stripTrailingCommas = (text) => {
+  let result = '';
+  let inString = false;
+  let previous = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        result += char + (text[++i] ?? '');
+        continue;
+      }
+      inString = char !== '"';
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ',' && !['', '[', '{', ','].includes(previous)) {
+      let next = i + 1;
+      while (/\s/.test(text[next] || '')) next++;
+      if (text[next] === '}' || text[next] === ']') continue;
+    }
+    result += char;
+    if (!/\s/.test(char)) previous = char;
+  }
+  return result;
+};
+
+/**
+ * Extract JSON from model output (tolerating ``` fences, surrounding prose and trailing commas)
+ * and validate it
+ * @param {string} content - Raw model output
+ * @param {Object} schema
+ * @returns {Object} { data, errors }
+ */
+export const parseStructured = (content, schema) => {
+  let text = (content || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  if (!text.startsWith('{') && !text.startsWith('[')) {
+    const match = text.match(/[{[][\s\S]*[}\]]/);
+    if (match) {
+      text = match[0];
+    }
+  }
+
+  try {
+    return validateStructured(schema, JSON.parse(stripTrailingCommas(text)));
+  } catch (error) {
+    return { data: undefined, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+};
+
+/**
+ * Messages asking the model to correct an invalid answer
+ * @param {Array} messages - The original conversation
+ * @param {string} content - The invalid answer
+ * @param {Array} errors - Validation errors
+ * @returns {Array}
+ */
+export const repairMessages = (messages, content, errors) => [
+  ...messages,
+  { role: 'assistant', content },
+  {
+    role: 'user',
+    content: `Your previous response did not match the required JSON format:\n${errors.map(error => `- ${error}`).join('\n')}\n\nReturn the corrected JSON only.`
+  }
+];
+
+/**
+ * Thrown when the model still returns invalid output after re-asking
+ */
+export class StructuredOutputError extends Error {
+  constructor(endpoint, errors, content) {
+    super(`Invalid structured output from ${endpoint}: ${errors.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.code = 'invalid_ai_output';
+    this.errors = errors;
+    this.content = content;
+  }
+}
+
+/**
+ * Run a completion in JSON mode and return schema-valid data, re-asking the model once
+ * with the validation errors when its first answer does not match
+ * @param {string} endpoint - Endpoint name used for settings and fixtures
+ * @param {Array} messages - Chat messages
+ * @param {Object} schema - One of the schemas from aiSchemas.js
+ * @param {Object} options - { retries = 1, signal, ... } passed on to complete()
+ * @returns {Object} { data, model, usage, attempts }
+ */
+export const completeStructured = async (endpoint, messages, schema, { retries = 1, ...options } = {}) => {
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  let conversation = messages;
+
+  for (let attempt = 1; ; attempt++) {
+    const completion = await complete(endpoint, conversation, {
+      ...options,
+      responseFormat: { name: endpoint.replace(/[^a-zA-Z0-9_-]/g, '_'), schema }
+    });
+    usage.promptTokens += completion.usage.promptTokens;
+    usage.completionTokens += completion.usage.completionTokens;
+
+    const { data, errors } = parseStructured(completion.content, schema);
+    if (errors.length === 0) {
+      return { data, model: completion.model, usage, attempts: attempt };
+    }
+
+    console.warn(`Invalid structured output from ${endpoint} (attempt ${attempt}):`, errors);
+    if (attempt > retries) {
+      throw new StructuredOutputError(endpoint, errors, completion.content);
+    }
+    conversation = repairMessages(messages, completion.content, errors);
+  }
+};
@@ -0,0 +1,155 @@
+import prisma from './prisma.js';
+
+// Subtask hierarchy and "blocked-by" dependencies between tasks.
+// Graph checks load the user's whole task graph once; task lists per user are small
+// enough that this is cheaper than walking the relations query by query.
+
+/**
+ * Load a user's tasks with their parent and dependency links
+ * @param {string} userId
+ * @returns {Map<string, Object>} Tasks keyed by id, with blockedByIds
+ */
+export const loadTaskGraph = async (userId) => {
+  const tasks = await prisma.task.findMany({
+    where: { userId },
+    include: {
+      blockedBy: {
+        select: { id: true }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return new Map(tasks.map(({ blockedBy, ...task }) => [
+    task.id,
+    { ...task, blockedByIds: blockedBy.map(blocker => blocker.id) }
+  ]));
+};
+
+/**
+ * Check whether making parentId the parent of taskId would create a cycle
+ * @param {Map} graph - Result of loadTaskGraph
+ * @param {string} taskId
+ * @param {string} parentId
+ * @returns {boolean}
+ */
+export const createsParentCycle = (graph, taskId, parentId) => {
+  const seen = new Set();
+  let current = parentId;
+
+  while (current && !seen.has(current)) {
+    if (current === taskId) {
+      return true;
+    }
+    seen.add(current);
+    current = graph.get(current)?.parentId;
+  }
+
+  return false;
+};
+
+/**
+ * Check whether "taskId is blocked by blockerId" would create a dependency cycle,
+ * i.e. whether blockerId already (transitively) waits on taskId
+ * @param {Map} graph - Result of loadTaskGraph
+ * @param {string} taskId
+ * @param {string} blockerId
+ * @returns {boolean}
+ */
+export const createsDependencyCycle = (graph, taskId, blockerId) => {
+  const stack = [blockerId];
+  const seen = new Set();
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === taskId) {
+      return true;
+    }
+    if (seen.has(current)) continue;
+    seen.add(current);
+    stack.push(...(graph.get(current)?.blockedByIds || []));
+  }
+
+  return false;
+};
+
+/**
+ * Find the open subtasks of a task
+ * @param {string} taskId
+ * @returns {Array} Open subtasks (id, title)
+ */
+export const findOpenSubtasks = (taskId) => prisma.task.findMany({
+  where: { parentId: taskId, completed: false },
+  select: { id: true, title: true }
+});
+
+/**
+ * Build the subtask tree rooted at a task, with dependency ids on every node
+ * @param {Map} graph - Result of loadTaskGraph
+ * @param {string} rootId
+ * @returns {Object|null} Task with nested subtasks
+ */
+export const buildTaskTree = (graph, rootId) => {
+  const root = graph.get(rootId);
+  if (!root) {
+    return null;
+  }
+
+  const childrenByParent = new Map();
+  for (const task of graph.values()) {
+    if (!task.parentId) continue;
+    if (!childrenByParent.has(task.parentId)) {
+      childrenByParent.set(task.parentId, []);
+    }
+    childrenByParent.get(task.parentId).push(task);
+  }
+
+  const build = (task, ancestors) => {
+    const children = (childrenByParent.get(task.id) || [])
+      .filter(child => !ancestors.has(child.id))
+      .map(child => build(child, new Set([...ancestors, task.id])));
+
+    return {
+      ...task,
+      blocked: task.blockedByIds.some(id => graph.get(id) && !graph.get(id).completed),
+      progress: {
+        total: children.length,
+        completed: children.filter(child => child.completed).length
+      },
+      subtasks: children
+    };
+  };
+
+  return build(root, new Set());
+};
+
+/**
+ * Drop scheduled tasks that would run before one of their open blockers.
+ * Entries are kept in start-time order; a task stays scheduled only when each of its
+ * open blockers is scheduled earlier in the same plan.
+ * @param {Array} scheduledTasks - [{ taskId, startTime, ... }]
+ * @param {Map} graph - Result of loadTaskGraph
+ * @returns {Object} { scheduled, deferred: [{ taskId, blockedBy }] }
+ */
+export const enforceDependencyOrder = (scheduledTasks, graph) => {
+  const ordered = [...scheduledTasks].sort((a, b) => Number(a.startTime) - Number(b.startTime));
+  const scheduledBefore = new Set();
+  const scheduled = [];
+  const deferred = [];
+
+  for (const entry of ordered) {
+    const task = graph.get(entry.taskId);
+    const openBlockers = (task?.blockedByIds || [])
+      .filter(id => graph.get(id) && !graph.get(id).completed && !scheduledBefore.has(id));
+
+    if (openBlockers.length > 0) {
+      deferred.push({ taskId: entry.taskId, blockedBy: openBlockers });
+      continue;
+    }
+
+    scheduled.push(entry);
+    scheduledBefore.add(entry.taskId);
+  }
+
+  return { scheduled, deferred };
+};
@@ -0,0 +1,343 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { syncGoalCompletion } from './goalLifecycle.js';
+import { normalizeRecurrence, spawnNextOccurrence } from './recurrence.js';
+import { resolveTimeZone } from './plans.js';
+import { loadTaskGraph, createsParentCycle, findOpenSubtasks } from './taskGraph.js';
+
+// Creating and changing tasks, shared by the /api/tasks routes and the chat coach's tools so
+// both go through the same validation and side effects (recurring series, goal completion).
+// Failures are returned, not thrown: { status, error, details? } with the HTTP status to answer.
+
+const taskInclude = {
+  goal: {
+    select: {
+      id: true,
+      title: true,
+      category: true
+    }
+  }
+};
+
+/**
+ * Failure result
+ * @param {number} status - HTTP status
+ * @param {string} error
+ * @param {Object} details - Extra fields of the error response
+ * @returns {Object} { status, error, details? }
+ */
+export const failure = (status, error, details) => ({ status, error, ...(details && { details }) });
+
+/**
+ * Conflict returned when completing a task that still has open subtasks
+ * @param {string} taskId
+ * @returns {Object|null} { error, message, openSubtasks } or null when there are none
+ */
+export const openSubtasksConflict = async (taskId) => {
+  const openSubtasks = await findOpenSubtasks(taskId);
+  if (openSubtasks.length === 0) {
+    return null;
+  }
+  return {
+    error: 'Task has open subtasks',
+    message: `Complete the ${openSubtasks.length} open subtask(s) first, or pass force=true.`,
+    openSubtasks
+  };
+};
+
+/**
+ * Validate a new parent for a task
+ * @param {Map} graph - From loadTaskGraph
+ * @param {string|null} taskId - Task being moved, null for new tasks
+ * @param {string} parentId
+ * @returns {string|null} Error message
+ */
+export const validateParent = (graph, taskId, parentId) => {
+  if (!graph.has(parentId)) {
+    return 'Parent task not found';
+  }
+  if (taskId && createsParentCycle(graph, taskId, parentId)) {
+    return 'A task cannot be nested under itself or one of its subtasks';
+  }
+  return null;
+};
+
+const conflictFailure = ({ error, ...details }) => failure(409, error, details);
+
+const findOwnGoal = (userId, goalId) => prisma.goal.findFirst({
+  where: {
+    id: goalId,
+    userId
+  }
+});
+
+/**
+ * Create a task
+ * @param {string} userId
+ * @param {Object} input - Body of POST /api/tasks
+ * @returns {Object} { task } or a failure
+ */
+export const createTask = async (userId, input) => {
+  const {
+    title,
+    description,
+    goalId,
+    priority,
+    estimatedTime,
+    aiGenerated = false,
+    dueDate,
+    recurrence,
+    parentId,
+    blockedBy = []
+  } = input;
+
+  if (!title) {
+    return failure(400, 'Title is required');
+  }
+
+  if (!Array.isArray(blockedBy)) {
+    return failure(400, 'blockedBy must be an array of task IDs');
+  }
+
+  // New tasks can't be part of a cycle yet, only check that linked tasks exist
+  if (parentId || blockedBy.length > 0) {
+    const graph = await loadTaskGraph(userId);
+    if (parentId && !graph.has(parentId)) {
+      return failure(404, 'Parent task not found');
+    }
+    if (blockedBy.some(id => !graph.has(id))) {
+      return failure(404, 'Blocking task not found');
+    }
+  }
+
+  // Recurring tasks need a due date to anchor the series - default to now
+  let recurrenceRule = null;
+  let firstDueDate = dueDate;
+  if (recurrence) {
+    firstDueDate = dueDate ? new Date(dueDate) : new Date();
+    if (isNaN(firstDueDate.getTime())) {
+      return failure(400, 'Due date must be a valid date');
+    }
+    const normalized = normalizeRecurrence(recurrence, firstDueDate, { timeZone: await resolveTimeZone(userId) });
+    if (normalized.error) {
+      return failure(400, normalized.error);
+    }
+    recurrenceRule = normalized.rule;
+  }
+
+  // Verify goal belongs to user if goalId is provided
+  if (goalId && !(await findOwnGoal(userId, goalId))) {
+    return failure(404, 'Goal not found');
+  }
+
+  const task = await prisma.task.create({
+    data: {
+      title,
+      description,
+      goalId,
+      priority: priority || 'MEDIUM',
+      estimatedTime,
+      aiGenerated,
+      userId,
+      dueDate: firstDueDate,
+      ...(recurrenceRule && { recurrence: recurrenceRule }),
+      ...(parentId && { parentId }),
+      ...(blockedBy.length > 0 && {
+        blockedBy: { connect: blockedBy.map(id => ({ id })) }
+      })
+    },
+    include: taskInclude
+  });
+
+  return { task };
+};
+
+/**
+ * Update a task
+ * @param {string} userId
+ * @param {string} taskId
+ * @param {Object} input - Body of PUT /api/tasks/:id
+ * @param {Object} options - { force: complete even with open subtasks }
+ * @returns {Object} { task, previous: the task before the update, nextOccurrence } or a failure
+ */
+export const updateTask = async (userId, taskId, input, { force = false } = {}) => {
+  const {
+    title,
+    description,
+    goalId,
+    priority,
+    estimatedTime,
+    completed,
+    dueDate,
+    recurrence,
+    parentId
+  } = input;
+
+  const existingTask = await prisma.task.findFirst({
+    where: {
+      id: taskId,
+      userId
+    }
+  });
+
+  if (!existingTask) {
+    return failure(404, 'Task not found');
+  }
+
+  // Verify goal belongs to user if goalId is provided
+  if (goalId && goalId !== existingTask.goalId && !(await findOwnGoal(userId, goalId))) {
+    return failure(404, 'Goal not found');
+  }
+
+  if (parentId) {
+    const parentError = validateParent(await loadTaskGraph(userId), existingTask.id, parentId);
+    if (parentError) {
+      return failure(400, parentError);
+    }
+  }
+
+  if (completed && !existingTask.completed && !force) {
+    const conflict = await openSubtasksConflict(existingTask.id);
+    if (conflict) {
+      return conflictFailure(conflict);
+    }
+  }
+
+  const updateData = {
+    ...(title && { title }),
+    ...(description !== undefined && { description }),
+    ...(goalId !== undefined && { goalId }),
+    ...(priority && { priority }),
+    ...(estimatedTime !== undefined && { estimatedTime }),
+    ...(dueDate && { dueDate }),
+    ...(parentId !== undefined && { parentId })
+  };
+
+  // Set, replace or clear (null) the recurrence rule - the series restarts from this task
+  if (recurrence !== undefined) {
+    if (recurrence === null) {
+      updateData.recurrence = Prisma.DbNull;
+    } else {
+      const anchor = new Date(dueDate || existingTask.dueDate || Date.now());
+      if (isNaN(anchor.getTime())) {
+        return failure(400, 'Due date must be a valid date');
+      }
+      const normalized = normalizeRecurrence(recurrence, anchor, { timeZone: await resolveTimeZone(userId) });
+      if (normalized.error) {
+        return failure(400, normalized.error);
+      }
+      updateData.recurrence = normalized.rule;
+      updateData.dueDate = anchor;
+    }
+  }
+
+  // Handle completion status
+  if (completed !== undefined) {
+    updateData.completed = completed;
+    if (completed && !existingTask.completed) {
+      updateData.completedAt = new Date();
+    } else if (!completed && existingTask.completed) {
+      updateData.completedAt = null;
+    }
+  }
+
+  const task = await prisma.task.update({
+    where: { id: taskId },
+    data: updateData,
+    include: taskInclude
+  });
+
+  let nextOccurrence = null;
+  if (task.completed && !existingTask.completed) {
+    nextOccurrence = await spawnNextOccurrence(task);
+  }
+
+  // Roll completion changes up to the goal (and the previous goal if it moved)
+  if (task.completed !== existingTask.completed || task.goalId !== existingTask.goalId) {
+    await syncGoalCompletion(task.goalId);
+    if (existingTask.goalId !== task.goalId) {
+      await syncGoalCompletion(existingTask.goalId);
+    }
+  }
+
+  return { task, previous: existingTask, nextOccurrence };
+};
+
+/**
+ * Toggle the completion of a task
+ * @param {string} userId
+ * @param {string} taskId
+ * @param {Object} options - { force: complete even with open subtasks }
+ * @returns {Object} { task, previous, nextOccurrence } or a failure
+ */
+export const toggleTaskCompletion = async (userId, taskId, { force = false } = {}) => {
+  const existingTask = await prisma.task.findFirst({
+    where: {
+      id: taskId,
+      userId
+    }
+  });
+
+  if (!existingTask) {
+    return failure(404, 'Task not found');
+  }
+
+  if (!existingTask.completed && !force) {
+    const conflict = await openSubtasksConflict(existingTask.id);
+    if (conflict) {
+      return conflictFailure(conflict);
+    }
+  }
+
+  const task = await prisma.task.update({
+    where: { id: taskId },
+    data: {
+      completed: !existingTask.completed,
+      completedAt: !existingTask.completed ? new Date() : null
+    },
+    include: taskInclude
+  });
+
+  // Completing a recurring task schedules its next occurrence
+  const nextOccurrence = task.completed
+    ? await spawnNextOccurrence(task)
+    : null;
+
+  await syncGoalCompletion(task.goalId);
+
+  return { task, previous: existingTask, nextOccurrence };
+};
+
+/**
+ * Delete a task
+ * @param {string} userId
+ * @param {string} taskId
+ * @returns {Object} { task: the deleted task } or a failure
+ */
+export const deleteTask = async (userId, taskId) => {
+  const existingTask = await prisma.task.findFirst({
+    where: {
+      id: taskId,
+      userId
+    }
+  });
+
+  if (!existingTask) {
+    return failure(404, 'Task not found');
+  }
+
+  await prisma.task.delete({
+    where: { id: taskId }
+  });
+
+  await syncGoalCompletion(existingTask.goalId);
+
+  return { task: existingTask };
+};
+
+/**
+ * Send a failure returned by the functions above
+ * @param {Object} res - Express response
+ * @param {Object} result - { status, error, details? }
+ */
+export const sendFailure = (res, { status, error, details }) => res.status(status).json({ error, ...details });
@@ -0,0 +1,424 @@
+import prisma from './prisma.js';
+import { completeStructured } from './structuredOutput.js';
+import { CLASSIFICATION_SCHEMA } from './aiSchemas.js';
+
+// Per-user taxonomy: the canonical goal categories and idea tags.
+//
+// Names are stored in a canonical form ("Side Project" -> "side-project"). Every category or
+// tag written by a user or produced by the model is mapped onto an existing term (by name or
+// alias) or registered as a new one, so the lists don't drift apart. Categories start from
+// DEFAULT_CATEGORIES, which are seeded the first time a user's taxonomy is read.
+
+export const TAXONOMY_KINDS = { category: 'CATEGORY', tag: 'TAG' };
+
+export const DEFAULT_CATEGORIES = [
+  { name: 'work', description: 'Professional, career, business-related' },
+  { name: 'personal', description: 'Life admin, relationships, home organization' },
+  { name: 'health', description: 'Physical fitness, mental wellness, medical' },
+  { name: 'learning', description: 'Education, skill development, courses, reading' },
+  { name: 'creative', description: 'Art, writing, design, music, creative projects' },
+  { name: 'financial', description: 'Money management, investments, budgeting' },
+  { name: 'other', description: 'Anything that fits none of the other categories' }
+];
+
+// Items sent to the model per classification request
+export const CLASSIFY_BATCH_SIZE = 10;
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Canonical form of a category or tag name: lowercase, no leading "#", words joined with "-"
+ * @param {*} value
+ * @returns {string|null} null when nothing is left
+ */
+export const canonicalName = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const name = value
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}-]/gu, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_NAME_LENGTH);
+  return name || null;
+};
+
+const seedDefaultCategories = (userId, client = prisma) => client.taxonomyTerm.createMany({
+  data: DEFAULT_CATEGORIES.map(category => ({ ...category, userId, kind: 'CATEGORY' })),
+  skipDuplicates: true
+});
+
+/**
+ * Load the user's taxonomy, seeding the default categories on first use
+ * @param {string} userId
+ * @returns {Object} { categories: [TaxonomyTerm], tags: [TaxonomyTerm] } sorted by name
+ */
+export const getTaxonomy = async (userId) => {
+  let terms = await prisma.taxonomyTerm.findMany({
+    where: { userId },
+    orderBy: { name: 'asc' }
+  });
+
+  if (!terms.some(term => term.kind === 'CATEGORY')) {
+    await seedDefaultCategories(userId);
+    terms = await prisma.taxonomyTerm.findMany({
+      where: { userId },
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  return {
+    categories: terms.filter(term => term.kind === 'CATEGORY'),
+    tags: terms.filter(term => term.kind === 'TAG')
+  };
+};
+
+/**
+ * Build a lookup from any spelling (name or alias) to the canonical term name
+ * @param {Array} terms - TaxonomyTerm records of one kind
+ * @returns {Function} (value) => canonical name, null for empty values
+ */
+export const termResolver = (terms) => {
+  const names = new Map();
+  for (const term of terms) {
+    for (const alias of term.aliases) {
+      names.set(canonicalName(alias), term.name);
+    }
+  }
+  // Names win over aliases of other terms
+  for (const term of terms) {
+    names.set(term.name, term.name);
+  }
+
+  return (value) => {
+    const name = canonicalName(value);
+    return name && (names.get(name) || name);
+  };
+};
+
+const registerTerms = async (userId, kind, names, known) => {
+  const added = [...new Set(names)].filter(name => !known.has(name));
+  if (added.length > 0) {
+    await prisma.taxonomyTerm.createMany({
+      data: added.map(name => ({ userId, kind, name })),
+      skipDuplicates: true
+    });
+  }
+};
+
+/**
+ * Map tags onto the user's taxonomy, registering tags it doesn't know yet
+ * @param {string} userId
+ * @param {Array<string>} tags
+ * @returns {Array<string>} Canonical tags without duplicates, in input order
+ */
+export const normalizeTags = async (userId, tags) => {
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return [];
+  }
+
+  const terms = await prisma.taxonomyTerm.findMany({ where: { userId, kind: 'TAG' } });
+  const resolve = termResolver(terms);
+  const normalized = [...new Set(tags.map(resolve).filter(Boolean))];
+
+  await registerTerms(userId, 'TAG', normalized, new Set(terms.map(term => term.name)));
+  return normalized;
+};
+
+/**
+ * Map a goal category onto the user's taxonomy, registering it when it is new
+ * @param {string} userId
+ * @param {string|null} category
+ * @returns {string|null} Canonical category, null when empty
+ */
+export const normalizeCategory = async (userId, category) => {
+  const { categories } = await getTaxonomy(userId);
+  const name = termResolver(categories)(category);
+  if (!name) {
+    return null;
+  }
+
+  await registerTerms(userId, 'CATEGORY', [name], new Set(categories.map(term => term.name)));
+  return name;
+};
+
+/**
+ * Prompt lines describing the user's categories
+ * @param {Array} categories - TaxonomyTerm records
+ * @returns {Object} { guidelines: "- name: description" lines, options: "a|b|c" }
+ */
+export const categoryPrompt = (categories) => ({
+  guidelines: categories
+    .map(category => `- ${category.name}${category.description ? `: ${category.description}` : ''}`)
+    .join('\n'),
+  options: categories.map(category => category.name).join('|')
+});
+
+/**
+ * Count how often each term is used
+ * @param {string} userId
+ * @returns {Object} { categories: Map(name -> goals), tags: Map(name -> ideas) }
+ */
+export const getTermUsage = async (userId) => {
+  const [{ categories, tags }, goals, ideas] = await Promise.all([
+    getTaxonomy(userId),
+    prisma.goal.findMany({ where: { userId }, select: { category: true } }),
+    prisma.idea.findMany({ where: { userId }, select: { tags: true } })
+  ]);
+
+  const count = (values, resolve) => {
+    const counts = new Map();
+    for (const value of values) {
+      const name = resolve(value);
+      if (name) {
+        counts.set(name, (counts.get(name) || 0) + 1);
+      }
+    }
+    return counts;
+  };
+
+  return {
+    categories: count(goals.map(goal => goal.category), termResolver(categories)),
+    tags: count(ideas.flatMap(idea => [...new Set(idea.tags)]), termResolver(tags))
+  };
+};
+
+const classificationPrompt = (items, { categories, tags }) => {
+  const { guidelines, options } = categoryPrompt(categories);
+  const knownTags = tags.map(tag => tag.name).slice(0, 100);
+
+  return `
+Categorize and tag the following items of a personal productivity app.
+
+CATEGORIES (pick exactly one per item):
+${guidelines}
+
+EXISTING TAGS (prefer these over new ones): ${knownTags.length > 0 ? knownTags.join(', ') : 'none yet'}
+
+ITEMS:
+${items.map((item, index) => `${index}. [${item.type}] ${item.text.substring(0, 500)}`).join('\n')}
+
+Return ONLY a JSON object with this exact structure:
+
+{
+  "items": [
+    {
+      "index": 0,
+      "category": "${options}",
+      "tags": ["short-lowercase-tag"]
+    }
+  ]
+}
+
+Make sure:
+1. Every item appears once, identified by its index
+2. Each item gets 1-5 short tags (one or two words)
+3. The JSON is valid and properly formatted
+4. No extra text outside the JSON object`;
+};
+
+/**
+ * Ask the model for a category and tags per item. Results are mapped onto the user's taxonomy
+ * but new terms are not registered; normalizeTags/normalizeCategory do that when they are applied.
+ * @param {string} userId
+ * @param {Array} items - [{ type: 'idea'|'goal', text }], at most CLASSIFY_BATCH_SIZE
+ * @returns {Array} One entry per item: { category, tags } or null when the model skipped it
+ */
+export const classifyItems = async (userId, items) => {
+  const taxonomy = await getTaxonomy(userId);
+  const { data } = await completeStructured('classify-items', [
+    { role: 'system', content: 'You are a productivity assistant. Always respond with valid JSON only.' },
+    { role: 'user', content: classificationPrompt(items, taxonomy) }
+  ], CLASSIFICATION_SCHEMA, { userId });
+
+  const resolveCategory = termResolver(taxonomy.categories);
+  const resolveTag = termResolver(taxonomy.tags);
+
+  const results = items.map(() => null);
+  for (const entry of data.items) {
+    if (entry.index < items.length && !results[entry.index]) {
+      results[entry.index] = {
+        category: resolveCategory(entry.category) || 'other',
+        tags: [...new Set(entry.tags.map(resolveTag).filter(Boolean))].slice(0, 5)
+      };
+    }
+  }
+  return results;
+};
+
+// Records that can be classified: ideas get tags, goals get a category
+const CLASSIFY_SOURCES = {
+  idea: {
+    delegate: 'idea',
+    select: { id: true, title: true, description: true, content: true, tags: true },
+    missing: { tags: { isEmpty: true } },
+    text: (idea) => [idea.title, idea.description, idea.content].filter(Boolean).join('\n')
+  },
+  goal: {
+    delegate: 'goal',
+    select: { id: true, title: true, description: true, category: true },
+    missing: { OR: [{ category: null }, { category: '' }] },
+    text: (goal) => [goal.title, goal.description].filter(Boolean).join('\n')
+  }
+};
+
+export const CLASSIFY_TYPES = Object.keys(CLASSIFY_SOURCES);
+
+/**
+ * Load a classifiable record of the user
+ * @param {string} userId
+ * @param {string} type - idea or goal
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export const findClassifiable = (userId, type, id) => prisma[CLASSIFY_SOURCES[type].delegate].findFirst({
+  where: { id, userId },
+  select: CLASSIFY_SOURCES[type].select
+});
+
+/**
+ * Classify records of one or more types
+ * @param {string} userId
+ * @param {Array} records - [{ type, record }]
+ * @returns {Array} One entry per record: { tags } for ideas, { category } for goals, or null
+ */
+export const classifyRecords = async (userId, records) => {
+  const results = [];
+  for (let start = 0; start < records.length; start += CLASSIFY_BATCH_SIZE) {
+    const batch = records.slice(start, start + CLASSIFY_BATCH_SIZE);
+    const classified = await classifyItems(userId, batch.map(({ type, record }) => ({
+      type,
+      text: CLASSIFY_SOURCES[type].text(record)
+    })));
+    results.push(...classified.map((result, i) => result && (
+      batch[i].type === 'idea' ? { tags: result.tags } : { category: result.category }
+    )));
+  }
+  return results;
+};
+
+/**
+ * Store a classification: suggested tags are added to an idea's tags, a goal gets the category
+ * @param {string} userId
+ * @param {string} type - idea or goal
+ * @param {Object} record - As returned by findClassifiable
+ * @param {Object} result - Suggestion from classifyRecords
+ * @returns {Object} The updated record
+ */
+export const applyClassification = async (userId, type, record, result) => {
+  if (type === 'idea') {
+    return prisma.idea.update({
+      where: { id: record.id },
+      data: { tags: await normalizeTags(userId, [...record.tags, ...result.tags]) },
+      select: CLASSIFY_SOURCES.idea.select
+    });
+  }
+  return prisma.goal.update({
+    where: { id: record.id },
+    data: { category: await normalizeCategory(userId, result.category) },
+    select: CLASSIFY_SOURCES.goal.select
+  });
+};
+
+/**
+ * Find records to back-fill, oldest first
+ * @param {string} userId
+ * @param {Object} options - { types, onlyMissing: skip ideas with tags / goals with a category, limit }
+ * @returns {Object} { records: [{ type, record }], total: matching records including those over the limit }
+ */
+export const findBackfillCandidates = async (userId, { types = CLASSIFY_TYPES, onlyMissing = true, limit = 50 } = {}) => {
+  const records = [];
+  let total = 0;
+  for (const type of types) {
+    const source = CLASSIFY_SOURCES[type];
+    const where = { userId, ...(onlyMissing && source.missing) };
+    total += await prisma[source.delegate].count({ where });
+
+    const remaining = limit - records.length;
+    if (remaining > 0) {
+      const found = await prisma[source.delegate].findMany({
+        where,
+        select: source.select,
+        orderBy: { createdAt: 'asc' },
+        take: remaining
+      });
+      records.push(...found.map(record => ({ type, record })));
+    }
+  }
+  return { records, total };
+};
+
+/**
+ * Merge terms into one. Every goal or idea using one of the merged names (or their aliases) is
+ * updated, and the merged names become aliases of the target - all in one transaction.
+ * Renaming is a merge of a single term into a new name.
+ * @param {string} userId
+ * @param {string} kind - CATEGORY or TAG
+ * @param {Array<string>} from - Names to merge away
+ * @param {string} to - Target name (created when it doesn't exist)
+ * @returns {Object} { term, updated: number of goals (CATEGORY) or ideas (TAG) changed }
+ */
+export const mergeTerms = (userId, kind, from, to) => prisma.$transaction(async (tx) => {
+  if (kind === 'CATEGORY' && (await tx.taxonomyTerm.count({ where: { userId, kind } })) === 0) {
+    await seedDefaultCategories(userId, tx);
+  }
+
+  const terms = await tx.taxonomyTerm.findMany({ where: { userId, kind } });
+  const resolve = termResolver(terms);
+  const target = resolve(to);
+  const merged = new Set(from.map(resolve).filter(name => name && name !== target));
+
+  const mergedTerms = terms.filter(term => merged.has(term.name));
+  const targetTerm = terms.find(term => term.name === target);
+  const aliases = [...new Set([
+    ...(targetTerm?.aliases || []),
+    ...merged,
+    ...mergedTerms.flatMap(term => term.aliases)
+  ])].filter(alias => alias !== target);
+
+  let updated = 0;
+  if (kind === 'TAG') {
+    const ideas = await tx.idea.findMany({ where: { userId }, select: { id: true, tags: true } });
+    for (const idea of ideas) {
+      if (!idea.tags.some(tag => merged.has(resolve(tag)))) continue;
+      const tags = [...new Set(idea.tags.map(tag => (merged.has(resolve(tag)) ? target : tag)))];
+      await tx.idea.update({ where: { id: idea.id }, data: { tags } });
+      updated++;
+    }
+  } else {
+    const goals = await tx.goal.findMany({
+      where: { userId, category: { not: null } },
+      select: { id: true, category: true }
+    });
+    const ids = goals.filter(goal => merged.has(resolve(goal.category))).map(goal => goal.id);
+    if (ids.length > 0) {
+      ({ count: updated } = await tx.goal.updateMany({
+        where: { id: { in: ids } },
+        data: { category: target }
+      }));
+    }
+  }
+
+  if (mergedTerms.length > 0) {
+    await tx.taxonomyTerm.deleteMany({ where: { id: { in: mergedTerms.map(term => term.id) } } });
+  }
+
+  const term = await tx.taxonomyTerm.upsert({
+    where: { userId_kind_name: { userId, kind, name: target } },
+    update: { aliases },
+    create: {
+      userId,
+      kind,
+      name: target,
+      aliases,
+      // A renamed term keeps its description
+      description: mergedTerms.length === 1 ? mergedTerms[0].description : null
+    }
+  });
+
+  return { term, updated };
+});
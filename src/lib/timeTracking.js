@@ -0,0 +1,99 @@
+import prisma from './prisma.js';
+
+// Task.actualTime is derived from the task's time entries and only written here; task updates
+// don't accept it.
+
+/**
+ * Recalculate a task's actualTime (minutes) from its finished time entries
+ * @param {string} taskId
+ * @param {Object} client - Prisma client or transaction
+ * @returns {number} Aggregated minutes
+ */
+export const recalculateActualTime = async (taskId, client = prisma) => {
+  const { _sum } = await client.timeEntry.aggregate({
+    where: {
+      taskId,
+      endedAt: { not: null }
+    },
+    _sum: { duration: true }
+  });
+
+  const actualTime = Math.round((_sum.duration || 0) / 60);
+
+  await client.task.update({
+    where: { id: taskId },
+    data: { actualTime }
+  });
+
+  return actualTime;
+};
+
+/**
+ * Close a running time entry and refresh the task's aggregated time
+ * @param {Object} entry - Running TimeEntry record
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} Finished TimeEntry record
+ */
+const finishEntry = async (entry, client = prisma) => {
+  const endedAt = new Date();
+  const duration = Math.max(0, Math.round((endedAt.getTime() - entry.startedAt.getTime()) / 1000));
+
+  const finished = await client.timeEntry.update({
+    where: { id: entry.id },
+    data: { endedAt, duration }
+  });
+
+  await recalculateActualTime(entry.taskId, client);
+
+  return finished;
+};
+
+/**
+ * Start a timer on a task. A user can only track one task at a time,
+ * so any timer running on another task is stopped first.
+ * @param {string} userId
+ * @param {string} taskId
+ * @returns {Object} { entry, stoppedEntries, alreadyRunning }
+ */
+export const startTimer = (userId, taskId) => prisma.$transaction(async (tx) => {
+  // Lock the user's row so concurrent starts run one after the other and see each other's timer
+  await tx.$queryRaw`SELECT id FROM "User" WHERE id = ${userId} FOR UPDATE`;
+
+  const runningEntries = await tx.timeEntry.findMany({
+    where: { userId, endedAt: null }
+  });
+
+  const current = runningEntries.find(entry => entry.taskId === taskId);
+  if (current) {
+    return { entry: current, stoppedEntries: [], alreadyRunning: true };
+  }
+
+  const stoppedEntries = [];
+  for (const entry of runningEntries) {
+    stoppedEntries.push(await finishEntry(entry, tx));
+  }
+
+  const entry = await tx.timeEntry.create({
+    data: { userId, taskId }
+  });
+
+  return { entry, stoppedEntries, alreadyRunning: false };
+});
+
+/**
+ * Stop the running timer on a task
+ * @param {string} userId
+ * @param {string} taskId
+ * @returns {Object|null} Finished TimeEntry, or null when no timer was running
+ */
+export const stopTimer = async (userId, taskId) => {
+  const entry = await prisma.timeEntry.findFirst({
+    where: { userId, taskId, endedAt: null }
+  });
+
+  if (!entry) {
+    return null;
+  }
+
+  return finishEntry(entry);
+};
@@ -0,0 +1,158 @@
+// Timezone helpers built on Intl, so we don't need a date library.
+// Local dates are passed around as 'YYYY-MM-DD' strings and times of day as minutes from midnight.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a string is an IANA timezone the runtime understands
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidDateString = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Wall-clock parts of an instant in a timezone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export const timeZoneOffset = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a local date and time of day in a timezone to a UTC instant
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes from local midnight (may exceed 1440)
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (dateString, minutes, timeZone) => {
+  const naive = new Date(`${dateString}T00:00:00Z`).getTime() + minutes * 60000;
+  // Two passes handle instants right next to a DST change
+  let offset = timeZoneOffset(new Date(naive), timeZone);
+  offset = timeZoneOffset(new Date(naive - offset * 60000), timeZone);
+  return new Date(naive - offset * 60000);
+};
+
+/**
+ * Local calendar date of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const localDateString = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Local time of day of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Minutes from local midnight
+ */
+export const localMinutes = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  return Number(parts.hour) * 60 + Number(parts.minute);
+};
+
+/**
+ * Local weekday of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} 0 (Sunday) - 6 (Saturday)
+ */
+export const localWeekday = (date, timeZone) => {
+  const weekday = zonedParts(date, timeZone).weekday;
+  return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday);
+};
+
+/**
+ * Shift a local date string by a number of days
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {number} days
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Monday of the week a local date is in
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const weekStart = (dateString) => {
+  const weekday = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  return addDays(dateString, -((weekday + 6) % 7));
+};
+
+/**
+ * Parse an 'HH:MM' time of day
+ * @param {string} value
+ * @returns {number|undefined} Minutes from midnight, undefined when invalid
+ */
+export const parseTimeOfDay = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return undefined;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return undefined;
+  }
+  return hours * 60 + minutes;
+};
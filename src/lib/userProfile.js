@@ -0,0 +1,302 @@
+import prisma from './prisma.js';
+import { isValidTimeZone, localMinutes, localWeekday, parseTimeOfDay } from './timezone.js';
+import { median } from './analytics.js';
+
+// What the AI features know about a user, kept in UserProfile:
+//   preferences - set by the user: timezone, workingHours { start, end } ('HH:MM'),
+//                 energyPeaks [part of day], taskLength { min, max } (minutes), tone and
+//                 quietHours { start, end } ('HH:MM', may span midnight) when no nudges go out
+//   patterns    - learned from completion history by the learn-patterns job
+// profileSummary() condenses both into a few lines that every AI prompt includes.
+
+export const PARTS_OF_DAY = ['morning', 'afternoon', 'evening', 'night'];
+export const TONES = ['encouraging', 'direct', 'neutral', 'playful'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Patterns are learned from the last PATTERN_WINDOW_DAYS of completions, and only reported
+// once there are MIN_SAMPLES of them
+const PATTERN_WINDOW_DAYS = 90;
+const MIN_SAMPLES = 5;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isMinutes = (value) => Number.isInteger(value) && value > 0 && value <= 24 * 60;
+
+// Validators per preference; each returns an error message or null
+const PREFERENCE_VALIDATORS = {
+  timezone: (value) => (isValidTimeZone(value) ? null : 'timezone must be an IANA timezone, e.g. Europe/Berlin'),
+
+  workingHours: (value) => {
+    if (!isPlainObject(value) || parseTimeOfDay(value.start) === undefined || parseTimeOfDay(value.end) === undefined) {
+      return 'workingHours must be { start, end } in HH:MM format';
+    }
+    return parseTimeOfDay(value.start) < parseTimeOfDay(value.end)
+      ? null
+      : 'workingHours.start must be before workingHours.end';
+  },
+
+  energyPeaks: (value) => (
+    Array.isArray(value) && value.length > 0 && value.every(part => PARTS_OF_DAY.includes(part))
+      ? null
+      : `energyPeaks must be a list of ${PARTS_OF_DAY.join(', ')}`
+  ),
+
+  taskLength: (value) => {
+    if (!isPlainObject(value) || !isMinutes(value.min) || !isMinutes(value.max)) {
+      return 'taskLength must be { min, max } in whole minutes';
+    }
+    return value.min <= value.max ? null : 'taskLength.min must not exceed taskLength.max';
+  },
+
+  tone: (value) => (TONES.includes(value) ? null : `tone must be one of ${TONES.join(', ')}`),
+
+  quietHours: (value) => {
+    if (!isPlainObject(value) || parseTimeOfDay(value.start) === undefined || parseTimeOfDay(value.end) === undefined) {
+      return 'quietHours must be { start, end } in HH:MM format';
+    }
+    return parseTimeOfDay(value.start) !== parseTimeOfDay(value.end) ? null : 'quietHours.start and quietHours.end must differ';
+  }
+};
+
+export const PREFERENCE_KEYS = Object.keys(PREFERENCE_VALIDATORS);
+
+/**
+ * Validate a preferences update. null clears a preference.
+ * @param {Object} changes
+ * @returns {Object} { changes } or { error }
+ */
+export const validatePreferences = (changes) => {
+  if (!isPlainObject(changes)) {
+    return { error: 'Preferences must be an object' };
+  }
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (!PREFERENCE_VALIDATORS[key]) {
+      return { error: `Unknown preference "${key}". Use ${PREFERENCE_KEYS.join(', ')}` };
+    }
+    const error = value === null ? null : PREFERENCE_VALIDATORS[key](value);
+    if (error) {
+      return { error };
+    }
+  }
+
+  return { changes };
+};
+
+/**
+ * Get a user's profile, or an empty one when nothing is stored yet
+ * @param {string} userId
+ * @returns {Object} { preferences, patterns }
+ */
+export const getProfile = async (userId) => {
+  const profile = await prisma.userProfile.findUnique({ where: { userId } });
+  return {
+    preferences: profile?.preferences || {},
+    patterns: profile?.patterns || {}
+  };
+};
+
+/**
+ * Merge changes into the stored preferences
+ * @param {string} userId
+ * @param {Object} changes - Validated changes, null values remove a preference
+ * @returns {Object} Updated preferences
+ */
+export const updatePreferences = async (userId, changes) => {
+  const { preferences } = await getProfile(userId);
+  const merged = { ...preferences, ...changes };
+  for (const key of Object.keys(changes)) {
+    if (changes[key] === null) {
+      delete merged[key];
+    }
+  }
+
+  const profile = await prisma.userProfile.upsert({
+    where: { userId },
+    create: { userId, preferences: merged },
+    update: { preferences: merged }
+  });
+  return profile.preferences;
+};
+
+/**
+ * Forget the learned patterns. Learning starts over from completions after the reset.
+ * @param {string} userId
+ * @returns {Object} The reset patterns
+ */
+export const resetPatterns = async (userId) => {
+  const patterns = { learnedSince: new Date().toISOString() };
+  await prisma.userProfile.upsert({
+    where: { userId },
+    create: { userId, patterns },
+    update: { patterns }
+  });
+  return patterns;
+};
+
+const partOfDay = (minutes) => {
+  if (minutes >= 5 * 60 && minutes < 12 * 60) return 'morning';
+  if (minutes >= 12 * 60 && minutes < 17 * 60) return 'afternoon';
+  if (minutes >= 17 * 60 && minutes < 22 * 60) return 'evening';
+  return 'night';
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Derive patterns from completed tasks
+ * @param {Array} tasks - Completed tasks with completedAt, estimatedTime and actualTime
+ * @param {string} timeZone - Timezone the times of day and weekdays are counted in
+ * @returns {Object} { sampleSize, timeOfDay: { counts, peak }, weekdays: { counts, best },
+ *   estimateAccuracy: { samples, medianRatio, tendency } } - peak, best and tendency are null
+ *   below MIN_SAMPLES
+ */
+export const derivePatterns = (tasks, timeZone) => {
+  const timeOfDay = Object.fromEntries(PARTS_OF_DAY.map(part => [part, 0]));
+  const weekdays = Object.fromEntries(WEEKDAYS.map(day => [day, 0]));
+
+  for (const task of tasks) {
+    timeOfDay[partOfDay(localMinutes(task.completedAt, timeZone))]++;
+    weekdays[WEEKDAYS[localWeekday(task.completedAt, timeZone)]]++;
+  }
+
+  const enough = tasks.length >= MIN_SAMPLES;
+  const mostFrequent = (counts, take) => Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, take)
+    .map(([key]) => key);
+
+  // actual / estimated time: above 1 means tasks take longer than estimated
+  const ratios = tasks
+    .filter(task => task.estimatedTime > 0 && task.actualTime > 0)
+    .map(task => task.actualTime / task.estimatedTime);
+  const medianRatio = ratios.length > 0 ? round(median(ratios)) : null;
+
+  let tendency = null;
+  if (ratios.length >= MIN_SAMPLES) {
+    tendency = medianRatio > 1.2 ? 'underestimates' : medianRatio < 0.8 ? 'overestimates' : 'accurate';
+  }
+
+  return {
+    sampleSize: tasks.length,
+    timeOfDay: { counts: timeOfDay, peak: enough ? mostFrequent(timeOfDay, 1)[0] : null },
+    weekdays: { counts: weekdays, best: enough ? mostFrequent(weekdays, 2) : [] },
+    estimateAccuracy: { samples: ratios.length, medianRatio, tendency }
+  };
+};
+
+/**
+ * Re-learn a user's patterns from their recent completions
+ * @param {string} userId
+ * @returns {Object} Stored patterns
+ */
+export const learnPatterns = async (userId) => {
+  const { preferences, patterns: previous } = await getProfile(userId);
+
+  const windowStart = new Date(Date.now() - PATTERN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const learnedSince = previous.learnedSince && new Date(previous.learnedSince) > windowStart
+    ? new Date(previous.learnedSince)
+    : windowStart;
+
+  const tasks = await prisma.task.findMany({
+    where: { userId, completed: true, completedAt: { gte: learnedSince } },
+    select: { completedAt: true, estimatedTime: true, actualTime: true }
+  });
+
+  const timeZone = isValidTimeZone(preferences.timezone) ? preferences.timezone : 'UTC';
+  const patterns = {
+    ...(previous.learnedSince && { learnedSince: previous.learnedSince }),
+    ...derivePatterns(tasks, timeZone),
+    timezone: timeZone,
+    updatedAt: new Date().toISOString()
+  };
+
+  await prisma.userProfile.upsert({
+    where: { userId },
+    create: { userId, patterns },
+    update: { patterns }
+  });
+  return patterns;
+};
+
+/**
+ * Job: re-learn the patterns of every user who completed a task since the last run
+ * @param {Object} options - { since: Date of the last run }
+ * @returns {Object} { users }
+ */
+export const learnAllPatterns = async ({ since } = {}) => {
+  const users = await prisma.task.findMany({
+    where: {
+      completed: true,
+      completedAt: { gte: since || new Date(Date.now() - PATTERN_WINDOW_DAYS * 24 * 60 * 60 * 1000) }
+    },
+    distinct: ['userId'],
+    select: { userId: true }
+  });
+
+  for (const { userId } of users) {
+    try {
+      await learnPatterns(userId);
+    } catch (error) {
+      console.error(`Error learning patterns for user ${userId}:`, error);
+    }
+  }
+  return { users: users.length };
+};
+
+/**
+ * Compact, prompt-ready summary of a profile
+ * @param {Object} profile - { preferences, patterns }
+ * @returns {string} One line per known fact, empty when nothing is known
+ */
+export const profileSummary = ({ preferences = {}, patterns = {} }) => {
+  const lines = [];
+
+  if (preferences.workingHours) {
+    lines.push(`Works ${preferences.workingHours.start}-${preferences.workingHours.end}${preferences.timezone ? ` (${preferences.timezone})` : ''}`);
+  }
+  if (preferences.energyPeaks?.length) {
+    lines.push(`Has the most energy in the ${preferences.energyPeaks.join(' and ')}`);
+  }
+  if (preferences.taskLength) {
+    lines.push(`Prefers tasks of ${preferences.taskLength.min}-${preferences.taskLength.max} minutes`);
+  }
+  if (preferences.tone) {
+    lines.push(`Wants a ${preferences.tone} tone`);
+  }
+
+  if (patterns.timeOfDay?.peak) {
+    lines.push(`Completes most tasks in the ${patterns.timeOfDay.peak}`);
+  }
+  if (patterns.weekdays?.best?.length) {
+    lines.push(`Most productive on ${patterns.weekdays.best.join(' and ')}`);
+  }
+  if (patterns.estimateAccuracy?.tendency === 'underestimates') {
+    lines.push(`Tasks usually take ${patterns.estimateAccuracy.medianRatio}x their estimate`);
+  } else if (patterns.estimateAccuracy?.tendency === 'overestimates') {
+    lines.push(`Tasks usually take less time than estimated (${patterns.estimateAccuracy.medianRatio}x)`);
+  }
+
+  return lines.map(line => `- ${line}`).join('\n');
+};
+
+/**
+ * Add the user's profile summary to the system message of a prompt
+ * @param {string} userId
+ * @param {Array} messages - Chat messages, usually starting with a system message
+ * @returns {Array} Messages, unchanged when nothing is known about the user
+ */
+export const personalize = async (userId, messages) => {
+  const summary = profileSummary(await getProfile(userId));
+  if (!summary) {
+    return messages;
+  }
+
+  const about = `About the user:\n${summary}`;
+  const [first, ...rest] = messages;
+  return first?.role === 'system'
+    ? [{ ...first, content: `${first.content}\n\n${about}` }, ...rest]
+    : [{ role: 'system', content: about }, ...messages];
+};
@@ -0,0 +1,273 @@
+import prisma from './prisma.js';
+import { resolveTimeZone, DEFAULT_DAY_START } from './plans.js';
+import { isValidTimeZone, isValidDateString, localDateString, localMinutes, zonedTimeToUtc, addDays, weekStart } from './timezone.js';
+import { computeGoalProgress } from './goalLifecycle.js';
+import { resolveAnalyticsRange, computeAnalytics } from './analytics.js';
+import { completeStructured } from './structuredOutput.js';
+import { REVIEW_SCHEMA } from './aiSchemas.js';
+import { personalize } from './userProfile.js';
+import { updateTask, deleteTask, failure } from './taskMutations.js';
+
+// Weekly reviews: a digest of one Monday-to-Sunday week in the user's timezone, optionally
+// narrated by the model, from which open tasks can be carried over, rescheduled or dropped.
+// There is one review per user and week; generating it again refreshes the digest.
+
+export const REVIEW_ACTIONS = ['carry_over', 'reschedule', 'drop'];
+
+const taskSummary = (task) => ({
+  id: task.id,
+  title: task.title,
+  priority: task.priority,
+  dueDate: task.dueDate,
+  completedAt: task.completedAt,
+  goal: task.goal ? { id: task.goal.id, title: task.goal.title } : null
+});
+
+/**
+ * Resolve the week a review is for
+ * @param {string} userId
+ * @param {Object} options - { week: any local date in the week (default today), timezone }
+ * @returns {Object} { weekStart, timeZone } or { error }
+ */
+export const resolveReviewWeek = async (userId, { week, timezone } = {}) => {
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return { error: 'timezone must be an IANA timezone, e.g. Europe/Berlin' };
+  }
+  if (week !== undefined && !isValidDateString(week)) {
+    return { error: 'week must be a date in YYYY-MM-DD format' };
+  }
+
+  const timeZone = await resolveTimeZone(userId, timezone);
+  return { weekStart: weekStart(week || localDateString(new Date(), timeZone)), timeZone };
+};
+
+/**
+ * Gather the digest of a week
+ * @param {string} userId
+ * @param {string} start - Local date of the Monday
+ * @param {string} timeZone
+ * @returns {Object} { week: { start, end }, completedTasks, slippedTasks, goals, newIdeas, stats }
+ */
+export const buildDigest = async (userId, start, timeZone) => {
+  const end = addDays(start, 6);
+  const { range } = await resolveAnalyticsRange(userId, { from: start, to: end, timezone: timeZone });
+  const inWeek = { gte: range.start, lt: range.end };
+  const taskInclude = { goal: { select: { id: true, title: true } } };
+
+  const [completedTasks, slippedTasks, goals, newIdeas, stats] = await Promise.all([
+    prisma.task.findMany({
+      where: { userId, completed: true, completedAt: inWeek },
+      include: taskInclude,
+      orderBy: { completedAt: 'asc' }
+    }),
+    // Open tasks that were due during the week
+    prisma.task.findMany({
+      where: { userId, completed: false, dueDate: inWeek },
+      include: taskInclude,
+      orderBy: { dueDate: 'asc' }
+    }),
+    prisma.goal.findMany({
+      where: {
+        userId,
+        OR: [{ status: 'ACTIVE' }, { completedAt: inWeek }]
+      },
+      include: { tasks: { select: { completed: true, completedAt: true } } },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.idea.findMany({
+      where: { userId, createdAt: inWeek },
+      select: { id: true, title: true, tags: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    computeAnalytics(userId, range, { metrics: ['summary', 'streaks', 'overdue', 'estimateAccuracy'] })
+  ]);
+
+  return {
+    week: { start, end },
+    completedTasks: completedTasks.map(taskSummary),
+    slippedTasks: slippedTasks.map(taskSummary),
+    goals: goals.map(goal => ({
+      id: goal.id,
+      title: goal.title,
+      status: goal.status,
+      progress: computeGoalProgress(goal.tasks),
+      completedThisWeek: goal.tasks.filter(task => task.completedAt >= range.start && task.completedAt < range.end).length
+    })),
+    newIdeas,
+    stats: {
+      summary: stats.summary,
+      streaks: stats.streaks,
+      overdue: stats.overdue,
+      estimateAccuracy: {
+        trackedTasks: stats.estimateAccuracy.trackedTasks,
+        ratio: stats.estimateAccuracy.ratio
+      }
+    }
+  };
+};
+
+/**
+ * Ask the model to write up a digest
+ * @param {string} userId
+ * @param {Object} digest
+ * @returns {Object} { headline, summary, wins, lessons, focusNextWeek }
+ */
+export const narrateDigest = async (userId, digest) => {
+  const prompt = `
+Write a short weekly review for the user from this summary of their week:
+
+${JSON.stringify(digest, null, 2)}
+
+Return a JSON object:
+{
+  "headline": "One-line summary of the week (max 120 characters)",
+  "summary": "Two or three sentences on how the week went",
+  "wins": ["specific things that went well"],
+  "lessons": ["patterns worth noticing, e.g. what slipped and why"],
+  "focusNextWeek": ["2-3 concrete suggestions for next week"]
+}
+
+Be specific: refer to actual tasks and goals. Be honest about slipped tasks without being harsh.`;
+
+  const { data } = await completeStructured('weekly-review', await personalize(userId, [
+    { role: 'system', content: 'You are a supportive productivity coach. Always respond with valid JSON only.' },
+    { role: 'user', content: prompt }
+  ]), REVIEW_SCHEMA, { userId });
+
+  return data;
+};
+
+/**
+ * Create or refresh the review of a week
+ * @param {string} userId
+ * @param {Object} week - { weekStart, timeZone } from resolveReviewWeek
+ * @param {Object} options - { narrate: also ask the model for a write-up }
+ * @returns {Object} WeeklyReview
+ */
+export const generateReview = async (userId, { weekStart: start, timeZone }, { narrate = false } = {}) => {
+  const digest = await buildDigest(userId, start, timeZone);
+  const narrative = narrate ? await narrateDigest(userId, digest) : undefined;
+
+  return prisma.weeklyReview.upsert({
+    where: { userId_weekStart: { userId, weekStart: start } },
+    create: { userId, weekStart: start, timezone: timeZone, digest, ...(narrative && { narrative }) },
+    update: { timezone: timeZone, digest, ...(narrative && { narrative }) }
+  });
+};
+
+/**
+ * Validate bulk actions on a review's open tasks
+ * @param {Array} actions - [{ taskId, action: carry_over|reschedule|drop, dueDate? (reschedule) }]
+ * @returns {string|null} Error message
+ */
+export const validateReviewActions = (actions) => {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return 'actions must be a non-empty list';
+  }
+
+  for (const [index, entry] of actions.entries()) {
+    if (!entry || typeof entry.taskId !== 'string') {
+      return `actions[${index}].taskId is required`;
+    }
+    if (!REVIEW_ACTIONS.includes(entry.action)) {
+      return `actions[${index}].action must be one of ${REVIEW_ACTIONS.join(', ')}`;
+    }
+    if (entry.action === 'reschedule' && (!entry.dueDate || isNaN(new Date(entry.dueDate).getTime()))) {
+      return `actions[${index}].dueDate must be a valid date`;
+    }
+  }
+
+  if (new Set(actions.map(entry => entry.taskId)).size !== actions.length) {
+    return 'Each task can only have one action';
+  }
+  return null;
+};
+
+// Carried-over tasks are due on the Monday after the review's week, at their old local time of day
+const carryOverDate = (review, task) => {
+  const minutes = task.dueDate ? localMinutes(task.dueDate, review.timezone) : DEFAULT_DAY_START;
+  return zonedTimeToUtc(addDays(review.weekStart, 7), minutes, review.timezone);
+};
+
+const applyAction = async (userId, review, { taskId, action, dueDate }) => {
+  if (action === 'drop') {
+    return deleteTask(userId, taskId);
+  }
+
+  const task = await prisma.task.findFirst({ where: { id: taskId, userId } });
+  if (!task) {
+    return failure(404, 'Task not found');
+  }
+  if (task.completed) {
+    return failure(409, 'Task is already completed');
+  }
+
+  return updateTask(userId, taskId, {
+    dueDate: action === 'carry_over' ? carryOverDate(review, task) : new Date(dueDate)
+  });
+};
+
+/**
+ * Apply validated bulk actions. Every action is applied on its own; failures are reported per task.
+ * @param {string} userId
+ * @param {Object} review - WeeklyReview
+ * @param {Array} actions - From validateReviewActions
+ * @returns {Object} { review, results: [{ taskId, action, applied, dueDate?, error? }] }
+ */
+export const applyReviewActions = async (userId, review, actions) => {
+  const results = [];
+  for (const entry of actions) {
+    const outcome = await applyAction(userId, review, entry);
+    results.push({
+      taskId: entry.taskId,
+      action: entry.action,
+      applied: !outcome.error,
+      ...(outcome.error ? { error: outcome.error } : entry.action !== 'drop' && { dueDate: outcome.task.dueDate })
+    });
+  }
+
+  const appliedAt = new Date().toISOString();
+  const updated = await prisma.weeklyReview.update({
+    where: { id: review.id },
+    data: {
+      actions: [
+        ...review.actions,
+        ...results.filter(result => result.applied).map(result => ({ ...result, appliedAt }))
+      ]
+    }
+  });
+
+  return { review: updated, results };
+};
+
+/**
+ * Job: generate last week's review for every user once their week is over
+ * (the job runs hourly, so each user gets it early on their Monday)
+ * @returns {Object} { generated }
+ */
+export const generateDueReviews = async () => {
+  const users = await prisma.user.findMany({
+    select: { id: true, profile: { select: { preferences: true } } }
+  });
+
+  let generated = 0;
+  for (const user of users) {
+    try {
+      const preferred = user.profile?.preferences?.timezone;
+      const timeZone = isValidTimeZone(preferred) ? preferred : 'UTC';
+      const lastWeek = addDays(weekStart(localDateString(new Date(), timeZone)), -7);
+
+      const existing = await prisma.weeklyReview.findUnique({
+        where: { userId_weekStart: { userId: user.id, weekStart: lastWeek } },
+        select: { id: true }
+      });
+      if (!existing) {
+        await generateReview(user.id, { weekStart: lastWeek, timeZone });
+        generated++;
+      }
+    } catch (error) {
+      console.error(`Error generating weekly review for user ${user.id}:`, error);
+    }
+  }
+  return { generated };
+};
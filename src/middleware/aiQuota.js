@@ -0,0 +1,33 @@
+import { checkQuota } from '../lib/aiUsage.js';
+
+/**
+ * Reject AI requests once the user's daily or monthly quota is used up.
+ * Responds 429 with Retry-After (seconds until the exhausted window resets).
+ */
+export const aiQuotaMiddleware = async (req, res, next) => {
+  try {
+    const quota = await checkQuota(req.user.id);
+
+    res.setHeader('X-AI-Quota-Remaining', Math.min(quota.status.daily.remaining, quota.status.monthly.remaining));
+
+    if (!quota.allowed) {
+      const window = quota.status[quota.exceeded];
+      res.setHeader('Retry-After', quota.retryAfter);
+      return res.status(429).json({
+        error: `${quota.exceeded === 'daily' ? 'Daily' : 'Monthly'} AI usage limit reached`,
+        message: `You have used ${window.used} of ${window.limit} AI requests this ${quota.exceeded === 'daily' ? 'day' : 'month'}. Try again after ${window.resetsAt.toISOString()}.`,
+        quota: quota.exceeded,
+        tier: quota.status.tier,
+        limit: window.limit,
+        used: window.used,
+        resetsAt: window.resetsAt,
+        retryAfter: quota.retryAfter
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking AI quota:', error);
+    res.status(500).json({ error: 'Failed to check AI usage quota' });
+  }
+};
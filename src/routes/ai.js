@@ -1,19 +1,96 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
-import OpenAI from 'openai';
-import 'dotenv/config'
+import { loadTaskGraph, enforceDependencyOrder } from '../lib/taskGraph.js';
+import { resolveTimeZone, resolveDayStart, scheduleToBlocks, savePlan } from '../lib/plans.js';
+import { isValidDateString, localDateString, parseTimeOfDay } from '../lib/timezone.js';
+import { getBusyIntervals, avoidBusyPeriods } from '../lib/calendar.js';
+import { stream } from '../lib/llm.js';
+import { completeStructured, parseStructured, repairMessages, StructuredOutputError } from '../lib/structuredOutput.js';
+import { getQuotaStatus, quotaWindows } from '../lib/aiUsage.js';
+import { aiQuotaMiddleware } from '../middleware/aiQuota.js';
+import { checkEntitlement, entitlementLimitResponse } from '../lib/entitlements.js';
+import { TASK_LIST_SCHEMA, GOAL_WITH_TASKS_SCHEMA, SCHEDULE_SCHEMA, ANALYSIS_SCHEMA } from '../lib/aiSchemas.js';
+import { generateGoalWithTasks, createGoalWithTasks, createGoalWithTasksStream } from '../lib/goalGeneration.js';
+import { createStreamSink, STREAM_MODES } from '../lib/goalProposals.js';
+import { getTaxonomy, categoryPrompt } from '../lib/taxonomy.js';
+import { applyDuplicatePolicy, createDuplicateChecker, parseDuplicatePolicy, DUPLICATE_POLICIES } from '../lib/semanticSearch.js';
+import { getProfile, personalize } from '../lib/userProfile.js';
+import { resolveAnalyticsRange, computeAnalytics } from '../lib/analytics.js';
 
 const router = express.Router();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Note: Authentication middleware is applied at the server level
 // req.user is available from the authMiddleware
+//
+// Every model answer is validated against the schemas in lib/aiSchemas.js (the model is
+// re-asked once with the validation errors). When it still fails, routes without a
+// fallback answer 502 { error, details: [validation errors] }.
+
+const invalidOutputResponse = (res, error, message) => res.status(502).json({
+  error: message,
+  details: error.errors
+});
+
+// Generated tasks are checked against the user's open tasks: duplicates: 'warn' (default)
+// reports them, 'skip' leaves them out, 'off' disables the check
+const invalidDuplicatePolicyResponse = (res) => res.status(400).json({
+  error: `duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}`
+});
+
+// Every POST route makes model calls on behalf of the user and counts against their quota.
+// Prompts include the user's profile summary (preferences and learned patterns, see /api/profile).
+
+// GET /api/ai/usage - AI consumption and remaining quota
+// Optional ?from=&to= (ISO dates) for the breakdown; defaults to the current quota month
+router.get('/usage', async (req, res) => {
+  try {
+    const status = await getQuotaStatus(req.user.id);
+    const from = req.query.from ? new Date(req.query.from) : quotaWindows().monthly.start;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const where = {
+      userId: req.user.id,
+      createdAt: { gte: from, lte: to }
+    };
+    const sums = {
+      _count: { _all: true },
+      _sum: { promptTokens: true, completionTokens: true, cost: true }
+    };
+
+    const [totals, byEndpoint, byModel] = await Promise.all([
+      prisma.aiUsage.aggregate({ where, ...sums }),
+      prisma.aiUsage.groupBy({ by: ['endpoint'], where, ...sums }),
+      prisma.aiUsage.groupBy({ by: ['model'], where, ...sums })
+    ]);
+
+    const summarize = (group) => ({
+      calls: group._count._all,
+      promptTokens: group._sum.promptTokens || 0,
+      completionTokens: group._sum.completionTokens || 0,
+      cost: Math.round((group._sum.cost || 0) * 10000) / 10000
+    });
+
+    res.json({
+      ...status,
+      period: { from, to },
+      totals: summarize(totals),
+      byEndpoint: byEndpoint.map(group => ({ endpoint: group.endpoint, ...summarize(group) })),
+      byModel: byModel.map(group => ({ model: group.model, ...summarize(group) }))
+    });
+  } catch (error) {
+    console.error('Error fetching AI usage:', error);
+    res.status(500).json({ error: 'Failed to fetch AI usage' });
+  }
+});
 
 // POST /api/ai/suggest-tasks - Generate AI task suggestions for a goal
-router.post('/suggest-tasks', async (req, res) => {
+// Body: { goalId, additionalContext?, saveToDatabase?, duplicates? }
+// Response: { suggestions: [Task], createdTasks?: [Task], duplicates: [{ index, title, duplicateOf }], goalTitle }
+router.post('/suggest-tasks', aiQuotaMiddleware, async (req, res) => {
   console.log('POST /api/ai/suggest-tasks - Request received:', req.body);
   try {
     const { goalId, additionalContext } = req.body;
@@ -23,6 +100,11 @@ router.post('/suggest-tasks', async (req, res) => {
       return res.status(400).json({ error: 'Goal ID is required' });
     }
 
+    const duplicatePolicy = parseDuplicatePolicy(req.body.duplicates);
+    if (!duplicatePolicy) {
+      return invalidDuplicatePolicyResponse(res);
+    }
+
     // Get the goal details
     console.log('Fetching goal details for goalId:', goalId);
     const goal = await prisma.goal.findFirst({
@@ -70,60 +152,34 @@ Please provide tasks that are:
 3. Realistic and achievable
 4. Break down the goal into manageable steps
 
-Return only a JSON array of task objects with the following structure:
-[
-  {
-    "title": "Task title",
-    "description": "Detailed description of what needs to be done",
-    "priority": "HIGH|MEDIUM|LOW",
-    "estimatedTime": 60
-  }
-]
+Return only a JSON object with the following structure:
+{
+  "tasks": [
+    {
+      "title": "Task title",
+      "description": "Detailed description of what needs to be done",
+      "priority": "HIGH|MEDIUM|LOW",
+      "estimatedTime": 60
+    }
+  ]
+}
 
 Make sure the JSON is valid and properly formatted.`;
 
-    console.log('Sending request to OpenAI');
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful productivity assistant. Always respond with valid JSON."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 2000
-    });
-
-    console.log('Received response from OpenAI');
-
-    let suggestedTasks;
-    try {
-      let aiResponse = completion.choices[0].message.content;
-      // Clean the response - remove markdown code blocks if present
-      let cleanResponse = aiResponse.trim();
-      if (cleanResponse.startsWith('```json')) {
-        cleanResponse = cleanResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanResponse.startsWith('```')) {
-        cleanResponse = cleanResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
+    console.log('Sending request to LLM provider');
+    const { data } = await completeStructured('suggest-tasks', await personalize(req.user.id, [
+      {
+        role: "system",
+        content: "You are a helpful productivity assistant. Always respond with valid JSON."
+      },
+      {
+        role: "user",
+        content: prompt
       }
-      
-      suggestedTasks = JSON.parse(cleanResponse);
-      console.log('Successfully parsed AI response:', suggestedTasks);
-    } catch (parseError) {
-      console.error('Error parsing AI response:', parseError);
-      return res.status(500).json({ error: 'Failed to parse AI suggestions' });
-    }
+    ]), TASK_LIST_SCHEMA, { userId: req.user.id });
 
-    // Validate the response format
-    if (!Array.isArray(suggestedTasks)) {
-      console.error('Invalid AI response format:', suggestedTasks);
-      return res.status(500).json({ error: 'Invalid AI response format' });
-    }
+    console.log('Received response from LLM provider:', data.tasks);
+    const { tasks: suggestedTasks, duplicates } = await applyDuplicatePolicy(req.user.id, data.tasks, duplicatePolicy);
 
     // Optional: Save AI-generated tasks directly to database
     const saveToDatabase = req.body.saveToDatabase || false;
@@ -157,11 +213,16 @@ Make sure the JSON is valid and properly formatted.`;
     res.json({
       suggestions: suggestedTasks,
       ...(saveToDatabase && { createdTasks }),
+      duplicates,
       goalTitle: goal.title
     });
 
   } catch (error) {
     console.error('Error generating AI suggestions:', error);
+
+    if (error instanceof StructuredOutputError) {
+      return invalidOutputResponse(res, error, 'Failed to parse AI suggestions');
+    }
     
     if (error.code === 'insufficient_quota') {
       return res.status(429).json({ 
@@ -174,10 +235,32 @@ Make sure the JSON is valid and properly formatted.`;
 });
 
 // POST /api/ai/optimize-schedule - AI-powered task scheduling optimization
-router.post('/optimize-schedule', async (req, res) => {
+// Response: { scheduledTasks: [{ taskId, title, startTime, duration, reason }], unscheduledTasks: [taskId],
+//   totalScheduledTime, recommendations: [string], blockedTasks?, busyPeriods?, plan? }
+// startTime and duration are integer minutes relative to the start of the day.
+// preferences, dayStart and timeAvailable default to the profile preferences (working hours).
+router.post('/optimize-schedule', aiQuotaMiddleware, async (req, res) => {
   console.log('POST /api/ai/optimize-schedule - Request received:', req.body);
   try {
-    const { timeAvailable, preferences } = req.body;
+    const { preferences: stored } = await getProfile(req.user.id);
+    const workingHours = stored.workingHours;
+    const {
+      preferences,
+      planDate,
+      timezone,
+      dayStart = workingHours?.start,
+      timeAvailable = workingHours && parseTimeOfDay(workingHours.end) - parseTimeOfDay(workingHours.start)
+    } = req.body;
+
+    // Optionally persist the result as the plan for planDate (YYYY-MM-DD)
+    if (planDate !== undefined && !isValidDateString(planDate)) {
+      return res.status(400).json({ error: 'planDate must be a date in YYYY-MM-DD format' });
+    }
+
+    const startMinutes = resolveDayStart(dayStart);
+    if (startMinutes === undefined) {
+      return res.status(400).json({ error: 'dayStart must be a time in HH:MM format' });
+    }
 
     // Get user's pending tasks
     console.log('Fetching pending tasks for user:', req.user.id);
@@ -193,6 +276,10 @@ router.post('/optimize-schedule', async (req, res) => {
             priority: true,
             deadline: true
           }
+        },
+        blockedBy: {
+          where: { completed: false },
+          select: { id: true }
         }
       },
       orderBy: [
@@ -216,24 +303,35 @@ router.post('/optimize-schedule', async (req, res) => {
       priority: task.priority,
       estimatedTime: task.estimatedTime || 30,
       goalTitle: task.goal?.title,
-      goalPriority: task.goal?.priority
+      goalPriority: task.goal?.priority,
+      blockedBy: task.blockedBy.map(blocker => blocker.id)
     }));
 
+    // Busy periods imported from the user's calendars, in minutes from the start of the schedule
+    const planTimeZone = await resolveTimeZone(req.user.id, timezone);
+    const scheduleDate = planDate || localDateString(new Date(), planTimeZone);
+    const busyIntervals = await getBusyIntervals(req.user.id, scheduleDate, planTimeZone, startMinutes);
+
     const prompt = `
 You are a productivity scheduler. Given the following tasks and constraints, create an optimized schedule:
 
 Available time: ${timeAvailable} minutes
-User preferences: ${JSON.stringify(preferences || {})}
+User preferences: ${JSON.stringify({ ...stored, ...preferences })}
 
 Tasks to schedule:
 ${JSON.stringify(tasksContext, null, 2)}
 
+Busy periods to avoid (minutes from the start of the schedule):
+${busyIntervals.length > 0 ? JSON.stringify(busyIntervals) : 'None'}
+
 Create a schedule that:
 1. Prioritizes high-priority and overdue tasks
 2. Considers estimated time for each task
 3. Fits within the available time
 4. Groups related tasks when possible
 5. Leaves buffer time between tasks
+6. Never schedules a task before the tasks listed in its "blockedBy" (those must come first, or the task stays unscheduled)
+7. Never overlaps a busy period
 
 Return a JSON object with:
 {
@@ -241,40 +339,63 @@ Return a JSON object with:
     {
       "taskId": "task_id",
       "title": "Task title",
-      "startTime": "relative_start_time_in_minutes",
-      "duration": "duration_in_minutes",
+      "startTime": 0,
+      "duration": 45,
       "reason": "why this task was prioritized"
     }
   ],
   "unscheduledTasks": ["task_id1", "task_id2"],
   "totalScheduledTime": 120,
   "recommendations": ["suggestion1", "suggestion2"]
-}`;
+}
 
-    console.log('Sending request to OpenAI');
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful productivity scheduler. Always respond with valid JSON."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 1500
-    });
+startTime and duration are whole numbers of minutes; startTime is relative to the start of the schedule.`;
 
-    let schedule;
-    try {
-      schedule = JSON.parse(completion.choices[0].message.content);
-      console.log('Successfully parsed AI schedule');
-    } catch (parseError) {
-      console.error('Error parsing AI schedule:', parseError);
-      return res.status(500).json({ error: 'Failed to parse AI schedule' });
+    console.log('Sending request to LLM provider');
+    const { data: schedule } = await completeStructured('optimize-schedule', await personalize(req.user.id, [
+      {
+        role: "system",
+        content: "You are a helpful productivity scheduler. Always respond with valid JSON."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]), SCHEDULE_SCHEMA, { userId: req.user.id });
+    console.log('Successfully parsed AI schedule');
+
+    // Don't trust the model with ordering: defer anything scheduled ahead of an open blocker
+    const graph = await loadTaskGraph(req.user.id);
+    const { scheduled, deferred } = enforceDependencyOrder(schedule.scheduledTasks, graph);
+
+    if (deferred.length > 0) {
+      console.log(`Deferred ${deferred.length} blocked tasks from the schedule`);
+      schedule.scheduledTasks = scheduled;
+      schedule.unscheduledTasks = [
+        ...schedule.unscheduledTasks,
+        ...deferred.map(entry => entry.taskId)
+      ];
+      schedule.blockedTasks = deferred;
+    }
+
+    // The model may still overlap meetings - shift tasks past any busy period
+    if (busyIntervals.length > 0) {
+      schedule.scheduledTasks = avoidBusyPeriods(schedule.scheduledTasks, busyIntervals);
+      schedule.busyPeriods = busyIntervals;
+    }
+
+    schedule.totalScheduledTime = schedule.scheduledTasks.reduce((total, entry) => total + entry.duration, 0);
+
+    if (planDate) {
+      schedule.plan = await savePlan({
+        userId: req.user.id,
+        date: planDate,
+        timezone: planTimeZone,
+        blocks: scheduleToBlocks(schedule, planDate, planTimeZone, startMinutes),
+        source: 'ai',
+        recommendations: schedule.recommendations
+      });
+      console.log('Saved schedule as plan:', schedule.plan.id);
     }
 
     console.log('Sending successful response');
@@ -282,117 +403,67 @@ Return a JSON object with:
 
   } catch (error) {
     console.error('Error optimizing schedule:', error);
+
+    if (error instanceof StructuredOutputError) {
+      return invalidOutputResponse(res, error, 'Failed to parse AI schedule');
+    }
+
     res.status(500).json({ error: 'Failed to optimize schedule' });
   }
 });
 
+// Default range length per analyze-productivity period
+const PERIOD_DAYS = { week: 7, month: 30, quarter: 90 };
+
 // POST /api/ai/analyze-productivity - Analyze user's productivity patterns
-router.post('/analyze-productivity', async (req, res) => {
+// Body: { period?: week|month|quarter, from?, to?, timezone? }
+// Response: productivity metrics (metrics holds the full /api/analytics result the model is given)
+//   plus aiAnalysis: { insights, recommendations, strengths, areasForImprovement }
+router.post('/analyze-productivity', aiQuotaMiddleware, async (req, res) => {
   console.log('POST /api/ai/analyze-productivity - Request received:', req.body);
   try {
     const userId = req.user.id;
     const { period = 'week' } = req.body; // week, month, quarter
 
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-    
-    switch (period) {
-      case 'week':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'quarter':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    // The period is the default length of the range; from, to and timezone work like in /api/analytics
+    const { range, error } = await resolveAnalyticsRange(userId, req.body, { days: PERIOD_DAYS[period] || PERIOD_DAYS.week });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    console.log('Fetching productivity data from:', startDate);
-
-    // Get productivity data
-    const [completedTasks, totalTasks, goals] = await Promise.all([
-      prisma.task.findMany({
-        where: {
-          userId,
-          completed: true,
-          completedAt: {
-            gte: startDate
-          }
-        },
-        include: {
-          goal: {
-            select: {
-              title: true,
-              category: true
-            }
-          }
-        }
-      }),
-      prisma.task.count({
-        where: {
-          userId,
-          createdAt: {
-            gte: startDate
-          }
-        }
-      }),
-      prisma.goal.findMany({
-        where: {
-          userId,
-          createdAt: {
-            gte: startDate
-          }
-        },
-        include: {
-          _count: {
-            select: {
-              tasks: true
-            }
-          }
-        }
-      })
-    ]);
-
-    console.log(`Found ${completedTasks.length} completed tasks, ${totalTasks} total tasks, ${goals.length} goals`);
+    console.log('Computing productivity metrics for:', range.from, '-', range.to);
+    const metrics = await computeAnalytics(userId, range, { interval: period === 'week' ? 'day' : 'week' });
+    const { summary, byCategory, estimateAccuracy } = metrics;
 
     const productivity = {
       period,
-      completionRate: totalTasks > 0 ? Math.round((completedTasks.length / totalTasks) * 100) : 0,
-      totalTasksCompleted: completedTasks.length,
-      totalTasksCreated: totalTasks,
-      goalsCreated: goals.length,
-      averageTasksPerGoal: goals.length > 0 ? Math.round(totalTasks / goals.length) : 0,
-      categoryBreakdown: {},
+      completionRate: summary.completionRate,
+      totalTasksCompleted: summary.tasksCompleted,
+      totalTasksCreated: summary.tasksCreated,
+      goalsCreated: summary.goalsCreated,
+      averageTasksPerGoal: summary.goalsCreated > 0 ? Math.round(summary.tasksCreated / summary.goalsCreated) : 0,
+      categoryBreakdown: Object.fromEntries(Object.entries(byCategory)
+        .filter(([, entry]) => entry.completedInRange > 0)
+        .map(([category, entry]) => [category, entry.completedInRange])),
       timeTracking: {
-        totalEstimatedTime: 0,
-        totalActualTime: 0
-      }
+        totalEstimatedTime: estimateAccuracy.estimatedTime,
+        totalActualTime: estimateAccuracy.actualTime,
+        trackedTasks: estimateAccuracy.trackedTasks,
+        estimateAccuracy: estimateAccuracy.trackedTasks > 0
+          ? { accuracy: estimateAccuracy.accuracy, ratio: estimateAccuracy.ratio }
+          : null,
+        byCategory: estimateAccuracy.byCategory
+      },
+      metrics
     };
 
-    // Analyze by category
-    completedTasks.forEach(task => {
-      const category = task.goal?.category || 'Uncategorized';
-      productivity.categoryBreakdown[category] = (productivity.categoryBreakdown[category] || 0) + 1;
-      
-      if (task.estimatedTime) {
-        productivity.timeTracking.totalEstimatedTime += task.estimatedTime;
-      }
-      if (task.actualTime) {
-        productivity.timeTracking.totalActualTime += task.actualTime;
-      }
-    });
-
     console.log('Productivity analysis:', productivity);
 
     // Get AI insights
     const prompt = `
 Analyze this productivity data and provide insights:
 
-${JSON.stringify(productivity, null, 2)}
+${JSON.stringify(metrics, null, 2)}
 
 Provide a JSON response with:
 {
@@ -415,28 +486,26 @@ Provide a JSON response with:
   ]
 }`;
 
-    console.log('Sending request to OpenAI');
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        {
-          role: "system",
-          content: "You are a productivity analyst. Provide actionable insights based on user data."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 1000
-    });
+    console.log('Sending request to LLM provider');
+    const messages = await personalize(userId, [
+      {
+        role: "system",
+        content: "You are a productivity analyst. Provide actionable insights based on user data. Always respond with valid JSON."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
 
     let analysis;
     try {
-      analysis = JSON.parse(completion.choices[0].message.content);
+      ({ data: analysis } = await completeStructured('analyze-productivity', messages, ANALYSIS_SCHEMA, { userId }));
       console.log('Successfully parsed AI analysis');
     } catch (parseError) {
+      if (!(parseError instanceof StructuredOutputError)) {
+        throw parseError;
+      }
       console.error('Error parsing AI analysis:', parseError);
       analysis = {
         insights: ['Unable to generate detailed insights at the moment'],
@@ -458,8 +527,9 @@ Provide a JSON response with:
   }
 });
 
-// POST /api/ai/transform-thought
-router.post('/transform-thought', async (req, res) => {
+// POST /api/ai/transform-thought - Turn a thought into standalone tasks
+// Response: { tasks: [Task], createdTasks: [Task], duplicates, message }
+router.post('/transform-thought', aiQuotaMiddleware, async (req, res) => {
   console.log('POST /api/ai/transform-thought - Request received:', req.body);
   try {
     const { thought } = req.body;
@@ -468,77 +538,65 @@ router.post('/transform-thought', async (req, res) => {
       return res.status(400).json({ error: 'Thought is required.' });
     }
 
+    const duplicatePolicy = parseDuplicatePolicy(req.body.duplicates);
+    if (!duplicatePolicy) {
+      return invalidDuplicatePolicyResponse(res);
+    }
+
     const prompt = `
 Transform this thought into 3-5 actionable tasks: "${thought}"
 
-Please analyze this thought and break it down into specific, actionable tasks. Return ONLY a JSON array of task objects with this exact structure:
+Please analyze this thought and break it down into specific, actionable tasks. Return ONLY a JSON object with this exact structure:
 
-[
-  {
-    "title": "Task title (max 100 characters)",
-    "description": "Detailed description of what needs to be done",
-    "priority": "HIGH|MEDIUM|LOW",
-    "estimatedTime": 60,
-    "category": "work|personal|health|learning|other"
-  }
-]
+{
+  "tasks": [
+    {
+      "title": "Task title (max 100 characters)",
+      "description": "Detailed description of what needs to be done",
+      "priority": "HIGH|MEDIUM|LOW",
+      "estimatedTime": 60,
+      "category": "work|personal|health|learning|other"
+    }
+  ]
+}
 
 Make sure:
 1. Each task is specific and actionable
 2. Tasks are realistic and achievable  
 3. The JSON is valid and properly formatted
-4. No extra text outside the JSON array`;
+4. No extra text outside the JSON object`;
 
-    console.log('Sending request to OpenAI');
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      messages: [
-        { role: 'system', content: 'You are a productivity assistant. Always respond with valid JSON only.' },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 1000,
-      temperature: 0.7,
-    });
-
-    const aiResponse = completion.choices?.[0]?.message?.content?.trim() || '';
-    console.log('AI Response:', aiResponse);
-
-    // Parse the AI response to extract tasks
+    console.log('Sending request to LLM provider');
     let suggestedTasks;
     try {
-      // Clean the response - remove markdown code blocks if present
-      let cleanResponse = aiResponse.trim();
-      if (cleanResponse.startsWith('```json')) {
-        cleanResponse = cleanResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanResponse.startsWith('```')) {
-        cleanResponse = cleanResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-      
-      suggestedTasks = JSON.parse(cleanResponse);
-      if (!Array.isArray(suggestedTasks)) {
-        throw new Error('Response is not an array');
-      }
+      const { data } = await completeStructured('transform-thought', await personalize(req.user.id, [
+        { role: 'system', content: 'You are a productivity assistant. Always respond with valid JSON only.' },
+        { role: 'user', content: prompt }
+      ]), TASK_LIST_SCHEMA, { userId: req.user.id });
+      suggestedTasks = data.tasks;
       console.log('Successfully parsed AI response:', suggestedTasks);
     } catch (parseError) {
+      if (!(parseError instanceof StructuredOutputError)) {
+        throw parseError;
+      }
       console.error('Error parsing AI response:', parseError);
-      return res.status(500).json({ 
-        error: 'Failed to parse AI suggestions',
-        rawResponse: aiResponse 
-      });
+      return invalidOutputResponse(res, parseError, 'Failed to parse AI suggestions');
     }
 
+    const { tasks: newTasks, duplicates } = await applyDuplicatePolicy(req.user.id, suggestedTasks, duplicatePolicy);
+
     // Save tasks to database
     const createdTasks = [];
     const userId = req.user.id; // Using actual user ID from database
 
-    for (const taskData of suggestedTasks) {
+    for (const taskData of newTasks) {
       try {
         const task = await prisma.task.create({
           data: {
-            title: taskData.title.substring(0, 100), // Ensure max length
-            description: taskData.description || '',
-            priority: ['HIGH', 'MEDIUM', 'LOW'].includes(taskData.priority) ? taskData.priority : 'MEDIUM',
-            estimatedTime: taskData.estimatedTime || 60,
+            title: taskData.title,
+            description: taskData.description,
+            priority: taskData.priority,
+            estimatedTime: taskData.estimatedTime,
             aiGenerated: true,
             userId: userId,
             goalId: null // No specific goal for general thoughts
@@ -555,19 +613,20 @@ Make sure:
 
     console.log('Sending successful response');
     return res.json({ 
-      missions: aiResponse,
       tasks: suggestedTasks,
       createdTasks: createdTasks,
+      duplicates,
       message: `Successfully created ${createdTasks.length} tasks from your thought!`
     });
   } catch (err) {
-    console.error('OpenAI error:', err);
+    console.error('LLM error:', err);
     return res.status(500).json({ error: 'Failed to process thought.' });
   }
 });
 
 // POST /api/ai/transform-thought-to-goal - Transform thought into goal with tasks
-router.post('/transform-thought-to-goal', async (req, res) => {
+// Response: { goal: Goal, tasks: [Task], createdGoal, createdTasks, duplicates, message }
+router.post('/transform-thought-to-goal', aiQuotaMiddleware, async (req, res) => {
   console.log('POST /api/ai/transform-thought-to-goal - Request received:', req.body);
   try {
     // Check if user is authenticated (should be set by authMiddleware)
@@ -586,192 +645,40 @@ router.post('/transform-thought-to-goal', async (req, res) => {
     thought = thought.trim();
     console.log('Processing thought:', thought);
 
-    const prompt = `
-Transform this thought into a goal with related tasks: "${thought}"
-
-Please analyze this thought and create:
-1. ONE main goal that encompasses the overall objective
-2. 3-5 specific tasks that will help achieve this goal
-
-Return ONLY a JSON object with this exact structure:
-
-{
-  "goal": {
-    "title": "Goal title (max 100 characters)",
-    "description": "Detailed description of the goal",
-    "priority": "HIGH|MEDIUM|LOW",
-    "category": "work|personal|health|learning|other"
-  },
-  "tasks": [
-    {
-      "title": "Task title (max 100 characters)",
-      "description": "Detailed description of what needs to be done",
-      "priority": "HIGH|MEDIUM|LOW",
-      "estimatedTime": 60
+    const duplicatePolicy = parseDuplicatePolicy(req.body.duplicates);
+    if (!duplicatePolicy) {
+      return invalidDuplicatePolicyResponse(res);
     }
-  ]
-}
 
-Make sure:
-1. The goal is the overarching objective
-2. Each task is specific and actionable toward achieving the goal
-3. Tasks are realistic and achievable  
-4. The JSON is valid and properly formatted
-5. No extra text outside the JSON object`;
-
-    console.log('Sending request to OpenAI');
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4-turbo-preview',
-      messages: [
-        { role: 'system', content: 'You are a productivity assistant. Always respond with valid JSON only.' },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 1500,
-      temperature: 0.7,
-    });
-
-    const aiResponse = completion.choices?.[0]?.message?.content?.trim() || '';
-    console.log('AI Response:', aiResponse);
-
-    // Parse the AI response to extract goal and tasks
-    let aiData;
-    try {
-      // Clean the response - remove markdown code blocks if present
-      let cleanResponse = aiResponse.trim();
-      if (cleanResponse.startsWith('```json')) {
-        cleanResponse = cleanResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanResponse.startsWith('```')) {
-        cleanResponse = cleanResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-      
-      // Try to find JSON object in the response if it's mixed with other text
-      const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanResponse = jsonMatch[0];
-      }
-      
-      aiData = JSON.parse(cleanResponse);
-      console.log('Parsed AI data:', aiData);
-      
-      // Validate and fix the structure if needed
-      if (!aiData.goal || typeof aiData.goal !== 'object') {
-        console.log('Missing or invalid goal, creating fallback');
-        aiData.goal = {
-          title: thought.substring(0, 100),
-          description: `Transform this thought: "${thought}"`,
-          priority: 'MEDIUM',
-          category: 'other'
-        };
-      }
-      
-      if (!Array.isArray(aiData.tasks)) {
-        console.log('Missing or invalid tasks array, creating fallback');
-        aiData.tasks = [
-          {
-            title: `Work on: ${thought.substring(0, 80)}`,
-            description: `Take action on this thought: "${thought}"`,
-            priority: 'MEDIUM',
-            estimatedTime: 60
-          }
-        ];
-      }
-      
-      // Ensure goal has required fields
-      aiData.goal.title = aiData.goal.title || thought.substring(0, 100);
-      aiData.goal.description = aiData.goal.description || `Goal: ${thought}`;
-      aiData.goal.priority = ['HIGH', 'MEDIUM', 'LOW'].includes(aiData.goal.priority) ? aiData.goal.priority : 'MEDIUM';
-      aiData.goal.category = aiData.goal.category || 'other';
-      
-      // Ensure tasks have required fields
-      aiData.tasks = aiData.tasks.map((task, index) => ({
-        title: task.title || `Task ${index + 1}`,
-        description: task.description || `Work on: ${thought}`,
-        priority: ['HIGH', 'MEDIUM', 'LOW'].includes(task.priority) ? task.priority : 'MEDIUM',
-        estimatedTime: typeof task.estimatedTime === 'number' ? task.estimatedTime : 60
-      }));
-      
-      console.log('Successfully processed AI response:', aiData);
-    } catch (parseError) {
-      console.error('Error parsing AI response:', parseError);
-      console.log('Creating fallback response for thought:', thought);
-      
-      // Create a fallback response if AI parsing fails
-      aiData = {
-        goal: {
-          title: thought.substring(0, 100),
-          description: `Transform this thought into action: "${thought}"`,
-          priority: 'MEDIUM',
-          category: 'other'
-        },
-        tasks: [
-          {
-            title: `Act on: ${thought.substring(0, 80)}`,
-            description: `Take specific action on this thought: "${thought}"`,
-            priority: 'MEDIUM',
-            estimatedTime: 60
-          },
-          {
-            title: 'Plan next steps',
-            description: `Break down "${thought}" into smaller actionable items`,
-            priority: 'MEDIUM',
-            estimatedTime: 30
-          }
-        ]
-      };
-      
-      console.log('Using fallback AI data:', aiData);
+    const exceeded = await checkEntitlement(req.user.id, 'maxGoals');
+    if (exceeded) {
+      return entitlementLimitResponse(res, exceeded);
     }
 
-    const userId = req.user.id; // Using actual user ID from database
+    console.log('Sending request to LLM provider');
+    const { data: aiData, fallback } = await generateGoalWithTasks(thought, { userId: req.user.id });
+    console.log(fallback ? 'Using fallback AI data:' : 'Successfully processed AI response:', aiData);
+
+    const { tasks: newTasks, duplicates } = await applyDuplicatePolicy(req.user.id, aiData.tasks, duplicatePolicy);
 
-    // Create the goal first
+    // The goal and its tasks are stored together or not at all
     let createdGoal;
+    let createdTasks;
     try {
-      createdGoal = await prisma.goal.create({
-        data: {
-          title: aiData.goal.title.substring(0, 100), // Ensure max length
-          description: aiData.goal.description || '',
-          priority: ['HIGH', 'MEDIUM', 'LOW'].includes(aiData.goal.priority) ? aiData.goal.priority : 'MEDIUM',
-          category: aiData.goal.category || 'other',
-          userId: userId
-        }
-      });
-      console.log('Created goal:', createdGoal.id);
+      ({ goal: createdGoal, tasks: createdTasks } = await createGoalWithTasks(req.user.id, { goal: aiData.goal, tasks: newTasks }));
+      console.log('Created goal:', createdGoal.id, 'with', createdTasks.length, 'tasks');
     } catch (dbError) {
       console.error('Error saving goal:', dbError);
       return res.status(500).json({ error: 'Failed to create goal' });
     }
 
-    // Create tasks associated with the goal
-    const createdTasks = [];
-    for (const taskData of aiData.tasks) {
-      try {
-        const task = await prisma.task.create({
-          data: {
-            title: taskData.title.substring(0, 100), // Ensure max length
-            description: taskData.description || '',
-            priority: ['HIGH', 'MEDIUM', 'LOW'].includes(taskData.priority) ? taskData.priority : 'MEDIUM',
-            estimatedTime: taskData.estimatedTime || 60,
-            aiGenerated: true,
-            userId: userId,
-            goalId: createdGoal.id // Associate with the created goal
-          }
-        });
-        
-        console.log('Created task:', task.id);
-        createdTasks.push(task);
-      } catch (dbError) {
-        console.error('Error saving task:', dbError);
-        // Continue with other tasks even if one fails
-      }
-    }
-
     console.log('Sending successful response');
     return res.json({ 
       goal: aiData.goal,
       tasks: aiData.tasks,
       createdGoal: createdGoal,
       createdTasks: createdTasks,
+      duplicates,
       message: `Successfully created goal "${createdGoal.title}" with ${createdTasks.length} tasks!`
     });
   } catch (err) {
@@ -787,27 +694,27 @@ Make sure:
     if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
       return res.status(500).json({ 
         error: 'Network connection error. Please check your internet connection.',
-        details: 'Unable to connect to OpenAI API'
+        details: 'Unable to connect to the LLM provider'
       });
     }
     
     if (err.status === 401) {
       return res.status(500).json({ 
-        error: 'OpenAI API authentication failed. Please check API key.',
+        error: 'LLM provider authentication failed. Please check API key.',
         details: err.message
       });
     }
     
     if (err.status === 429) {
       return res.status(500).json({ 
-        error: 'OpenAI API rate limit exceeded. Please try again later.',
+        error: 'LLM provider rate limit exceeded. Please try again later.',
         details: err.message
       });
     }
     
     if (err.status === 400) {
       return res.status(500).json({ 
-        error: 'Invalid request to OpenAI API.',
+        error: 'Invalid request to the LLM provider.',
         details: err.message
       });
     }
@@ -821,7 +728,17 @@ Make sure:
 });
 
 // POST /api/ai/transform-thought-streaming - Stream task generation in real-time
-router.post('/transform-thought-streaming', async (req, res) => {
+// Body: { thought, mode: preview | persist | draft (default preview), duplicates? }
+//   preview - nothing is stored, the goal and tasks carry temporary ids
+//   persist - the goal and tasks are created as they are parsed and carry their database ids
+//   draft   - the result is stored as a proposal to accept or reject via /api/proposals
+// Server-sent events: status { mode, proposalId? }, progress { content },
+// preview { target: goal | task, index?, field, value } (title/description while they are streamed),
+// goal { goal: Goal } once the goal object is complete, task { task: Task, index, duplicateOf? } once
+// each task is complete (tasks skipped as duplicates aren't sent), reset when the streamed answer was invalid and the goal
+// and tasks sent so far are discarded in favour of a repaired answer that follows,
+// complete { goalCreated, totalTasks, duplicates, goalId?, proposalId? } and error { message }. A stream that fails or is abandoned by the client stores nothing.
+router.post('/transform-thought-streaming', aiQuotaMiddleware, async (req, res) => {
   console.log('POST /api/ai/transform-thought-streaming - Request received:', req.body);
 
   res.writeHead(200, {
@@ -831,8 +748,27 @@ router.post('/transform-thought-streaming', async (req, res) => {
     'Access-Control-Allow-Origin': '*'
   });
 
+  // Stop the model request when the client goes away before the stream is complete
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      disconnect.abort();
+    }
+  });
+
+  // Undo whatever the sink stored when the stream fails
+  let sink = null;
+  const abort = async () => {
+    try {
+      await sink?.abort();
+    } catch (abortError) {
+      console.error('Error discarding streamed results:', abortError);
+    }
+  };
+
   try {
-    const { thought } = req.body;
+    const { thought, mode = 'preview' } = req.body;
+    const duplicatePolicy = parseDuplicatePolicy(req.body.duplicates);
 
     if (!thought || typeof thought !== 'string') {
       res.write(`data: ${JSON.stringify({ type: 'error', message: 'Thought is required' })}\n\n`);
@@ -840,7 +776,42 @@ router.post('/transform-thought-streaming', async (req, res) => {
       return;
     }
 
-    res.write(`data: ${JSON.stringify({ type: 'status', message: 'Creating your goal and tasks...' })}\n\n`);
+    if (!STREAM_MODES.includes(mode)) {
+      res.write(`data: ${JSON.stringify({ type: 'error', message: `mode must be one of ${STREAM_MODES.join(', ')}` })}\n\n`);
+      res.end();
+      return;
+    }
+
+    if (!duplicatePolicy) {
+      res.write(`data: ${JSON.stringify({ type: 'error', message: `duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}` })}\n\n`);
+      res.end();
+      return;
+    }
+
+    if (mode === 'persist') {
+      const exceeded = await checkEntitlement(req.user.id, 'maxGoals');
+      if (exceeded) {
+        res.write(`data: ${JSON.stringify({
+          type: 'error',
+          message: `Your ${exceeded.plan} plan allows at most ${exceeded.max} active goals`,
+          code: 'plan_limit',
+          ...exceeded
+        })}\n\n`);
+        res.end();
+        return;
+      }
+    }
+
+    sink = createStreamSink(mode, {
+      userId: req.user.id,
+      input: thought,
+      source: 'transform-thought-streaming'
+    });
+    const started = await sink.start();
+
+    res.write(`data: ${JSON.stringify({ type: 'status', message: 'Creating your goal and tasks...', mode, ...started })}\n\n`);
+
+    const categories = categoryPrompt((await getTaxonomy(req.user.id)).categories);
 
     const prompt = `
 You are a world-class productivity coach and goal-setting expert. Transform this thought into a clear, actionable GOAL and then break it down into 3-4 specific tasks that will achieve that goal.
@@ -867,12 +838,7 @@ PRIORITY GUIDELINES:
 - LOW: Nice-to-have or preparatory tasks
 
 CATEGORY GUIDELINES:
-- work: Professional, career, business-related
-- personal: Life admin, relationships, home organization
-- health: Physical fitness, mental wellness, medical
-- learning: Education, skill development, courses, reading
-- creative: Art, writing, design, music, creative projects
-- financial: Money management, investments, budgeting
+${categories.guidelines}
 
 TIME ESTIMATION GUIDELINES:
 - Be realistic: account for setup time, breaks, potential obstacles
@@ -888,7 +854,7 @@ Return ONLY a JSON object with this exact structure:
     "title": "Clear, inspiring goal title (max 100 characters)",
     "description": "Detailed description of what success looks like and why it matters",
     "priority": "HIGH|MEDIUM|LOW",
-    "category": "work|personal|health|learning|creative|financial"
+    "category": "${categories.options}"
   },
   "tasks": [
     {
@@ -896,7 +862,7 @@ Return ONLY a JSON object with this exact structure:
       "description": "Clear description with specific outcome or deliverable expected",
       "priority": "HIGH|MEDIUM|LOW",
       "estimatedTime": 45,
-      "category": "work|personal|health|learning|creative|financial"
+      "category": "${categories.options}"
     }
   ]
 }
@@ -910,24 +876,76 @@ Requirements:
 - Ensure the goal is inspiring and the tasks are immediately actionable
 `;
 
-    const stream = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: 'You are a productivity assistant. Only return valid JSON arrays of tasks.' },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 1000,
-      temperature: 0.7,
-      stream: true
+    const messages = await personalize(req.user.id, [
+      { role: 'system', content: 'You are a productivity assistant. Always respond with valid JSON only.' },
+      { role: 'user', content: prompt }
+    ]);
+
+    const chunks = stream('transform-thought-streaming', messages, {
+      userId: req.user.id,
+      signal: disconnect.signal,
+      responseFormat: { name: 'transform-thought-streaming', schema: GOAL_WITH_TASKS_SCHEMA }
     });
 
     let accumulatedResponse = '';
     let goalSent = false;
     let sentTasks = [];
+    // Generated tasks handled so far, sent or skipped as duplicates
+    let handledTasks = 0;
+    let duplicates = [];
+
+    const sendGoal = async (goal) => {
+      res.write(`data: ${JSON.stringify({
+        type: 'goal',
+        goal: await sink.goal(goal)
+      })}\n\n`);
+
+      goalSent = true;
+    };
+
+    // Each task is checked against the user's open tasks before it is stored. The open tasks are
+    // loaded once, so tasks created earlier in this stream don't count as duplicates of their siblings.
+    const checkDuplicate = createDuplicateChecker(req.user.id, duplicatePolicy);
+
+    const sendTask = async (generated, index) => {
+      handledTasks++;
+      const { keep, duplicateOf } = await checkDuplicate(generated);
+
+      if (duplicateOf) {
+        duplicates.push({ index, title: generated.title, duplicateOf });
+      }
+      if (!keep) {
+        return;
+      }
+
+      const task = await sink.task(generated, sentTasks.length);
+
+      res.write(`data: ${JSON.stringify({
+        type: 'task',
+        task: task,
+        index,
+        ...(duplicateOf && { duplicateOf })
+      })}\n\n`);
+
+      sentTasks.push(task);
+    };
+
+    // Send the goal and any tasks not sent yet from a schema-valid result
+    const sendResult = async (result) => {
+      if (!goalSent) {
+        await sendGoal(result.goal);
+      }
+
+      for (let i = handledTasks; i < result.tasks.length; i++) {
+        await sendTask(result.tasks[i], i);
+      }
+    };
+
+    // The goal and each task are sent as soon as their JSON object is closed
+    const incremental = createGoalWithTasksStream();
 
     // Stream chunks and parse progressively
-    for await (const chunk of stream) {
-      const content = chunk.choices?.[0]?.delta?.content || '';
+    for await (const content of chunks) {
       accumulatedResponse += content;
 
       // Send progress update
@@ -939,125 +957,72 @@ Requirements:
         })}\n\n`);
       }
 
-      // Try to extract complete goal and tasks from accumulated response
-      try {
-        let cleanResponse = accumulatedResponse.trim();
-        if (cleanResponse.startsWith('```json')) {
-          cleanResponse = cleanResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        } else if (cleanResponse.startsWith('```')) {
-          cleanResponse = cleanResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
+      for (const event of incremental.push(content)) {
+        if (event.type === 'goal') {
+          await sendGoal(event.goal);
+        } else if (event.type === 'task') {
+          await sendTask(event.task, event.index);
+        } else {
+          res.write(`data: ${JSON.stringify(event)}\n\n`);
         }
-
-        // Try to parse JSON - this will work once we have complete response
-        if (cleanResponse.startsWith('{') && cleanResponse.includes('"goal"') && cleanResponse.includes('"tasks"')) {
-          const result = JSON.parse(cleanResponse);
-          
-          if (result.goal && Array.isArray(result.tasks)) {
-            // Send goal first if not already sent
-            if (!goalSent && result.goal) {
-              const goalWithId = {
-                ...result.goal,
-                id: `goal_${Date.now()}`,
-                generated: true
-              };
-              
-              res.write(`data: ${JSON.stringify({
-                type: 'goal',
-                goal: goalWithId
-              })}\n\n`);
-              
-              goalSent = true;
-            }
-
-            // Send any new complete tasks
-            for (let i = sentTasks.length; i < result.tasks.length; i++) {
-              const task = {
-                ...result.tasks[i],
-                id: `task_${Date.now()}_${i}`,
-                generated: true
-              };
-              
-              res.write(`data: ${JSON.stringify({
-                type: 'task',
-                task: task,
-                index: i,
-                total: result.tasks.length
-              })}\n\n`);
-              
-              sentTasks.push(task);
-            }
-          }
-        }
-      } catch (parseError) {
-        // Still accumulating, ignore parse errors
       }
     }
 
-    // Final parse for any remaining goal and tasks
-    try {
-      let cleanResponse = accumulatedResponse.trim();
-      if (cleanResponse.startsWith('```json')) {
-        cleanResponse = cleanResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanResponse.startsWith('```')) {
-        cleanResponse = cleanResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-
-      const result = JSON.parse(cleanResponse);
-      
-      if (result.goal && Array.isArray(result.tasks)) {
-        // Send goal if not already sent
-        if (!goalSent && result.goal) {
-          const goalWithId = {
-            ...result.goal,
-            id: `goal_${Date.now()}`,
-            generated: true
-          };
-          
-          res.write(`data: ${JSON.stringify({
-            type: 'goal',
-            goal: goalWithId
-          })}\n\n`);
-          
-          goalSent = true;
+    // Final validation - re-ask once (without streaming) when the answer is invalid
+    const { data: result, errors } = parseStructured(accumulatedResponse, GOAL_WITH_TASKS_SCHEMA);
+    if (errors.length === 0) {
+      await sendResult(result);
+    } else {
+      console.warn('Invalid streamed response, re-asking:', errors);
+      try {
+        const { data: repaired } = await completeStructured(
+          'transform-thought-streaming',
+          repairMessages(messages, accumulatedResponse, errors),
+          GOAL_WITH_TASKS_SCHEMA,
+          { retries: 0, userId: req.user.id, signal: disconnect.signal }
+        );
+        // Items sent from the invalid answer are replaced, never combined with the new one
+        if (goalSent || handledTasks > 0) {
+          await sink.reset();
+          goalSent = false;
+          sentTasks = [];
+          handledTasks = 0;
+          duplicates = [];
+          res.write(`data: ${JSON.stringify({ type: 'reset' })}\n\n`);
         }
-
-        // Send any final tasks that weren't sent during streaming
-        for (let i = sentTasks.length; i < result.tasks.length; i++) {
-          const task = {
-            ...result.tasks[i],
-            id: `task_${Date.now()}_${i}`,
-            generated: true
-          };
-          
-          res.write(`data: ${JSON.stringify({
-            type: 'task',
-            task: task,
-            index: i,
-            total: result.tasks.length
-          })}\n\n`);
-          
-          sentTasks.push(task);
+        await sendResult(repaired);
+      } catch (repairError) {
+        if (disconnect.signal.aborted) {
+          throw repairError;
         }
+        console.error('Final parse error:', repairError);
+        await abort();
+        res.write(`data: ${JSON.stringify({ 
+          type: 'error', 
+          message: 'Failed to parse AI response',
+          ...(repairError instanceof StructuredOutputError && { details: repairError.errors })
+        })}\n\n`);
+        res.end();
+        return;
       }
-    } catch (finalParseError) {
-      console.error('Final parse error:', finalParseError);
-      res.write(`data: ${JSON.stringify({ 
-        type: 'error', 
-        message: 'Failed to parse AI response' 
-      })}\n\n`);
-      res.end();
-      return;
     }
 
     // All goal and tasks sent, notify completion
     res.write(`data: ${JSON.stringify({ 
       type: 'complete', 
       goalCreated: goalSent,
-      totalTasks: sentTasks.length 
+      totalTasks: sentTasks.length,
+      duplicates,
+      ...await sink.complete()
     })}\n\n`);
     res.end();
 
   } catch (error) {
+    await abort();
+    if (disconnect.signal.aborted) {
+      console.log('Client disconnected, stopped generating');
+      return;
+    }
     console.error('Streaming error:', error);
     res.write(`data: ${JSON.stringify({ type: 'error', message: 'Failed to generate tasks' })}\n\n`);
     res.end();
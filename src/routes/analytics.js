@@ -0,0 +1,59 @@
+import express from 'express';
+import {
+  resolveAnalyticsRange,
+  computeAnalytics,
+  METRIC_NAMES,
+  INTERVALS
+} from '../lib/analytics.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+//
+// Productivity metrics computed from tasks and goals, no model calls involved.
+// Every route takes ?from=&to= (YYYY-MM-DD, inclusive local dates, default the last 30 days),
+// ?timezone= (default the profile timezone, then UTC) and ?interval=day|week for the series.
+
+const analyticsResponse = async (req, res, metrics) => {
+  const { interval = 'day' } = req.query;
+  if (!INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of ${INTERVALS.join(', ')}` });
+  }
+
+  const { range, error } = await resolveAnalyticsRange(req.user.id, req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json(await computeAnalytics(req.user.id, range, { metrics, interval }));
+};
+
+// GET /api/analytics - All metrics
+// Response: { range: { from, to, timezone }, summary, streaks, series, byPriority, byCategory,
+//   overdue, timeToComplete, estimateAccuracy }
+router.get('/', async (req, res) => {
+  try {
+    await analyticsResponse(req, res, METRIC_NAMES);
+  } catch (error) {
+    console.error('Error computing analytics:', error);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+});
+
+// GET /api/analytics/:metric - A single metric, e.g. /api/analytics/streaks
+// Response: { range, [metric]: ... }
+router.get('/:metric', async (req, res) => {
+  try {
+    if (!METRIC_NAMES.includes(req.params.metric)) {
+      return res.status(404).json({ error: `Unknown metric. Use ${METRIC_NAMES.join(', ')}` });
+    }
+
+    await analyticsResponse(req, res, [req.params.metric]);
+  } catch (error) {
+    console.error('Error computing analytics:', error);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+});
+
+export default router;
@@ -0,0 +1,218 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { buildCalendar, parseBusyEvents } from '../lib/ical.js';
+import { generateCalendarToken } from '../lib/calendar.js';
+import { resolveTimeZone } from '../lib/plans.js';
+
+const router = express.Router();
+
+// The .ics feed is authenticated by its secret token so calendar apps can subscribe to it;
+// every other route here uses authMiddleware like the auth routes do.
+
+// Feed window: recent history plus everything upcoming
+const FEED_HISTORY_DAYS = 30;
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+
+// GET /api/calendar/feed - Get (or create) the user's private feed URL
+router.get('/feed', authMiddleware, async (req, res) => {
+  try {
+    let user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { calendarToken: true }
+    });
+
+    if (!user?.calendarToken) {
+      user = await prisma.user.update({
+        where: { id: req.user.id },
+        data: { calendarToken: generateCalendarToken() },
+        select: { calendarToken: true }
+      });
+    }
+
+    res.json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// POST /api/calendar/feed/rotate - Replace the feed token, invalidating the old URL
+router.post('/feed/rotate', authMiddleware, async (req, res) => {
+  try {
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarToken: generateCalendarToken() },
+      select: { calendarToken: true }
+    });
+
+    res.json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    console.error('Error rotating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to rotate calendar feed' });
+  }
+});
+
+// DELETE /api/calendar/feed - Disable the feed
+router.delete('/feed', authMiddleware, async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarToken: null }
+    });
+
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (error) {
+    console.error('Error disabling calendar feed:', error);
+    res.status(500).json({ error: 'Failed to disable calendar feed' });
+  }
+});
+
+// POST /api/calendar/import - Import busy events from an .ics file
+// Send the file as text/calendar, or JSON { ics, source, timezone }.
+// Re-importing the same source replaces its previously imported events.
+router.post('/import', authMiddleware, express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+    const source = String((typeof req.body === 'string' ? req.query.source : req.body?.source) || 'import').slice(0, 100);
+    const requestedTimeZone = typeof req.body === 'string' ? req.query.timezone : req.body?.timezone;
+
+    if (!ics || !ics.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ error: 'A valid iCalendar (.ics) document is required' });
+    }
+
+    const timeZone = await resolveTimeZone(req.user.id, requestedTimeZone);
+    const events = parseBusyEvents(ics, { timeZone });
+
+    const [, created] = await prisma.$transaction([
+      prisma.busyEvent.deleteMany({
+        where: { userId: req.user.id, source }
+      }),
+      prisma.busyEvent.createMany({
+        data: events.map(event => ({
+          userId: req.user.id,
+          source,
+          uid: event.uid.slice(0, 255),
+          summary: event.summary,
+          startTime: event.startTime,
+          endTime: event.endTime,
+          allDay: event.allDay
+        }))
+      })
+    ]);
+
+    res.status(201).json({
+      message: `Imported ${created.count} busy event(s)`,
+      source,
+      imported: created.count
+    });
+  } catch (error) {
+    console.error('Error importing calendar:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
+  }
+});
+
+// GET /api/calendar/busy - List imported busy events, optionally within ?from=&to=
+router.get('/busy', authMiddleware, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const events = await prisma.busyEvent.findMany({
+      where: {
+        userId: req.user.id,
+        ...(req.query.source && { source: req.query.source }),
+        ...(to && { startTime: { lt: to } }),
+        ...(from && { endTime: { gt: from } })
+      },
+      orderBy: { startTime: 'asc' }
+    });
+
+    res.json(events);
+  } catch (error) {
+    console.error('Error fetching busy events:', error);
+    res.status(500).json({ error: 'Failed to fetch busy events' });
+  }
+});
+
+// DELETE /api/calendar/busy - Remove imported busy events (all, or one ?source=)
+router.delete('/busy', authMiddleware, async (req, res) => {
+  try {
+    const { count } = await prisma.busyEvent.deleteMany({
+      where: {
+        userId: req.user.id,
+        ...(req.query.source && { source: req.query.source })
+      }
+    });
+
+    res.json({ message: `Removed ${count} busy event(s)` });
+  } catch (error) {
+    console.error('Error removing busy events:', error);
+    res.status(500).json({ error: 'Failed to remove busy events' });
+  }
+});
+
+// GET /api/calendar/:token.ics - Public iCalendar feed (tasks, goal deadlines, planned blocks)
+// ?tasks=events renders tasks as VEVENTs for calendar apps that ignore VTODO
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { calendarToken: req.params.token },
+      select: { id: true, name: true, email: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    const [tasks, goals, blocks] = await Promise.all([
+      prisma.task.findMany({
+        where: {
+          userId: user.id,
+          completed: false,
+          dueDate: { gte: since }
+        },
+        orderBy: { dueDate: 'asc' }
+      }),
+      prisma.goal.findMany({
+        where: {
+          userId: user.id,
+          status: { in: ['ACTIVE', 'PAUSED'] },
+          deadline: { gte: since }
+        }
+      }),
+      prisma.timeBlock.findMany({
+        where: {
+          plan: { userId: user.id },
+          status: { in: ['PLANNED', 'DONE'] },
+          startTime: { gte: since }
+        },
+        orderBy: { startTime: 'asc' }
+      })
+    ]);
+
+    const calendar = buildCalendar({
+      name: `nudgr - ${user.name || user.email}`,
+      tasks,
+      goals,
+      blocks,
+      tasksAsEvents: req.query.tasks === 'events'
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="nudgr.ics"');
+    res.send(calendar);
+  } catch (error) {
+    console.error('Error rendering calendar feed:', error);
+    res.status(500).json({ error: 'Failed to render calendar feed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { runChatTurn, revertToolCall } from '../lib/chatCoach.js';
+import { sendFailure } from '../lib/taskMutations.js';
+import { aiQuotaMiddleware } from '../middleware/aiQuota.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+//
+// Chat with the productivity coach. Conversations are stored as threads; changes the coach
+// makes through its tools are recorded and can be reverted (see lib/chatCoach.js).
+
+const findThread = (userId, id) => prisma.chatThread.findFirst({
+  where: { id, userId }
+});
+
+// POST /api/ai/chat - Send a message and stream the coach's answer
+// Body: { message, threadId? (continue a thread, a new one is started without it) }
+// Server-sent events: thread { threadId }, delta { content }, tool_call { call: { id, name, arguments } },
+// tool_result { toolCall: ChatToolCall }, message { message: ChatMessage } for every stored assistant
+// message, done { threadId, message } and error { message }.
+router.post('/', aiQuotaMiddleware, async (req, res) => {
+  const { message, threadId } = req.body;
+
+  if (!message || typeof message !== 'string') {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  try {
+    const thread = threadId
+      ? await findThread(req.user.id, threadId)
+      : await prisma.chatThread.create({ data: { userId: req.user.id } });
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+
+    const send = (type, data) => res.write(`data: ${JSON.stringify({ type, ...data })}\n\n`);
+
+    // Stop the model request when the client goes away; tool calls made so far stay recorded
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        disconnect.abort();
+      }
+    });
+
+    send('thread', { threadId: thread.id });
+
+    try {
+      const reply = await runChatTurn({
+        userId: req.user.id,
+        thread,
+        message,
+        signal: disconnect.signal,
+        onEvent: send
+      });
+
+      send('done', { threadId: thread.id, message: reply });
+    } catch (error) {
+      if (disconnect.signal.aborted) {
+        console.log('Client disconnected, stopped chatting');
+        return;
+      }
+      console.error('Error in chat:', error);
+      send('error', { message: 'Failed to answer' });
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error starting chat:', error);
+    res.status(500).json({ error: 'Failed to start chat' });
+  }
+});
+
+// GET /api/ai/chat/threads - List threads, most recently active first
+router.get('/threads', async (req, res) => {
+  try {
+    const threads = await prisma.chatThread.findMany({
+      where: { userId: req.user.id },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    res.json(threads);
+  } catch (error) {
+    console.error('Error fetching chat threads:', error);
+    res.status(500).json({ error: 'Failed to fetch chat threads' });
+  }
+});
+
+// GET /api/ai/chat/threads/:id - Get a thread with its messages and tool calls
+router.get('/threads/:id', async (req, res) => {
+  try {
+    const thread = await prisma.chatThread.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: {
+        messages: { orderBy: { seq: 'asc' } },
+        toolCalls: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json(thread);
+  } catch (error) {
+    console.error('Error fetching chat thread:', error);
+    res.status(500).json({ error: 'Failed to fetch chat thread' });
+  }
+});
+
+// DELETE /api/ai/chat/threads/:id - Delete a thread (changes made by its tool calls are kept)
+router.delete('/threads/:id', async (req, res) => {
+  try {
+    const thread = await findThread(req.user.id, req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    await prisma.chatThread.delete({
+      where: { id: thread.id }
+    });
+
+    res.json({ message: 'Thread deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting chat thread:', error);
+    res.status(500).json({ error: 'Failed to delete chat thread' });
+  }
+});
+
+// POST /api/ai/chat/tool-calls/:id/revert - Undo the change a tool call made
+// 409 when the call changed nothing, is already reverted, or its task/goal is gone
+router.post('/tool-calls/:id/revert', async (req, res) => {
+  try {
+    const result = await revertToolCall(req.user.id, req.params.id);
+    if (result.error) {
+      return sendFailure(res, result);
+    }
+
+    res.json(result.toolCall);
+  } catch (error) {
+    console.error('Error reverting tool call:', error);
+    res.status(500).json({ error: 'Failed to revert tool call' });
+  }
+});
+
+export default router;
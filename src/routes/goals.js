@@ -1,16 +1,33 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
+import {
+  GOAL_STATUSES,
+  canTransitionGoal,
+  goalStatusUpdate,
+  withGoalProgress
+} from '../lib/goalLifecycle.js';
+import { parseListQuery, findPage, GOAL_LIST_QUERY } from '../lib/listQuery.js';
+import { checkEntitlement, entitlementLimitResponse } from '../lib/entitlements.js';
+import { createGoal, updateGoal, reopensGoal } from '../lib/goalMutations.js';
+import { sendFailure } from '../lib/taskMutations.js';
 
 const router = express.Router();
 
 // Note: Authentication middleware is applied at the server level
 // req.user is available from the authMiddleware
 
-// GET /api/goals - Get all goals for the authenticated user
+// GET /api/goals - List goals for the authenticated user
+// Supports filtering, sorting and cursor pagination (see lib/listQuery.js)
 router.get('/', async (req, res) => {
   try {
-    const goals = await prisma.goal.findMany({
-      where: { userId: req.user.id },
+    const listQuery = parseListQuery(req.query, GOAL_LIST_QUERY);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    listQuery.where.userId = req.user.id;
+
+    const goals = await findPage(prisma.goal, listQuery, res, {
       include: {
         tasks: {
           orderBy: { createdAt: 'desc' }
@@ -20,11 +37,10 @@ router.get('/', async (req, res) => {
             tasks: true
           }
         }
-      },
-      orderBy: { createdAt: 'desc' }
+      }
     });
 
-    res.json(goals);
+    res.json(goals.map(withGoalProgress));
   } catch (error) {
     console.error('Error fetching goals:', error);
     res.status(500).json({ error: 'Failed to fetch goals' });
@@ -50,7 +66,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Goal not found' });
     }
 
-    res.json(goal);
+    res.json(withGoalProgress(goal));
   } catch (error) {
     console.error('Error fetching goal:', error);
     res.status(500).json({ error: 'Failed to fetch goal' });
@@ -60,32 +76,12 @@ router.get('/:id', async (req, res) => {
 // POST /api/goals - Create a new goal
 router.post('/', async (req, res) => {
   try {
-    const { title, description, deadline, priority, category } = req.body;
-
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
+    const result = await createGoal(req.user.id, req.body);
+    if (result.error) {
+      return sendFailure(res, result);
     }
 
-    const goal = await prisma.goal.create({
-      data: {
-        title,
-        description,
-        deadline: deadline ? new Date(deadline) : null,
-        priority: priority || 'MEDIUM',
-        category,
-        userId: req.user.id
-      },
-      include: {
-        tasks: true,
-        _count: {
-          select: {
-            tasks: true
-          }
-        }
-      }
-    });
-
-    res.status(201).json(goal);
+    res.status(201).json(withGoalProgress(result.goal));
   } catch (error) {
     console.error('Error creating goal:', error);
     res.status(500).json({ error: 'Failed to create goal' });
@@ -95,7 +91,26 @@ router.post('/', async (req, res) => {
 // PUT /api/goals/:id - Update a goal
 router.put('/:id', async (req, res) => {
   try {
-    const { title, description, deadline, priority, status, category } = req.body;
+    const result = await updateGoal(req.user.id, req.params.id, req.body);
+    if (result.error) {
+      return sendFailure(res, result);
+    }
+
+    res.json(withGoalProgress(result.goal));
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    res.status(500).json({ error: 'Failed to update goal' });
+  }
+});
+
+// PATCH /api/goals/:id/status - Move a goal through its lifecycle
+router.patch('/:id/status', async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!GOAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of ${GOAL_STATUSES.join(', ')}` });
+    }
 
     const existingGoal = await prisma.goal.findFirst({
       where: {
@@ -108,32 +123,34 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Goal not found' });
     }
 
+    if (!canTransitionGoal(existingGoal.status, status)) {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        message: `Cannot change goal status from ${existingGoal.status} to ${status}`
+      });
+    }
+
+    if (reopensGoal(existingGoal.status, status)) {
+      const exceeded = await checkEntitlement(req.user.id, 'maxGoals');
+      if (exceeded) {
+        return entitlementLimitResponse(res, exceeded);
+      }
+    }
+
     const goal = await prisma.goal.update({
       where: { id: req.params.id },
-      data: {
-        ...(title && { title }),
-        ...(description !== undefined && { description }),
-        ...(deadline !== undefined && { deadline: deadline ? new Date(deadline) : null }),
-        ...(priority && { priority }),
-        ...(status && { status }),
-        ...(category !== undefined && { category })
-      },
+      data: goalStatusUpdate(existingGoal, status),
       include: {
         tasks: {
           orderBy: { createdAt: 'desc' }
-        },
-        _count: {
-          select: {
-            tasks: true
-          }
         }
       }
     });
 
-    res.json(goal);
+    res.json(withGoalProgress(goal));
   } catch (error) {
-    console.error('Error updating goal:', error);
-    res.status(500).json({ error: 'Failed to update goal' });
+    console.error('Error updating goal status:', error);
+    res.status(500).json({ error: 'Failed to update goal status' });
   }
 });
 
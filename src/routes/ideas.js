@@ -1,29 +1,43 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
+import { parseListQuery, findPage, IDEA_LIST_QUERY } from '../lib/listQuery.js';
+import { checkEntitlement, entitlementLimitResponse } from '../lib/entitlements.js';
+import { generateGoalWithTasks, createGoalWithTasks, ideaToThought } from '../lib/goalGeneration.js';
+import { aiQuotaMiddleware } from '../middleware/aiQuota.js';
+import {
+  parseLinkType,
+  findDuplicateLink,
+  createsLinkCycle,
+  loadIdeaGraph,
+  validatePositions,
+  offsetPositions,
+  ideaLinkSelect,
+  IDEA_LINK_TYPES
+} from '../lib/ideaGraph.js';
+import { layoutIdeas, placeNewIdea, LAYOUT_ALGORITHMS } from '../lib/ideaLayout.js';
+import { applyDuplicatePolicy, parseDuplicatePolicy, DUPLICATE_POLICIES } from '../lib/semanticSearch.js';
+import { normalizeTags } from '../lib/taxonomy.js';
 
 const router = express.Router();
 
+const isTagList = (tags) => Array.isArray(tags) && tags.every(tag => typeof tag === 'string');
+
 // Note: Authentication middleware is applied at the server level
 // req.user is available from the authMiddleware
 
-// GET /api/ideas - Get all ideas for the authenticated user
+// GET /api/ideas - List ideas for the authenticated user
+// Supports filtering, sorting and cursor pagination (see lib/listQuery.js);
+// limit/offset paging is still accepted for older clients
 router.get('/', async (req, res) => {
   try {
-    const { expanded, limit = 50, offset = 0 } = req.query;
-    
-    const where = {
-      userId: req.user.id,
-      ...(expanded !== undefined && { expanded: expanded === 'true' }),
-    };
+    const listQuery = parseListQuery(req.query, IDEA_LIST_QUERY);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
 
-    const ideas = await prisma.idea.findMany({
-      where,
-      orderBy: [
-        { createdAt: 'desc' }
-      ],
-      take: parseInt(limit),
-      skip: parseInt(offset)
-    });
+    listQuery.where.userId = req.user.id;
+
+    const ideas = await findPage(prisma.idea, listQuery, res);
 
     res.json(ideas);
   } catch (error) {
@@ -32,6 +46,289 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/ideas/graph - The whole mind map: ideas as nodes, links as edges, plus clusters
+router.get('/graph', async (req, res) => {
+  try {
+    const graph = await loadIdeaGraph(req.user.id);
+    res.json(graph);
+  } catch (error) {
+    console.error('Error fetching idea graph:', error);
+    res.status(500).json({ error: 'Failed to fetch idea graph' });
+  }
+});
+
+// PATCH /api/ideas/positions - Move several ideas at once
+// Body: { positions: [{ id, x, y }] } to set absolute positions, or
+// { clusterId, dx, dy } to move every idea of a cluster by an offset
+router.patch('/positions', async (req, res) => {
+  try {
+    const { positions, clusterId, dx, dy } = req.body;
+    let updates;
+
+    if (clusterId !== undefined) {
+      if (!clusterId || typeof clusterId !== 'string') {
+        return res.status(400).json({ error: 'clusterId must be a non-empty string' });
+      }
+      if (typeof dx !== 'number' || typeof dy !== 'number') {
+        return res.status(400).json({ error: 'Numeric dx and dy are required to move a cluster' });
+      }
+
+      const cluster = await prisma.ideaCluster.findFirst({
+        where: { id: clusterId, userId: req.user.id },
+        include: {
+          ideas: { select: { id: true, position: true } }
+        }
+      });
+
+      if (!cluster) {
+        return res.status(404).json({ error: 'Cluster not found' });
+      }
+
+      updates = offsetPositions(cluster.ideas, dx, dy);
+    } else {
+      const validationError = validatePositions(positions);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const owned = await prisma.idea.count({
+        where: {
+          id: { in: positions.map(entry => entry.id) },
+          userId: req.user.id
+        }
+      });
+
+      if (owned !== positions.length) {
+        return res.status(404).json({ error: 'One or more ideas not found' });
+      }
+
+      updates = positions;
+    }
+
+    const ideas = await prisma.$transaction(updates.map(({ id, x, y }) => prisma.idea.update({
+      where: { id },
+      data: { position: { x, y } },
+      select: { id: true, position: true, clusterId: true }
+    })));
+
+    res.json({ updated: ideas.length, ideas });
+  } catch (error) {
+    console.error('Error updating idea positions:', error);
+    res.status(500).json({ error: 'Failed to update idea positions' });
+  }
+});
+
+// POST /api/ideas/layout - Compute non-overlapping positions for all ideas
+// Body: { algorithm: force | grid | tags (default force), persist (default false),
+//         nodeWidth?, nodeHeight?, spacing? }
+// Without persist the layout is only a preview; it can be saved later with
+// PATCH /api/ideas/positions or by repeating the request with persist: true.
+router.post('/layout', async (req, res) => {
+  try {
+    const { algorithm = 'force', persist = false } = req.body;
+
+    if (!LAYOUT_ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({ error: `algorithm must be one of ${LAYOUT_ALGORITHMS.join(', ')}` });
+    }
+
+    const options = {};
+    for (const field of ['nodeWidth', 'nodeHeight', 'spacing']) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || value < 0 || (field !== 'spacing' && value === 0)) {
+        return res.status(400).json({ error: `${field} must be a positive number` });
+      }
+      options[field] = value;
+    }
+
+    const [ideas, links] = await Promise.all([
+      prisma.idea.findMany({
+        where: { userId: req.user.id },
+        select: { id: true, tags: true, position: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.ideaLink.findMany({
+        where: { userId: req.user.id },
+        select: { fromId: true, toId: true }
+      })
+    ]);
+
+    const layout = layoutIdeas(algorithm, ideas, links, options);
+
+    if (persist) {
+      await prisma.$transaction(layout.positions.map(({ id, x, y }) => prisma.idea.update({
+        where: { id },
+        data: { position: { x, y } }
+      })));
+    }
+
+    res.json({
+      algorithm,
+      persisted: Boolean(persist),
+      ...layout
+    });
+  } catch (error) {
+    console.error('Error laying out ideas:', error);
+    res.status(500).json({ error: 'Failed to lay out ideas' });
+  }
+});
+
+// GET /api/ideas/clusters - List clusters with their idea ids
+router.get('/clusters', async (req, res) => {
+  try {
+    const clusters = await prisma.ideaCluster.findMany({
+      where: { userId: req.user.id },
+      include: {
+        ideas: { select: { id: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(clusters.map(({ ideas, ...cluster }) => ({
+      ...cluster,
+      ideaIds: ideas.map(idea => idea.id)
+    })));
+  } catch (error) {
+    console.error('Error fetching idea clusters:', error);
+    res.status(500).json({ error: 'Failed to fetch idea clusters' });
+  }
+});
+
+const isIdList = (value) => Array.isArray(value) && value.every(id => typeof id === 'string');
+
+// Check that every id in ideaIds is an idea of the user
+const ownsIdeas = async (userId, ideaIds) => {
+  const count = await prisma.idea.count({
+    where: { id: { in: ideaIds }, userId }
+  });
+  return count === new Set(ideaIds).size;
+};
+
+// POST /api/ideas/clusters - Create a named cluster
+// Body: { name, color?, ideaIds? } - listed ideas are moved into the cluster
+router.post('/clusters', async (req, res) => {
+  try {
+    const { name, color, ideaIds = [] } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Cluster name is required' });
+    }
+
+    if (!isIdList(ideaIds)) {
+      return res.status(400).json({ error: 'ideaIds must be an array of idea ids' });
+    }
+
+    if (!(await ownsIdeas(req.user.id, ideaIds))) {
+      return res.status(404).json({ error: 'One or more ideas not found' });
+    }
+
+    const existing = await prisma.ideaCluster.findUnique({
+      where: { userId_name: { userId: req.user.id, name: name.trim() } }
+    });
+
+    if (existing) {
+      return res.status(409).json({ error: 'A cluster with this name already exists' });
+    }
+
+    const cluster = await prisma.ideaCluster.create({
+      data: {
+        name: name.trim(),
+        color,
+        userId: req.user.id,
+        ideas: { connect: ideaIds.map(id => ({ id })) }
+      },
+      include: {
+        ideas: { select: { id: true } }
+      }
+    });
+
+    const { ideas, ...created } = cluster;
+    res.status(201).json({ ...created, ideaIds: ideas.map(idea => idea.id) });
+  } catch (error) {
+    console.error('Error creating idea cluster:', error);
+    res.status(500).json({ error: 'Failed to create idea cluster' });
+  }
+});
+
+// PUT /api/ideas/clusters/:clusterId - Rename or recolor a cluster, or replace its ideas
+// Body: { name?, color?, ideaIds? }
+router.put('/clusters/:clusterId', async (req, res) => {
+  try {
+    const { clusterId } = req.params;
+    const { name, color, ideaIds } = req.body;
+
+    const existingCluster = await prisma.ideaCluster.findFirst({
+      where: { id: clusterId, userId: req.user.id }
+    });
+
+    if (!existingCluster) {
+      return res.status(404).json({ error: 'Cluster not found' });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Cluster name cannot be empty' });
+    }
+
+    if (ideaIds !== undefined) {
+      if (!isIdList(ideaIds)) {
+        return res.status(400).json({ error: 'ideaIds must be an array of idea ids' });
+      }
+      if (!(await ownsIdeas(req.user.id, ideaIds))) {
+        return res.status(404).json({ error: 'One or more ideas not found' });
+      }
+    }
+
+    if (name !== undefined && name.trim() !== existingCluster.name) {
+      const duplicate = await prisma.ideaCluster.findUnique({
+        where: { userId_name: { userId: req.user.id, name: name.trim() } }
+      });
+      if (duplicate) {
+        return res.status(409).json({ error: 'A cluster with this name already exists' });
+      }
+    }
+
+    const cluster = await prisma.ideaCluster.update({
+      where: { id: clusterId },
+      data: {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(color !== undefined && { color }),
+        ...(ideaIds !== undefined && { ideas: { set: ideaIds.map(id => ({ id })) } })
+      },
+      include: {
+        ideas: { select: { id: true } }
+      }
+    });
+
+    const { ideas, ...updated } = cluster;
+    res.json({ ...updated, ideaIds: ideas.map(idea => idea.id) });
+  } catch (error) {
+    console.error('Error updating idea cluster:', error);
+    res.status(500).json({ error: 'Failed to update idea cluster' });
+  }
+});
+
+// DELETE /api/ideas/clusters/:clusterId - Delete a cluster (its ideas are kept)
+router.delete('/clusters/:clusterId', async (req, res) => {
+  try {
+    const existingCluster = await prisma.ideaCluster.findFirst({
+      where: { id: req.params.clusterId, userId: req.user.id }
+    });
+
+    if (!existingCluster) {
+      return res.status(404).json({ error: 'Cluster not found' });
+    }
+
+    await prisma.ideaCluster.delete({
+      where: { id: req.params.clusterId }
+    });
+
+    res.json({ message: 'Cluster deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting idea cluster:', error);
+    res.status(500).json({ error: 'Failed to delete idea cluster' });
+  }
+});
+
 // GET /api/ideas/:id - Get a specific idea
 router.get('/:id', async (req, res) => {
   try {
@@ -64,11 +361,24 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Title and content are required' });
     }
 
-    // Generate random position if not provided (for mind map)
-    const defaultPosition = position || {
-      x: Math.random() * 300 + 50, // Random position between 50-350
-      y: Math.random() * 400 + 100  // Random position between 100-500
-    };
+    if (tags !== undefined && !isTagList(tags)) {
+      return res.status(400).json({ error: 'Tags must be an array of strings' });
+    }
+
+    // Mind-map size is limited by plan
+    const exceeded = await checkEntitlement(req.user.id, 'maxIdeas');
+    if (exceeded) {
+      return entitlementLimitResponse(res, exceeded);
+    }
+
+    // Tags are mapped onto the user's taxonomy ("Side Project" and "#side-project" are one tag)
+    const canonicalTags = await normalizeTags(req.user.id, tags);
+
+    // Without a position, place the idea in a free spot next to ideas sharing its tags
+    const defaultPosition = position || placeNewIdea(canonicalTags, await prisma.idea.findMany({
+      where: { userId: req.user.id },
+      select: { tags: true, position: true }
+    }));
 
     // Generate random pastel color if not provided
     const colors = ['#FFE5E5', '#E5F2FF', '#E5FFE5', '#FFF5E5', '#F0E5FF', '#E5FFF5'];
@@ -79,7 +389,7 @@ router.post('/', async (req, res) => {
         title: title.trim(),
         description: description?.trim(),
         content: content.trim(),
-        tags: tags || [],
+        tags: canonicalTags,
         position: defaultPosition,
         color: defaultColor,
         userId: req.user.id,
@@ -97,7 +407,7 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, content, tags, position, color, expanded } = req.body;
+    const { title, description, content, tags, position, color, expanded, clusterId } = req.body;
 
     // Verify idea exists and belongs to user
     const existingIdea = await prisma.idea.findFirst({
@@ -111,16 +421,31 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Idea not found' });
     }
 
+    if (tags !== undefined && !isTagList(tags)) {
+      return res.status(400).json({ error: 'Tags must be an array of strings' });
+    }
+
+    // clusterId: null takes the idea out of its cluster
+    if (clusterId) {
+      const cluster = await prisma.ideaCluster.findFirst({
+        where: { id: clusterId, userId: req.user.id }
+      });
+      if (!cluster) {
+        return res.status(404).json({ error: 'Cluster not found' });
+      }
+    }
+
     const updatedIdea = await prisma.idea.update({
       where: { id },
       data: {
         ...(title !== undefined && { title: title.trim() }),
         ...(description !== undefined && { description: description?.trim() }),
         ...(content !== undefined && { content: content.trim() }),
-        ...(tags !== undefined && { tags }),
+        ...(tags !== undefined && { tags: await normalizeTags(req.user.id, tags) }),
         ...(position !== undefined && { position }),
         ...(color !== undefined && { color }),
         ...(expanded !== undefined && { expanded }),
+        ...(clusterId !== undefined && { clusterId: clusterId || null }),
       }
     });
 
@@ -159,10 +484,25 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// AI quota only applies when the expansion asks for the AI pipeline
+const aiQuotaWhenRequested = (req, res, next) => (
+  req.body?.ai === true ? aiQuotaMiddleware(req, res, next) : next()
+);
+
 // POST /api/ideas/:id/expand - Expand an idea into a goal with tasks
-router.post('/:id/expand', async (req, res) => {
+// Body: { ai, duplicates } - with ai: true the idea's title, content and tags are turned into a goal
+// with AI-generated tasks; otherwise the goal simply copies the idea. The idea is linked to the goal.
+// duplicates (warn | skip | off) handles generated tasks that match open tasks, as in /api/ai.
+// Response: { message, idea, goal, tasks, fallback?, duplicates? }
+router.post('/:id/expand', aiQuotaWhenRequested, async (req, res) => {
   try {
     const { id } = req.params;
+    const useAI = req.body?.ai === true;
+
+    const duplicatePolicy = parseDuplicatePolicy(req.body?.duplicates);
+    if (!duplicatePolicy) {
+      return res.status(400).json({ error: `duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}` });
+    }
 
     // Verify idea exists and belongs to user
     const idea = await prisma.idea.findFirst({
@@ -180,30 +520,309 @@ router.post('/:id/expand', async (req, res) => {
       return res.status(400).json({ error: 'Idea has already been expanded' });
     }
 
-    // Create a goal from the idea
-    const goal = await prisma.goal.create({
-      data: {
-        title: idea.title,
-        description: idea.description || idea.content,
-        category: 'idea-expansion',
+    const exceeded = await checkEntitlement(req.user.id, 'maxGoals');
+    if (exceeded) {
+      return entitlementLimitResponse(res, exceeded);
+    }
+
+    const plan = useAI
+      ? await generateGoalWithTasks(ideaToThought(idea), { userId: req.user.id, endpoint: 'expand-idea' })
+      : {
+          data: {
+            goal: {
+              title: idea.title,
+              description: idea.description || idea.content,
+              category: 'other'
+            },
+            tasks: []
+          }
+        };
+
+    const { tasks: newTasks, duplicates } = await applyDuplicatePolicy(req.user.id, plan.data.tasks, duplicatePolicy);
+
+    // Goal, tasks and the idea link are written in one transaction
+    const created = await createGoalWithTasks(
+      req.user.id,
+      { goal: plan.data.goal, tasks: newTasks },
+      { ideaId: id }
+    );
+
+    // Another request expanded the idea while this one was generating
+    if (!created) {
+      return res.status(409).json({ error: 'Idea has already been expanded' });
+    }
+
+    const { goal, tasks, idea: updatedIdea } = created;
+
+    res.json({
+      message: 'Idea expanded successfully',
+      idea: updatedIdea,
+      goal,
+      tasks,
+      ...(useAI && { fallback: plan.fallback, duplicates })
+    });
+  } catch (error) {
+    console.error('Error expanding idea:', error);
+    res.status(500).json({ error: 'Failed to expand idea' });
+  }
+});
+
+// DELETE /api/ideas/:id/expand - Un-expand an idea, removing the goal it produced
+// The goal's generated tasks are deleted with it, tasks added by hand are kept (unlinked).
+// Refuses with 409 when generated tasks were already completed, unless ?force=true
+router.delete('/:id/expand', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const idea = await prisma.idea.findFirst({
+      where: {
+        id,
         userId: req.user.id,
+      },
+      include: {
+        goal: {
+          include: {
+            tasks: {
+              where: { aiGenerated: true },
+              select: { id: true, completed: true }
+            }
+          }
+        }
       }
     });
 
-    // Mark idea as expanded
-    const updatedIdea = await prisma.idea.update({
-      where: { id },
-      data: { expanded: true }
+    if (!idea) {
+      return res.status(404).json({ error: 'Idea not found' });
+    }
+
+    if (!idea.expanded) {
+      return res.status(400).json({ error: 'Idea has not been expanded' });
+    }
+
+    const goal = idea.goal;
+    const completedTasks = goal ? goal.tasks.filter(task => task.completed).length : 0;
+
+    if (completedTasks > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: `The goal has ${completedTasks} completed task(s); pass force=true to remove it anyway`,
+        completedTasks
+      });
+    }
+
+    // Older expansions (or goals deleted since) have no link - just reset the flag
+    const updatedIdea = await prisma.$transaction(async (tx) => {
+      if (goal) {
+        await tx.task.deleteMany({
+          where: { goalId: goal.id, aiGenerated: true }
+        });
+        await tx.goal.delete({
+          where: { id: goal.id }
+        });
+      }
+
+      return tx.idea.update({
+        where: { id },
+        data: { expanded: false, goalId: null }
+      });
     });
 
     res.json({
-      message: 'Idea expanded successfully',
+      message: 'Idea expansion removed',
       idea: updatedIdea,
-      goal: goal
+      removedGoalId: goal?.id || null,
+      removedTasks: goal?.tasks.length || 0
     });
   } catch (error) {
-    console.error('Error expanding idea:', error);
-    res.status(500).json({ error: 'Failed to expand idea' });
+    console.error('Error un-expanding idea:', error);
+    res.status(500).json({ error: 'Failed to un-expand idea' });
+  }
+});
+
+// GET /api/ideas/:id/links - Links from and to an idea
+// Each link carries direction: "outgoing" (from this idea) or "incoming"
+router.get('/:id/links', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const idea = await prisma.idea.findFirst({
+      where: { id, userId: req.user.id }
+    });
+
+    if (!idea) {
+      return res.status(404).json({ error: 'Idea not found' });
+    }
+
+    const links = await prisma.ideaLink.findMany({
+      where: {
+        userId: req.user.id,
+        OR: [{ fromId: id }, { toId: id }]
+      },
+      select: {
+        ...ideaLinkSelect,
+        from: { select: { id: true, title: true } },
+        to: { select: { id: true, title: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(links.map(link => ({
+      ...link,
+      direction: link.fromId === id ? 'outgoing' : 'incoming'
+    })));
+  } catch (error) {
+    console.error('Error fetching idea links:', error);
+    res.status(500).json({ error: 'Failed to fetch idea links' });
+  }
+});
+
+// POST /api/ideas/:id/links - Link this idea to another one
+// Body: { targetId, type: related | depends_on | part_of (default related), label? }
+router.post('/:id/links', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { targetId, label } = req.body;
+    const type = parseLinkType(req.body.type);
+
+    if (!targetId || typeof targetId !== 'string') {
+      return res.status(400).json({ error: 'targetId is required' });
+    }
+
+    if (label !== undefined && label !== null && typeof label !== 'string') {
+      return res.status(400).json({ error: 'label must be a string' });
+    }
+
+    if (!type) {
+      return res.status(400).json({ error: `type must be one of ${IDEA_LINK_TYPES.join(', ')}` });
+    }
+
+    if (targetId === id) {
+      return res.status(400).json({ error: 'An idea cannot be linked to itself' });
+    }
+
+    const ideas = await prisma.idea.findMany({
+      where: { id: { in: [id, targetId] }, userId: req.user.id },
+      select: { id: true }
+    });
+
+    if (!ideas.some(idea => idea.id === id)) {
+      return res.status(404).json({ error: 'Idea not found' });
+    }
+
+    if (!ideas.some(idea => idea.id === targetId)) {
+      return res.status(404).json({ error: 'Target idea not found' });
+    }
+
+    if (await findDuplicateLink(req.user.id, id, targetId, type)) {
+      return res.status(409).json({ error: 'These ideas are already linked with this type' });
+    }
+
+    if (await createsLinkCycle(req.user.id, id, targetId, type)) {
+      return res.status(409).json({
+        error: 'Link cycle',
+        message: 'This link would make ideas depend on or contain each other.'
+      });
+    }
+
+    const link = await prisma.ideaLink.create({
+      data: {
+        type,
+        label: label?.trim() || null,
+        fromId: id,
+        toId: targetId,
+        userId: req.user.id
+      },
+      select: ideaLinkSelect
+    });
+
+    res.status(201).json(link);
+  } catch (error) {
+    console.error('Error creating idea link:', error);
+    res.status(500).json({ error: 'Failed to create idea link' });
+  }
+});
+
+// PUT /api/ideas/:id/links/:linkId - Change the type or label of a link
+router.put('/:id/links/:linkId', async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+    const { label } = req.body;
+
+    const existingLink = await prisma.ideaLink.findFirst({
+      where: {
+        id: linkId,
+        userId: req.user.id,
+        OR: [{ fromId: id }, { toId: id }]
+      }
+    });
+
+    if (!existingLink) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    if (label !== undefined && label !== null && typeof label !== 'string') {
+      return res.status(400).json({ error: 'label must be a string' });
+    }
+
+    const type = req.body.type === undefined ? existingLink.type : parseLinkType(req.body.type);
+    if (!type) {
+      return res.status(400).json({ error: `type must be one of ${IDEA_LINK_TYPES.join(', ')}` });
+    }
+
+    if (type !== existingLink.type) {
+      const duplicate = await findDuplicateLink(req.user.id, existingLink.fromId, existingLink.toId, type);
+      if (duplicate) {
+        return res.status(409).json({ error: 'These ideas are already linked with this type' });
+      }
+
+      if (await createsLinkCycle(req.user.id, existingLink.fromId, existingLink.toId, type, linkId)) {
+        return res.status(409).json({
+          error: 'Link cycle',
+          message: 'This link would make ideas depend on or contain each other.'
+        });
+      }
+    }
+
+    const link = await prisma.ideaLink.update({
+      where: { id: linkId },
+      data: {
+        type,
+        ...(label !== undefined && { label: label?.trim() || null })
+      },
+      select: ideaLinkSelect
+    });
+
+    res.json(link);
+  } catch (error) {
+    console.error('Error updating idea link:', error);
+    res.status(500).json({ error: 'Failed to update idea link' });
+  }
+});
+
+// DELETE /api/ideas/:id/links/:linkId - Remove a link
+router.delete('/:id/links/:linkId', async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+
+    const existingLink = await prisma.ideaLink.findFirst({
+      where: {
+        id: linkId,
+        userId: req.user.id,
+        OR: [{ fromId: id }, { toId: id }]
+      }
+    });
+
+    if (!existingLink) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    await prisma.ideaLink.delete({
+      where: { id: linkId }
+    });
+
+    res.json({ message: 'Link deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting idea link:', error);
+    res.status(500).json({ error: 'Failed to delete idea link' });
   }
 });
 
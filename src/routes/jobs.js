@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import express from 'express';
+import { runJob, JOB_NAMES } from '../lib/jobs.js';
+
+const router = express.Router();
+
+// Job triggers for schedulers, authenticated by a shared secret instead of a user session.
+// Vercel Cron sends `Authorization: Bearer $CRON_SECRET` with every call when the variable is set;
+// without it the routes are disabled.
+
+const hasCronSecret = (req) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return false;
+  }
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// GET /api/jobs/:name - Run a background job once (Vercel Cron calls its paths with GET)
+// Response: { job, skipped: true while another run is going, summary }
+router.get('/:name', async (req, res) => {
+  if (!hasCronSecret(req)) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+
+  const { name } = req.params;
+  if (!JOB_NAMES.includes(name)) {
+    return res.status(404).json({ error: `Unknown job. Use ${JOB_NAMES.join(', ')}.` });
+  }
+
+  try {
+    const summary = await runJob(name);
+    res.json({ job: name, skipped: summary === null, summary });
+  } catch (error) {
+    console.error(`Error running job ${name}:`, error);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { parseListQuery, findPage, DELIVERY_LIST_QUERY } from '../lib/listQuery.js';
+import { getVapidPublicKey } from '../lib/notificationChannels.js';
+import {
+  getChannelPreferences,
+  validateChannelPreferences,
+  updateChannelPreferences,
+  validateSubscription,
+  registerSubscription,
+  sendTestNotification
+} from '../lib/notifications.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+//
+// Pending nudges are delivered by the notifications job (see lib/notifications.js).
+
+// Devices are Expo tokens for the React Native client (X-Client-Type: react-native) and
+// Web Push subscriptions otherwise, unless the body names the channel
+const deviceChannel = (req) => {
+  if (req.body.channel !== undefined) {
+    return req.body.channel;
+  }
+  return req.get('X-Client-Type')?.toLowerCase() === 'react-native' ? 'expo' : 'webpush';
+};
+
+// GET /api/notifications/vapid-public-key - Key for PushManager.subscribe() in the browser
+router.get('/vapid-public-key', (req, res) => {
+  const publicKey = getVapidPublicKey();
+  if (!publicKey) {
+    return res.status(503).json({ error: 'Web Push is not configured' });
+  }
+
+  res.json({ publicKey });
+});
+
+// GET /api/notifications/preferences - Which channels nudges are delivered on
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json(await getChannelPreferences(req.user.id));
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// PUT /api/notifications/preferences - Enable or disable channels
+// Body: { webpush?: boolean, expo?: boolean, email?: boolean }
+router.put('/preferences', async (req, res) => {
+  try {
+    const { changes, error } = validateChannelPreferences(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await updateChannelPreferences(req.user.id, changes));
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// GET /api/notifications/subscriptions - The user's registered devices
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await prisma.pushSubscription.findMany({
+      where: { userId: req.user.id },
+      select: { id: true, channel: true, endpoint: true, userAgent: true, lastUsedAt: true, createdAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Error fetching push subscriptions:', error);
+    res.status(500).json({ error: 'Failed to fetch push subscriptions' });
+  }
+});
+
+// POST /api/notifications/subscriptions - Register a device
+// Body (Web Push): { subscription: PushSubscription.toJSON() }
+// Body (Expo, X-Client-Type: react-native): { token: 'ExponentPushToken[...]' }
+// An explicit { channel: 'webpush' | 'expo' } overrides the X-Client-Type header.
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const channel = deviceChannel(req);
+    if (!['webpush', 'expo'].includes(channel)) {
+      return res.status(400).json({ error: 'channel must be webpush or expo' });
+    }
+
+    const device = validateSubscription(channel, req.body);
+    if (device.error) {
+      return res.status(400).json({ error: device.error });
+    }
+
+    const subscription = await registerSubscription(req.user.id, {
+      channel,
+      ...device,
+      userAgent: req.get('User-Agent') || null
+    });
+
+    res.status(201).json({
+      id: subscription.id,
+      channel: subscription.channel,
+      endpoint: subscription.endpoint,
+      createdAt: subscription.createdAt
+    });
+  } catch (error) {
+    console.error('Error registering push subscription:', error);
+    res.status(500).json({ error: 'Failed to register push subscription' });
+  }
+});
+
+// DELETE /api/notifications/subscriptions/:id - Unregister a device
+router.delete('/subscriptions/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.pushSubscription.deleteMany({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({ message: 'Subscription removed successfully' });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
+// GET /api/notifications/deliveries - Delivery log, newest first
+// Supports ?status=, ?channel=, ?nudgeId=, sorting and cursor pagination (see lib/listQuery.js)
+router.get('/deliveries', async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, DELIVERY_LIST_QUERY);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    listQuery.where.userId = req.user.id;
+
+    res.json(await findPage(prisma.notificationDelivery, listQuery, res));
+  } catch (error) {
+    console.error('Error fetching deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// POST /api/notifications/test - Send a test notification on every enabled channel now
+// Response: the deliveries after their first attempt (failed ones are retried by the job)
+router.post('/test', async (req, res) => {
+  try {
+    const deliveries = await sendTestNotification(req.user.id);
+    if (deliveries.length === 0) {
+      return res.status(409).json({ error: 'No enabled channel has a device or address to deliver to' });
+    }
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+export default router;
@@ -0,0 +1,142 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { parseListQuery, findPage, NUDGE_LIST_QUERY } from '../lib/listQuery.js';
+import { getRules, validateRules, updateRules, evaluateNudges, cancelNudgeDeliveries } from '../lib/nudges.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+//
+// Nudges are created by the nudges job from the user's rules (see lib/nudges.js).
+// Dismissing or snoozing a nudge cancels its notifications that haven't gone out yet.
+
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+const DEFAULT_SNOOZE_MINUTES = 60;
+
+// GET /api/nudges - List nudges, by default the pending and sent ones
+// Supports ?status=, ?rule=, sorting and cursor pagination (see lib/listQuery.js)
+router.get('/', async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, NUDGE_LIST_QUERY);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    listQuery.where.userId = req.user.id;
+    listQuery.where.status ||= { in: ['PENDING', 'SENT'] };
+
+    res.json(await findPage(prisma.nudge, listQuery, res));
+  } catch (error) {
+    console.error('Error fetching nudges:', error);
+    res.status(500).json({ error: 'Failed to fetch nudges' });
+  }
+});
+
+// GET /api/nudges/rules - The user's rules, defaults included
+router.get('/rules', async (req, res) => {
+  try {
+    res.json(await getRules(req.user.id));
+  } catch (error) {
+    console.error('Error fetching nudge rules:', error);
+    res.status(500).json({ error: 'Failed to fetch nudge rules' });
+  }
+});
+
+// PUT /api/nudges/rules - Change rules; omitted settings are kept, null resets a rule
+// Body: { overdue?: { enabled, maxAgeDays }, staleGoal?: { enabled, days }, unexpandedIdea?: { enabled, days, maxAgeDays },
+//   streakAtRisk?: { enabled, minStreak, after: 'HH:MM' } }
+router.put('/rules', async (req, res) => {
+  try {
+    const { changes, error } = validateRules(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await updateRules(req.user.id, changes));
+  } catch (error) {
+    console.error('Error updating nudge rules:', error);
+    res.status(500).json({ error: 'Failed to update nudge rules' });
+  }
+});
+
+// POST /api/nudges/evaluate - Evaluate the rules now instead of waiting for the job
+router.post('/evaluate', async (req, res) => {
+  try {
+    res.json(await evaluateNudges(req.user.id));
+  } catch (error) {
+    console.error('Error evaluating nudges:', error);
+    res.status(500).json({ error: 'Failed to evaluate nudges' });
+  }
+});
+
+const findNudge = (req) => prisma.nudge.findFirst({
+  where: { id: req.params.id, userId: req.user.id }
+});
+
+// POST /api/nudges/:id/dismiss - Dismiss a nudge; the rule won't nudge about the same thing again
+router.post('/:id/dismiss', async (req, res) => {
+  try {
+    const nudge = await findNudge(req);
+    if (!nudge) {
+      return res.status(404).json({ error: 'Nudge not found' });
+    }
+
+    const dismissed = await prisma.nudge.update({
+      where: { id: nudge.id },
+      data: { status: 'DISMISSED', dismissedAt: new Date(), snoozedUntil: null }
+    });
+    await cancelNudgeDeliveries({ id: nudge.id });
+
+    res.json(dismissed);
+  } catch (error) {
+    console.error('Error dismissing nudge:', error);
+    res.status(500).json({ error: 'Failed to dismiss nudge' });
+  }
+});
+
+// POST /api/nudges/:id/snooze - Hide a nudge until later
+// Body: { minutes? (default 60, at most a week) } or { until: ISO date }
+router.post('/:id/snooze', async (req, res) => {
+  try {
+    const { minutes, until } = req.body;
+
+    let snoozedUntil;
+    if (until !== undefined) {
+      snoozedUntil = new Date(until);
+      if (isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+        return res.status(400).json({ error: 'until must be a date in the future' });
+      }
+    } else {
+      const duration = minutes ?? DEFAULT_SNOOZE_MINUTES;
+      if (!Number.isInteger(duration) || duration < 1 || duration > MAX_SNOOZE_MINUTES) {
+        return res.status(400).json({ error: `minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}` });
+      }
+      snoozedUntil = new Date(Date.now() + duration * 60 * 1000);
+    }
+    if (snoozedUntil - Date.now() > MAX_SNOOZE_MINUTES * 60 * 1000) {
+      return res.status(400).json({ error: 'A nudge can be snoozed for at most a week' });
+    }
+
+    const nudge = await findNudge(req);
+    if (!nudge) {
+      return res.status(404).json({ error: 'Nudge not found' });
+    }
+    if (nudge.status === 'DISMISSED') {
+      return res.status(409).json({ error: 'Nudge is already dismissed' });
+    }
+
+    const snoozed = await prisma.nudge.update({
+      where: { id: nudge.id },
+      data: { status: 'SNOOZED', snoozedUntil }
+    });
+    await cancelNudgeDeliveries({ id: nudge.id });
+
+    res.json(snoozed);
+  } catch (error) {
+    console.error('Error snoozing nudge:', error);
+    res.status(500).json({ error: 'Failed to snooze nudge' });
+  }
+});
+
+export default router;
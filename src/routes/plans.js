@@ -0,0 +1,288 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { isValidDateString, addDays } from '../lib/timezone.js';
+import {
+  planInclude,
+  resolveTimeZone,
+  resolveDayStart,
+  scheduleToBlocks,
+  savePlan,
+  carryOverPlan
+} from '../lib/plans.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+
+const BLOCK_STATUSES = ['PLANNED', 'DONE', 'SKIPPED', 'CARRIED_OVER'];
+
+// Validate explicit blocks from a request body - returns { blocks } or { error }
+const parseBlocks = (blocks) => {
+  if (!Array.isArray(blocks)) {
+    return { error: 'blocks must be an array' };
+  }
+
+  const parsed = [];
+  for (const block of blocks) {
+    const startTime = new Date(block.startTime);
+    const endTime = new Date(block.endTime);
+
+    if (!block.title && !block.taskId) {
+      return { error: 'Each block needs a title or a taskId' };
+    }
+    if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || endTime <= startTime) {
+      return { error: 'Each block needs a valid startTime before its endTime' };
+    }
+
+    parsed.push({
+      taskId: block.taskId || null,
+      title: block.title || 'Untitled block',
+      startTime,
+      endTime,
+      reason: block.reason
+    });
+  }
+
+  return { blocks: parsed };
+};
+
+// GET /api/plans - List saved plans, optionally within ?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const plans = await prisma.plan.findMany({
+      where: {
+        userId: req.user.id,
+        ...((from || to) && {
+          date: {
+            ...(from && { gte: from }),
+            ...(to && { lte: to })
+          }
+        })
+      },
+      include: planInclude,
+      orderBy: { date: 'desc' }
+    });
+
+    res.json(plans);
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({ error: 'Failed to fetch plans' });
+  }
+});
+
+// GET /api/plans/:date - Get the plan for a day
+router.get('/:date', async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const plan = await prisma.plan.findUnique({
+      where: { userId_date: { userId: req.user.id, date } },
+      include: planInclude
+    });
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    console.error('Error fetching plan:', error);
+    res.status(500).json({ error: 'Failed to fetch plan' });
+  }
+});
+
+// PUT /api/plans/:date - Save (or replace) the plan for a day
+// Accepts either an optimize-schedule result in `schedule` (relative minutes from `dayStart`)
+// or explicit `blocks` with absolute startTime/endTime.
+router.put('/:date', async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { schedule, blocks, timezone, dayStart, recommendations } = req.body;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    if (!schedule && !blocks) {
+      return res.status(400).json({ error: 'Either schedule or blocks is required' });
+    }
+
+    const startMinutes = resolveDayStart(dayStart);
+    if (startMinutes === undefined) {
+      return res.status(400).json({ error: 'dayStart must be a time in HH:MM format' });
+    }
+
+    const planTimeZone = await resolveTimeZone(req.user.id, timezone);
+
+    let blockData;
+    if (blocks) {
+      const parsed = parseBlocks(blocks);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      blockData = parsed.blocks;
+    } else {
+      blockData = scheduleToBlocks(schedule, date, planTimeZone, startMinutes);
+    }
+
+    const plan = await savePlan({
+      userId: req.user.id,
+      date,
+      timezone: planTimeZone,
+      blocks: blockData,
+      source: schedule ? 'ai' : 'manual',
+      recommendations: recommendations ?? schedule?.recommendations
+    });
+
+    res.json(plan);
+  } catch (error) {
+    console.error('Error saving plan:', error);
+    res.status(500).json({ error: 'Failed to save plan' });
+  }
+});
+
+// PATCH /api/plans/:date/blocks/:id - Edit a single time block
+router.patch('/:date/blocks/:id', async (req, res) => {
+  try {
+    const { date, id } = req.params;
+    const { title, startTime, endTime, status, taskId } = req.body;
+
+    const block = await prisma.timeBlock.findFirst({
+      where: {
+        id,
+        plan: {
+          userId: req.user.id,
+          date
+        }
+      }
+    });
+
+    if (!block) {
+      return res.status(404).json({ error: 'Time block not found' });
+    }
+
+    if (status !== undefined && !BLOCK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of ${BLOCK_STATUSES.join(', ')}` });
+    }
+
+    const newStart = startTime !== undefined ? new Date(startTime) : block.startTime;
+    const newEnd = endTime !== undefined ? new Date(endTime) : block.endTime;
+    if (isNaN(newStart.getTime()) || isNaN(newEnd.getTime()) || newEnd <= newStart) {
+      return res.status(400).json({ error: 'startTime must be a valid date before endTime' });
+    }
+
+    if (taskId) {
+      const task = await prisma.task.findFirst({
+        where: {
+          id: taskId,
+          userId: req.user.id
+        }
+      });
+
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+    }
+
+    const updatedBlock = await prisma.timeBlock.update({
+      where: { id },
+      data: {
+        ...(title !== undefined && { title }),
+        ...(startTime !== undefined && { startTime: newStart }),
+        ...(endTime !== undefined && { endTime: newEnd }),
+        ...(status !== undefined && { status }),
+        ...(taskId !== undefined && { taskId: taskId || null })
+      },
+      include: {
+        task: {
+          select: {
+            id: true,
+            title: true,
+            completed: true,
+            priority: true
+          }
+        }
+      }
+    });
+
+    res.json(updatedBlock);
+  } catch (error) {
+    console.error('Error updating time block:', error);
+    res.status(500).json({ error: 'Failed to update time block' });
+  }
+});
+
+// POST /api/plans/:date/carry-over - Move unfinished blocks to another day (default: the next day)
+router.post('/:date/carry-over', async (req, res) => {
+  try {
+    const { date } = req.params;
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+
+    const toDate = req.body.toDate || addDays(date, 1);
+    if (!isValidDateString(toDate)) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+
+    if (toDate <= date) {
+      return res.status(400).json({ error: 'Blocks can only be carried over to a later day' });
+    }
+
+    const plan = await prisma.plan.findUnique({
+      where: { userId_date: { userId: req.user.id, date } },
+      include: planInclude
+    });
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const result = await carryOverPlan(plan, toDate);
+
+    res.json({
+      message: `Carried over ${result.carried} block(s) to ${toDate}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error carrying over plan:', error);
+    res.status(500).json({ error: 'Failed to carry over plan' });
+  }
+});
+
+// DELETE /api/plans/:date - Delete the plan for a day
+router.delete('/:date', async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    const plan = await prisma.plan.findUnique({
+      where: { userId_date: { userId: req.user.id, date } }
+    });
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    await prisma.plan.delete({
+      where: { id: plan.id }
+    });
+
+    res.json({ message: 'Plan deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting plan:', error);
+    res.status(500).json({ error: 'Failed to delete plan' });
+  }
+});
+
+export default router;
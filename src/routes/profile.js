@@ -0,0 +1,84 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import {
+  getProfile,
+  validatePreferences,
+  updatePreferences,
+  learnPatterns,
+  resetPatterns,
+  profileSummary
+} from '../lib/userProfile.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+//
+// The profile personalizes the AI features: preferences are set here, patterns are learned
+// from completed tasks by the learn-patterns job (see lib/userProfile.js).
+
+// GET /api/profile - Preferences, learned patterns and the summary the AI prompts include
+router.get('/', async (req, res) => {
+  try {
+    const profile = await getProfile(req.user.id);
+
+    res.json({ ...profile, summary: profileSummary(profile) });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// PUT /api/profile/preferences - Change preferences; omitted ones are kept, null removes one
+// Body: { timezone?, workingHours?: { start, end }, energyPeaks?: [morning|afternoon|evening|night],
+//   taskLength?: { min, max }, tone?: encouraging|direct|neutral|playful, quietHours?: { start, end } }
+router.put('/preferences', async (req, res) => {
+  try {
+    const { changes, error } = validatePreferences(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await updatePreferences(req.user.id, changes));
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+// DELETE /api/profile/preferences - Remove all preferences
+router.delete('/preferences', async (req, res) => {
+  try {
+    await prisma.userProfile.updateMany({
+      where: { userId: req.user.id },
+      data: { preferences: {} }
+    });
+
+    res.json({ message: 'Preferences reset successfully' });
+  } catch (error) {
+    console.error('Error resetting preferences:', error);
+    res.status(500).json({ error: 'Failed to reset preferences' });
+  }
+});
+
+// POST /api/profile/patterns/refresh - Learn patterns now instead of waiting for the job
+router.post('/patterns/refresh', async (req, res) => {
+  try {
+    res.json(await learnPatterns(req.user.id));
+  } catch (error) {
+    console.error('Error learning patterns:', error);
+    res.status(500).json({ error: 'Failed to learn patterns' });
+  }
+});
+
+// DELETE /api/profile/patterns - Forget what was learned; only later completions are learned from
+router.delete('/patterns', async (req, res) => {
+  try {
+    res.json(await resetPatterns(req.user.id));
+  } catch (error) {
+    console.error('Error resetting patterns:', error);
+    res.status(500).json({ error: 'Failed to reset patterns' });
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { acceptProposal } from '../lib/goalProposals.js';
+import { validateStructured } from '../lib/structuredOutput.js';
+import { GOAL_SCHEMA } from '../lib/aiSchemas.js';
+import { checkEntitlement, entitlementLimitResponse } from '../lib/entitlements.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+//
+// Proposals are goals with tasks generated by /api/ai/transform-thought-streaming in draft mode.
+// Nothing is created until a proposal is accepted.
+
+const PROPOSAL_STATUSES = ['GENERATING', 'PENDING', 'ACCEPTED', 'REJECTED'];
+
+const PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+const findProposal = (userId, id) => prisma.goalProposal.findFirst({
+  where: { id, userId }
+});
+
+const notPendingResponse = (res, proposal) => res.status(409).json({
+  error: `Proposal is ${proposal.status.toLowerCase()}`,
+  status: proposal.status
+});
+
+// GET /api/proposals - List proposals, newest first
+// Query: status (default PENDING)
+router.get('/', async (req, res) => {
+  try {
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+    if (!PROPOSAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${PROPOSAL_STATUSES.join(', ')}` });
+    }
+
+    const proposals = await prisma.goalProposal.findMany({
+      where: { userId: req.user.id, status },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(proposals);
+  } catch (error) {
+    console.error('Error fetching proposals:', error);
+    res.status(500).json({ error: 'Failed to fetch proposals' });
+  }
+});
+
+// GET /api/proposals/:id - Get a proposal
+router.get('/:id', async (req, res) => {
+  try {
+    const proposal = await findProposal(req.user.id, req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    res.json(proposal);
+  } catch (error) {
+    console.error('Error fetching proposal:', error);
+    res.status(500).json({ error: 'Failed to fetch proposal' });
+  }
+});
+
+// POST /api/proposals/:id/accept - Create the proposed goal with all or some of its tasks
+// Body: { tasks?: [index] (default all), goal?: { title, description, priority, category } }
+// goal fields replace the proposed ones, e.g. to rename the goal before it is created.
+// Response: { proposal, goal, tasks }
+router.post('/:id/accept', async (req, res) => {
+  try {
+    const { tasks: taskIndexes, goal: changes } = req.body;
+
+    const proposal = await findProposal(req.user.id, req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    if (proposal.status !== 'PENDING') {
+      return notPendingResponse(res, proposal);
+    }
+
+    if (taskIndexes !== undefined) {
+      const valid = Array.isArray(taskIndexes) && taskIndexes.every(index => (
+        Number.isInteger(index) && index >= 0 && index < proposal.tasks.length
+      ));
+      if (!valid) {
+        return res.status(400).json({
+          error: `tasks must be a list of task indexes between 0 and ${proposal.tasks.length - 1}`
+        });
+      }
+    }
+
+    if (changes !== undefined && (typeof changes !== 'object' || changes === null || Array.isArray(changes))) {
+      return res.status(400).json({ error: 'goal must be an object' });
+    }
+
+    // The schema falls back to MEDIUM for unknown priorities, which suits model output but not user input
+    if (changes?.priority !== undefined && !PRIORITIES.includes(changes.priority)) {
+      return res.status(400).json({ error: `goal.priority must be one of ${PRIORITIES.join(', ')}` });
+    }
+
+    const { data: goal, errors } = validateStructured(GOAL_SCHEMA, { ...proposal.goal, ...changes });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid goal', details: errors });
+    }
+
+    const exceeded = await checkEntitlement(req.user.id, 'maxGoals');
+    if (exceeded) {
+      return entitlementLimitResponse(res, exceeded);
+    }
+
+    const created = await acceptProposal(req.user.id, proposal, {
+      taskIndexes: taskIndexes && [...new Set(taskIndexes)].sort((a, b) => a - b),
+      goal
+    });
+    if (!created) {
+      return notPendingResponse(res, await findProposal(req.user.id, proposal.id));
+    }
+
+    res.status(201).json({
+      proposal: await findProposal(req.user.id, proposal.id),
+      goal: created.goal,
+      tasks: created.tasks
+    });
+  } catch (error) {
+    console.error('Error accepting proposal:', error);
+    res.status(500).json({ error: 'Failed to accept proposal' });
+  }
+});
+
+// POST /api/proposals/:id/reject - Discard a pending proposal
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const proposal = await findProposal(req.user.id, req.params.id);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    const { count } = await prisma.goalProposal.updateMany({
+      where: { id: proposal.id, status: 'PENDING' },
+      data: { status: 'REJECTED' }
+    });
+    if (count === 0) {
+      return notPendingResponse(res, await findProposal(req.user.id, proposal.id));
+    }
+
+    res.json(await findProposal(req.user.id, proposal.id));
+  } catch (error) {
+    console.error('Error rejecting proposal:', error);
+    res.status(500).json({ error: 'Failed to reject proposal' });
+  }
+});
+
+export default router;
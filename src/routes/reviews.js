@@ -0,0 +1,113 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import {
+  resolveReviewWeek,
+  generateReview,
+  validateReviewActions,
+  applyReviewActions
+} from '../lib/weeklyReview.js';
+import { StructuredOutputError } from '../lib/structuredOutput.js';
+import { aiQuotaMiddleware } from '../middleware/aiQuota.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+//
+// Weekly reviews cover Monday to Sunday in the user's timezone. The weekly-reviews job
+// generates last week's review for every user; POST /weekly generates one on demand.
+
+// AI quota only applies when the review is narrated
+const aiQuotaWhenNarrated = (req, res, next) => (
+  req.body?.narrate === true ? aiQuotaMiddleware(req, res, next) : next()
+);
+
+// POST /api/reviews/weekly - Generate (or refresh) the review of a week
+// Body: { week?: any date in the week (YYYY-MM-DD, default this week), timezone?, narrate?: boolean }
+// Response: WeeklyReview { weekStart, timezone, digest: { week, completedTasks, slippedTasks, goals,
+//   newIdeas, stats }, narrative: { headline, summary, wins, lessons, focusNextWeek } | null, actions }
+router.post('/weekly', aiQuotaWhenNarrated, async (req, res) => {
+  try {
+    const { week, timezone, narrate = false } = req.body;
+    if (typeof narrate !== 'boolean') {
+      return res.status(400).json({ error: 'narrate must be a boolean' });
+    }
+
+    const resolved = await resolveReviewWeek(req.user.id, { week, timezone });
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+
+    res.json(await generateReview(req.user.id, resolved, { narrate }));
+  } catch (error) {
+    console.error('Error generating weekly review:', error);
+
+    if (error instanceof StructuredOutputError) {
+      return res.status(502).json({ error: 'Failed to parse AI review', details: error.errors });
+    }
+
+    res.status(500).json({ error: 'Failed to generate weekly review' });
+  }
+});
+
+// GET /api/reviews - The user's reviews, newest week first
+router.get('/', async (req, res) => {
+  try {
+    const reviews = await prisma.weeklyReview.findMany({
+      where: { userId: req.user.id },
+      orderBy: { weekStart: 'desc' }
+    });
+
+    res.json(reviews);
+  } catch (error) {
+    console.error('Error fetching weekly reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch weekly reviews' });
+  }
+});
+
+// GET /api/reviews/:id - Get a single review
+router.get('/:id', async (req, res) => {
+  try {
+    const review = await prisma.weeklyReview.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json(review);
+  } catch (error) {
+    console.error('Error fetching weekly review:', error);
+    res.status(500).json({ error: 'Failed to fetch weekly review' });
+  }
+});
+
+// POST /api/reviews/:id/actions - Carry over, reschedule or drop open tasks in bulk
+// Body: { actions: [{ taskId, action: carry_over|reschedule|drop, dueDate? (required for reschedule) }] }
+// carry_over moves a task to the Monday after the review's week, keeping its time of day.
+// Response: { review, results: [{ taskId, action, applied, dueDate?, error? }] }
+router.post('/:id/actions', async (req, res) => {
+  try {
+    const { actions } = req.body;
+    const error = validateReviewActions(actions);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const review = await prisma.weeklyReview.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json(await applyReviewActions(req.user.id, review, actions));
+  } catch (error) {
+    console.error('Error applying review actions:', error);
+    res.status(500).json({ error: 'Failed to apply review actions' });
+  }
+});
+
+export default router;
@@ -0,0 +1,69 @@
+import express from 'express';
+import { searchRecords, SEARCH_TYPES } from '../lib/semanticSearch.js';
+import { getEmbeddingsProvider } from '../lib/embeddings.js';
+import { aiQuotaMiddleware } from '../middleware/aiQuota.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+
+const MAX_LIMIT = 50;
+
+// GET /api/search - Semantic search across tasks, goals and ideas
+// Query: q (required), types=task,goal,idea, limit (default 20, max 50), minScore (0-1)
+// Response: { query, provider, model, results: [{ type, score, id, title, ... }] }
+// Not available once the AI quota is used up. Its embedding calls are logged in AiUsage but, like
+// all embedding calls, don't count as AI calls.
+router.get('/', aiQuotaMiddleware, async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+      : SEARCH_TYPES;
+    const invalid = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (invalid.length > 0 || types.length === 0) {
+      return res.status(400).json({ error: `types must be one of ${SEARCH_TYPES.join(', ')}` });
+    }
+
+    let limit = 20;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive number' });
+      }
+      limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    let minScore;
+    if (req.query.minScore !== undefined) {
+      minScore = parseFloat(req.query.minScore);
+      if (isNaN(minScore) || minScore < 0 || minScore > 1) {
+        return res.status(400).json({ error: 'minScore must be a number between 0 and 1' });
+      }
+    }
+
+    const results = await searchRecords(req.user.id, query, {
+      types: [...new Set(types)],
+      limit,
+      ...(minScore !== undefined && { minScore })
+    });
+
+    const provider = getEmbeddingsProvider();
+    res.json({
+      query,
+      provider: provider.name,
+      model: provider.model,
+      results
+    });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+export default router;
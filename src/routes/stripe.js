@@ -1,299 +1,273 @@
-// import express from 'express';
-// import Stripe from 'stripe';
-// import { PrismaClient } from '@prisma/client';
-// // import { authMiddleware, getUserFromAuth } from '../middleware/auth.js';
-
-// const router = express.Router();
-// const prisma = new PrismaClient();
-
-// const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-//   apiVersion: '2023-10-16'
-// });
-
-// // POST /api/stripe/create-checkout-session - Create a Stripe checkout session
-// router.post('/create-checkout-session', authMiddleware, getUserFromAuth, async (req, res) => {
-//   try {
-//     const { priceId, successUrl, cancelUrl } = req.body;
-//     const user = req.user;
-
-//     if (!priceId) {
-//       return res.status(400).json({ error: 'Price ID is required' });
-//     }
-
-//     // Check if user already has a Stripe customer
-//     let customer;
-//     const existingSubscription = await prisma.subscription.findUnique({
-//       where: { userId: user.id }
-//     });
-
-//     if (existingSubscription?.stripeCustomerId) {
-//       customer = await stripe.customers.retrieve(existingSubscription.stripeCustomerId);
-//     } else {
-//       // Create new Stripe customer
-//       customer = await stripe.customers.create({
-//         email: user.email,
-//         name: user.name,
-//         metadata: {
-//           userId: user.id,
-//           clerkId: user.clerkId
-//         }
-//       });
-//     }
-
-//     // Create checkout session
-//     const session = await stripe.checkout.sessions.create({
-//       customer: customer.id,
-//       payment_method_types: ['card'],
-//       line_items: [
-//         {
-//           price: priceId,
-//           quantity: 1
-//         }
-//       ],
-//       mode: 'subscription',
-//       success_url: successUrl || `${process.env.VERCEL_URL}/subscription/success?session_id={CHECKOUT_SESSION_ID}`,
-//       cancel_url: cancelUrl || `${process.env.VERCEL_URL}/subscription/cancel`,
-//       metadata: {
-//         userId: user.id,
-//         priceId: priceId
-//       }
-//     });
-
-//     // Create or update subscription record
-//     await prisma.subscription.upsert({
-//       where: { userId: user.id },
-//       update: {
-//         stripeCustomerId: customer.id,
-//         stripePriceId: priceId
-//       },
-//       create: {
-//         userId: user.id,
-//         stripeCustomerId: customer.id,
-//         stripePriceId: priceId,
-//         status: 'UNPAID'
-//       }
-//     });
-
-//     res.json({
-//       sessionId: session.id,
-//       sessionUrl: session.url
-//     });
-
-//   } catch (error) {
-//     console.error('Error creating checkout session:', error);
-//     res.status(500).json({ error: 'Failed to create checkout session' });
-//   }
-// });
-
-// // POST /api/stripe/create-portal-session - Create customer portal session
-// router.post('/create-portal-session', authMiddleware, getUserFromAuth, async (req, res) => {
-//   try {
-//     const user = req.user;
-//     const { returnUrl } = req.body;
-
-//     const subscription = await prisma.subscription.findUnique({
-//       where: { userId: user.id }
-//     });
-
-//     if (!subscription?.stripeCustomerId) {
-//       return res.status(404).json({ error: 'No subscription found' });
-//     }
-
-//     const session = await stripe.billingPortal.sessions.create({
-//       customer: subscription.stripeCustomerId,
-//       return_url: returnUrl || `${process.env.VERCEL_URL}/subscription`
-//     });
-
-//     res.json({
-//       sessionUrl: session.url
-//     });
-
-//   } catch (error) {
-//     console.error('Error creating portal session:', error);
-//     res.status(500).json({ error: 'Failed to create portal session' });
-//   }
-// });
-
-// // GET /api/stripe/subscription-status - Get user's subscription status
-// router.get('/subscription-status', authMiddleware, getUserFromAuth, async (req, res) => {
-//   try {
-//     const user = req.user;
-
-//     const subscription = await prisma.subscription.findUnique({
-//       where: { userId: user.id }
-//     });
-
-//     if (!subscription) {
-//       return res.json({
-//         hasSubscription: false,
-//         status: null,
-//         currentPeriodEnd: null,
-//         priceId: null
-//       });
-//     }
-
-//     // Get latest status from Stripe if we have a subscription ID
-//     let stripeSubscription = null;
-//     if (subscription.stripeSubscriptionId) {
-//       try {
-//         stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
-//       } catch (stripeError) {
-//         console.warn('Could not retrieve Stripe subscription:', stripeError.message);
-//       }
-//     }
-
-//     res.json({
-//       hasSubscription: true,
-//       status: stripeSubscription?.status || subscription.status,
-//       currentPeriodEnd: stripeSubscription?.current_period_end 
-//         ? new Date(stripeSubscription.current_period_end * 1000) 
-//         : subscription.currentPeriodEnd,
-//       priceId: subscription.stripePriceId,
-//       cancelAtPeriodEnd: stripeSubscription?.cancel_at_period_end || false
-//     });
-
-//   } catch (error) {
-//     console.error('Error getting subscription status:', error);
-//     res.status(500).json({ error: 'Failed to get subscription status' });
-//   }
-// });
-
-// // POST /api/stripe/webhooks - Handle Stripe webhooks
-// router.post('/webhooks', express.raw({ type: 'application/json' }), async (req, res) => {
-//   const sig = req.headers['stripe-signature'];
-//   let event;
-
-//   try {
-//     event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-//   } catch (err) {
-//     console.error('Webhook signature verification failed:', err.message);
-//     return res.status(400).send(`Webhook Error: ${err.message}`);
-//   }
-
-//   try {
-//     switch (event.type) {
-//       case 'checkout.session.completed':
-//         await handleCheckoutSessionCompleted(event.data.object);
-//         break;
-        
-//       case 'customer.subscription.created':
-//       case 'customer.subscription.updated':
-//         await handleSubscriptionUpdate(event.data.object);
-//         break;
-        
-//       case 'customer.subscription.deleted':
-//         await handleSubscriptionDeleted(event.data.object);
-//         break;
-        
-//       case 'invoice.payment_succeeded':
-//         await handlePaymentSucceeded(event.data.object);
-//         break;
-        
-//       case 'invoice.payment_failed':
-//         await handlePaymentFailed(event.data.object);
-//         break;
-        
-//       default:
-//         console.log(`Unhandled event type: ${event.type}`);
-//     }
-
-//     res.json({ received: true });
-//   } catch (error) {
-//     console.error('Error processing webhook:', error);
-//     res.status(500).json({ error: 'Webhook processing failed' });
-//   }
-// });
-
-// // Helper functions for webhook handling
-// async function handleCheckoutSessionCompleted(session) {
-//   const userId = session.metadata?.userId;
-//   if (!userId) return;
-
-//   await prisma.subscription.update({
-//     where: { userId },
-//     data: {
-//       stripeSubscriptionId: session.subscription,
-//       status: 'ACTIVE',
-//       currentPeriodEnd: session.subscription 
-//         ? new Date((await stripe.subscriptions.retrieve(session.subscription)).current_period_end * 1000)
-//         : null
-//     }
-//   });
-// }
-
-// async function handleSubscriptionUpdate(subscription) {
-//   const customer = await stripe.customers.retrieve(subscription.customer);
-//   const userId = customer.metadata?.userId;
-  
-//   if (!userId) return;
-
-//   const status = mapStripeStatusToDb(subscription.status);
-  
-//   await prisma.subscription.update({
-//     where: { userId },
-//     data: {
-//       stripeSubscriptionId: subscription.id,
-//       status,
-//       currentPeriodEnd: new Date(subscription.current_period_end * 1000)
-//     }
-//   });
-// }
-
-// async function handleSubscriptionDeleted(subscription) {
-//   const customer = await stripe.customers.retrieve(subscription.customer);
-//   const userId = customer.metadata?.userId;
-  
-//   if (!userId) return;
-
-//   await prisma.subscription.update({
-//     where: { userId },
-//     data: {
-//       status: 'CANCELLED',
-//       stripeSubscriptionId: null
-//     }
-//   });
-// }
-
-// async function handlePaymentSucceeded(invoice) {
-//   const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-//   const customer = await stripe.customers.retrieve(subscription.customer);
-//   const userId = customer.metadata?.userId;
-  
-//   if (!userId) return;
-
-//   await prisma.subscription.update({
-//     where: { userId },
-//     data: {
-//       status: 'ACTIVE',
-//       currentPeriodEnd: new Date(subscription.current_period_end * 1000)
-//     }
-//   });
-// }
-
-// async function handlePaymentFailed(invoice) {
-//   const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-//   const customer = await stripe.customers.retrieve(subscription.customer);
-//   const userId = customer.metadata?.userId;
-  
-//   if (!userId) return;
-
-//   await prisma.subscription.update({
-//     where: { userId },
-//     data: {
-//       status: 'PAST_DUE'
-//     }
-//   });
-// }
-
-// function mapStripeStatusToDb(stripeStatus) {
-//   const statusMap = {
-//     'active': 'ACTIVE',
-//     'canceled': 'CANCELLED',
-//     'past_due': 'PAST_DUE',
-//     'unpaid': 'UNPAID'
-//   };
-  
-//   return statusMap[stripeStatus] || 'UNPAID';
-// }
-
-// export default router; 
\ No newline at end of file
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { getStripe, constructWebhookEvent, getPlanPrices } from '../lib/stripe.js';
+import { processWebhookEvent, replayWebhookEvent, syncSubscription } from '../lib/billing.js';
+import { getEntitlements, planForSubscription, PLAN_LIMITS } from '../lib/entitlements.js';
+
+const router = express.Router();
+
+// Mounted before express.json() in server.js: the webhook needs the raw body to verify the
+// signature. Every other route parses JSON itself and uses authMiddleware like the auth routes.
+
+const appUrl = () => process.env.APP_URL || process.env.VERCEL_URL || 'http://localhost:3000';
+
+// POST /api/stripe/webhooks - Handle Stripe webhooks (signature verified)
+// Redelivered events are acknowledged with duplicate: true and not applied again; a failure
+// answers 500 so Stripe retries, and the event stays in the log for an admin replay.
+router.post('/webhooks', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
+  try {
+    event = constructWebhookEvent(req.body, req.headers['stripe-signature']);
+  } catch (err) {
+    console.error('Webhook signature verification failed:', err.message);
+    return res.status(400).json({ error: `Webhook Error: ${err.message}` });
+  }
+
+  try {
+    const { status, duplicate } = await processWebhookEvent(event);
+    res.json({ received: true, status, duplicate });
+  } catch (error) {
+    console.error('Error processing webhook:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+router.use(express.json());
+
+// POST /api/stripe/create-checkout-session - Start a subscription checkout
+// Body: { priceId } or { interval: 'monthly' | 'yearly' }, optional successUrl / cancelUrl
+router.post('/create-checkout-session', authMiddleware, async (req, res) => {
+  try {
+    const { priceId, interval, successUrl, cancelUrl } = req.body;
+    const prices = getPlanPrices();
+    const price = priceId || prices[interval || 'monthly'];
+
+    if (!price || !Object.values(prices).includes(price)) {
+      return res.status(400).json({
+        error: 'A valid priceId or interval is required',
+        intervals: Object.keys(prices)
+      });
+    }
+
+    const existing = await prisma.subscription.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (planForSubscription(existing) === 'pro') {
+      return res.status(409).json({ error: 'You already have an active subscription. Use the customer portal to change it.' });
+    }
+
+    const stripe = getStripe();
+
+    let stripeCustomerId = existing?.stripeCustomerId;
+    if (!stripeCustomerId) {
+      const customer = await stripe.customers.create({
+        email: req.user.email,
+        metadata: { userId: req.user.id }
+      });
+      stripeCustomerId = customer.id;
+
+      await prisma.subscription.create({
+        data: {
+          userId: req.user.id,
+          stripeCustomerId,
+          stripePriceId: price,
+          status: 'INCOMPLETE'
+        }
+      });
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      customer: stripeCustomerId,
+      client_reference_id: req.user.id,
+      line_items: [{ price, quantity: 1 }],
+      mode: 'subscription',
+      success_url: successUrl || `${appUrl()}/subscription/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl || `${appUrl()}/subscription/cancel`,
+      metadata: { userId: req.user.id },
+      subscription_data: {
+        metadata: { userId: req.user.id }
+      }
+    });
+
+    res.json({
+      sessionId: session.id,
+      sessionUrl: session.url
+    });
+  } catch (error) {
+    console.error('Error creating checkout session:', error);
+    res.status(500).json({ error: 'Failed to create checkout session' });
+  }
+});
+
+// POST /api/stripe/create-portal-session - Open the Stripe customer portal
+router.post('/create-portal-session', authMiddleware, async (req, res) => {
+  try {
+    const { returnUrl } = req.body;
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!subscription?.stripeCustomerId) {
+      return res.status(404).json({ error: 'No subscription found' });
+    }
+
+    const session = await getStripe().billingPortal.sessions.create({
+      customer: subscription.stripeCustomerId,
+      return_url: returnUrl || `${appUrl()}/subscription`
+    });
+
+    res.json({
+      sessionUrl: session.url
+    });
+  } catch (error) {
+    console.error('Error creating portal session:', error);
+    res.status(500).json({ error: 'Failed to create portal session' });
+  }
+});
+
+// GET /api/stripe/subscription-status - Subscription, plan and entitlements
+// ?refresh=true re-reads the subscription from Stripe instead of relying on webhooks
+router.get('/subscription-status', authMiddleware, async (req, res) => {
+  try {
+    let subscription = await prisma.subscription.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (req.query.refresh === 'true' && subscription?.stripeSubscriptionId) {
+      try {
+        const stripeSubscription = await getStripe().subscriptions.retrieve(subscription.stripeSubscriptionId);
+        await syncSubscription(
+          { ...stripeSubscription, metadata: { ...stripeSubscription.metadata, userId: req.user.id } },
+          { deleted: stripeSubscription.status === 'canceled' }
+        );
+        subscription = await prisma.subscription.findUnique({
+          where: { userId: req.user.id }
+        });
+      } catch (stripeError) {
+        console.warn('Could not refresh Stripe subscription:', stripeError.message);
+      }
+    }
+
+    const { plan, limits } = await getEntitlements(req.user.id);
+
+    res.json({
+      hasSubscription: Boolean(subscription?.stripeSubscriptionId),
+      status: subscription?.status || null,
+      currentPeriodEnd: subscription?.currentPeriodEnd || null,
+      cancelAtPeriodEnd: subscription?.cancelAtPeriodEnd || false,
+      priceId: subscription?.stripePriceId || null,
+      plan,
+      entitlements: limits
+    });
+  } catch (error) {
+    console.error('Error getting subscription status:', error);
+    res.status(500).json({ error: 'Failed to get subscription status' });
+  }
+});
+
+// GET /api/stripe/plans - Available prices and what each plan includes
+router.get('/plans', (req, res) => {
+  res.json({
+    prices: getPlanPrices(),
+    plans: PLAN_LIMITS
+  });
+});
+
+const WEBHOOK_EVENT_STATUSES = ['PROCESSING', 'PROCESSED', 'SKIPPED', 'FAILED'];
+
+// GET /api/stripe/admin/webhook-events - Webhook event log (admin only)
+// Query: status, type, limit (default 50, max 200)
+router.get('/admin/webhook-events', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}` });
+    }
+
+    const events = await prisma.webhookEvent.findMany({
+      where: {
+        ...(status && { status }),
+        ...(type && { type })
+      },
+      select: {
+        id: true,
+        type: true,
+        status: true,
+        eventCreatedAt: true,
+        attempts: true,
+        lastError: true,
+        processedAt: true,
+        createdAt: true,
+        updatedAt: true
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    res.json({ events });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook events' });
+  }
+});
+
+// POST /api/stripe/admin/webhook-events/replay-failed - Replay every failed event, oldest first (admin only)
+router.post('/admin/webhook-events/replay-failed', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const failed = await prisma.webhookEvent.findMany({
+      where: { status: 'FAILED' },
+      select: { id: true },
+      orderBy: { eventCreatedAt: 'asc' }
+    });
+
+    const results = [];
+    for (const { id } of failed) {
+      try {
+        const { status } = await replayWebhookEvent(id);
+        results.push({ id, status });
+      } catch (error) {
+        results.push({ id, status: 'FAILED', error: error.message });
+      }
+    }
+
+    res.json({
+      replayed: results.length,
+      failed: results.filter(result => result.status === 'FAILED').length,
+      results
+    });
+  } catch (error) {
+    console.error('Error replaying failed webhook events:', error);
+    res.status(500).json({ error: 'Failed to replay webhook events' });
+  }
+});
+
+// POST /api/stripe/admin/webhook-events/:id/replay - Replay one event from its stored payload (admin only)
+// Only failed or stuck events are replayed unless ?force=true
+router.post('/admin/webhook-events/:id/replay', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const result = await replayWebhookEvent(req.params.id, { force: req.query.force === 'true' });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+
+    if (result.duplicate) {
+      return res.status(409).json({
+        error: `Event is ${result.status}; pass force=true to replay it anyway`,
+        status: result.status
+      });
+    }
+
+    res.json({ id: req.params.id, status: result.status });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({ error: 'Webhook replay failed', details: error.message });
+  }
+});
+
+export default router;
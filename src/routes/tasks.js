@@ -1,24 +1,85 @@
 import express from 'express';
+import { Prisma } from '@prisma/client';
 import prisma from '../lib/prisma.js';
+import { syncGoalCompletion } from '../lib/goalLifecycle.js';
+import { startTimer, stopTimer } from '../lib/timeTracking.js';
+import { parseListQuery, findPage, TASK_LIST_QUERY } from '../lib/listQuery.js';
+import { expandOccurrences, spawnNextOccurrence } from '../lib/recurrence.js';
+import { loadTaskGraph, createsDependencyCycle, buildTaskTree } from '../lib/taskGraph.js';
+import {
+  createTask,
+  updateTask,
+  toggleTaskCompletion,
+  deleteTask,
+  openSubtasksConflict,
+  sendFailure
+} from '../lib/taskMutations.js';
 
 const router = express.Router();
 
 // Note: Authentication middleware is applied at the server level
 // req.user is available from the authMiddleware
 
-// GET /api/tasks - Get all tasks for the authenticated user
+const MAX_EXPANSION_WINDOW_DAYS = 366;
+
+// Parse a from/to query window for recurrence expansion - returns { from, to } or { error }
+const parseExpansionWindow = (fromValue, toValue) => {
+  const from = fromValue ? new Date(fromValue) : new Date();
+  const to = toValue ? new Date(toValue) : null;
+
+  if (isNaN(from.getTime()) || !to || isNaN(to.getTime())) {
+    return { error: 'A valid from and to date are required to expand occurrences' };
+  }
+  if (to < from) {
+    return { error: 'The expansion window must end after it starts' };
+  }
+  if (to - from > MAX_EXPANSION_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `The expansion window can be at most ${MAX_EXPANSION_WINDOW_DAYS} days` };
+  }
+  return { from, to };
+};
+
+// Completion of a parent is refused while it has open subtasks, unless forced (?force=true or body.force)
+const isForced = (req) => req.body?.force === true || req.query.force === 'true';
+
+// Upcoming (not yet created) occurrences of an open recurring task within a window
+const virtualOccurrences = (task, from, to) => {
+  if (!task.recurrence || task.completed || !task.dueDate) {
+    return [];
+  }
+  return expandOccurrences(task.recurrence, from, to, task.dueDate).map(dueDate => ({
+    taskId: task.id,
+    seriesId: task.seriesId || task.id,
+    title: task.title,
+    priority: task.priority,
+    estimatedTime: task.estimatedTime,
+    goalId: task.goalId,
+    dueDate,
+    virtual: true
+  }));
+};
+
+// GET /api/tasks - List tasks for the authenticated user
+// Supports filtering, sorting and cursor pagination (see lib/listQuery.js)
 router.get('/', async (req, res) => {
   try {
-    // Debug: Count total tasks and completed tasks
-    const totalTasks = await prisma.task.count({ where: { userId: req.user.id } });
-    const completedTasks = await prisma.task.count({ where: { userId: req.user.id, completed: true } });
-    
-    console.log(`Debug /all: User ${req.user.id} has ${totalTasks} total tasks, ${completedTasks} completed`);
+    const listQuery = parseListQuery(req.query, TASK_LIST_QUERY);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
 
-    const tasks = await prisma.task.findMany({
-      where: {
-        userId: req.user.id
-      },
+    // Optional recurrence expansion: ?expandFrom=...&expandTo=...
+    let expansion = null;
+    if (req.query.expandFrom !== undefined || req.query.expandTo !== undefined) {
+      expansion = parseExpansionWindow(req.query.expandFrom, req.query.expandTo);
+      if (expansion.error) {
+        return res.status(400).json({ error: expansion.error });
+      }
+    }
+
+    listQuery.where.userId = req.user.id;
+
+    const tasks = await findPage(prisma.task, listQuery, res, {
       include: {
         goal: {
           select: {
@@ -27,15 +88,15 @@ router.get('/', async (req, res) => {
             category: true
           }
         }
-      },
-      orderBy: [
-        { priority: 'desc' },
-        { createdAt: 'desc' }
-      ]
+      }
     });
 
-    console.log(`Debug /all: Returning ${tasks.length} tasks, completed count: ${tasks.filter(t => t.completed).length}`);
-    
+    if (expansion) {
+      return res.json(tasks.map(task => task.recurrence
+        ? { ...task, upcomingOccurrences: virtualOccurrences(task, expansion.from, expansion.to) }
+        : task));
+    }
+
     res.json(tasks);
   } catch (error) {
     console.error('Error fetching all tasks:', error);
@@ -43,6 +104,47 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/tasks/occurrences - Due tasks plus virtual recurring occurrences in a date window
+router.get('/occurrences', async (req, res) => {
+  try {
+    const window = parseExpansionWindow(req.query.from, req.query.to);
+    if (window.error) {
+      return res.status(400).json({ error: window.error });
+    }
+
+    const [dueTasks, recurringTasks] = await Promise.all([
+      prisma.task.findMany({
+        where: {
+          userId: req.user.id,
+          dueDate: { gte: window.from, lte: window.to }
+        }
+      }),
+      prisma.task.findMany({
+        where: {
+          userId: req.user.id,
+          completed: false,
+          recurrence: { not: Prisma.DbNull },
+          dueDate: { lte: window.to }
+        }
+      })
+    ]);
+
+    const occurrences = [
+      ...dueTasks.map(task => ({ ...task, virtual: false })),
+      ...recurringTasks.flatMap(task => virtualOccurrences(task, window.from, window.to))
+    ].sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    res.json({
+      from: window.from,
+      to: window.to,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Error expanding task occurrences:', error);
+    res.status(500).json({ error: 'Failed to fetch task occurrences' });
+  }
+});
+
 // GET /api/tasks/:id - Get a specific task
 router.get('/:id', async (req, res) => {
   try {
@@ -76,57 +178,12 @@ router.get('/:id', async (req, res) => {
 // POST /api/tasks - Create a new task
 router.post('/', async (req, res) => {
   try {
-    const { 
-      title, 
-      description, 
-      goalId, 
-      priority, 
-      estimatedTime,
-      aiGenerated = false,
-      dueDate
-    } = req.body;
-
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
-
-    // Verify goal belongs to user if goalId is provided
-    if (goalId) {
-      const goal = await prisma.goal.findFirst({
-        where: {
-          id: goalId,
-          userId: req.user.id
-        }
-      });
-
-      if (!goal) {
-        return res.status(404).json({ error: 'Goal not found' });
-      }
+    const result = await createTask(req.user.id, req.body);
+    if (result.error) {
+      return sendFailure(res, result);
     }
 
-    const task = await prisma.task.create({
-      data: {
-        title,
-        description,
-        goalId,
-        priority: priority || 'MEDIUM',
-        estimatedTime,
-        aiGenerated,
-        userId: req.user.id,
-        dueDate
-      },
-      include: {
-        goal: {
-          select: {
-            id: true,
-            title: true,
-            category: true
-          }
-        }
-      }
-    });
-
-    res.status(201).json(task);
+    res.status(201).json(result.task);
   } catch (error) {
     console.error('Error creating task:', error);
     res.status(500).json({ error: 'Failed to create task' });
@@ -136,77 +193,13 @@ router.post('/', async (req, res) => {
 // PUT /api/tasks/:id - Update a task
 router.put('/:id', async (req, res) => {
   try {
-    const { 
-      title, 
-      description, 
-      goalId, 
-      priority, 
-      estimatedTime,
-      actualTime,
-      completed,
-      dueDate
-    } = req.body;
-
-    const existingTask = await prisma.task.findFirst({
-      where: {
-        id: req.params.id,
-        userId: req.user.id // Using actual user ID from database
-      }
-    });
-
-    if (!existingTask) {
-      return res.status(404).json({ error: 'Task not found' });
-    }
-
-    // Verify goal belongs to user if goalId is provided
-    if (goalId && goalId !== existingTask.goalId) {
-      const goal = await prisma.goal.findFirst({
-        where: {
-          id: goalId,
-          userId: req.user.id // Using actual user ID from database
-        }
-      });
-
-      if (!goal) {
-        return res.status(404).json({ error: 'Goal not found' });
-      }
-    }
-
-    const updateData = {
-      ...(title && { title }),
-      ...(description !== undefined && { description }),
-      ...(goalId !== undefined && { goalId }),
-      ...(priority && { priority }),
-      ...(estimatedTime !== undefined && { estimatedTime }),
-      ...(actualTime !== undefined && { actualTime }),
-      ...(dueDate && { dueDate })
-    };
-
-    // Handle completion status
-    if (completed !== undefined) {
-      updateData.completed = completed;
-      if (completed && !existingTask.completed) {
-        updateData.completedAt = new Date();
-      } else if (!completed && existingTask.completed) {
-        updateData.completedAt = null;
-      }
+    const result = await updateTask(req.user.id, req.params.id, req.body, { force: isForced(req) });
+    if (result.error) {
+      return sendFailure(res, result);
     }
 
-    const task = await prisma.task.update({
-      where: { id: req.params.id },
-      data: updateData,
-      include: {
-        goal: {
-          select: {
-            id: true,
-            title: true,
-            category: true
-          }
-        }
-      }
-    });
-
-    res.json(task);
+    const { task, nextOccurrence } = result;
+    res.json(nextOccurrence ? { ...task, nextOccurrence } : task);
   } catch (error) {
     console.error('Error updating task:', error);
     res.status(500).json({ error: 'Failed to update task' });
@@ -216,35 +209,13 @@ router.put('/:id', async (req, res) => {
 // PATCH /api/tasks/:id/complete - Toggle task completion
 router.patch('/:id/complete', async (req, res) => {
   try {
-    const task = await prisma.task.findFirst({
-      where: {
-        id: req.params.id,
-        userId: req.user.id // Using actual user ID from database
-      }
-    });
-
-    if (!task) {
-      return res.status(404).json({ error: 'Task not found' });
+    const result = await toggleTaskCompletion(req.user.id, req.params.id, { force: isForced(req) });
+    if (result.error) {
+      return sendFailure(res, result);
     }
 
-    const updatedTask = await prisma.task.update({
-      where: { id: req.params.id },
-      data: {
-        completed: !task.completed,
-        completedAt: !task.completed ? new Date() : null
-      },
-      include: {
-        goal: {
-          select: {
-            id: true,
-            title: true,
-            category: true
-          }
-        }
-      }
-    });
-
-    res.json(updatedTask);
+    const { task, nextOccurrence } = result;
+    res.json(nextOccurrence ? { ...task, nextOccurrence } : task);
   } catch (error) {
     console.error('Error toggling task completion:', error);
     res.status(500).json({ error: 'Failed to update task completion' });
@@ -254,21 +225,11 @@ router.patch('/:id/complete', async (req, res) => {
 // DELETE /api/tasks/:id - Delete a task
 router.delete('/:id', async (req, res) => {
   try {
-    const existingTask = await prisma.task.findFirst({
-      where: {
-        id: req.params.id,
-        userId: req.user.id // Using actual user ID from database
-      }
-    });
-
-    if (!existingTask) {
-      return res.status(404).json({ error: 'Task not found' });
+    const result = await deleteTask(req.user.id, req.params.id);
+    if (result.error) {
+      return sendFailure(res, result);
     }
 
-    await prisma.task.delete({
-      where: { id: req.params.id }
-    });
-
     res.json({ message: 'Task deleted successfully' });
   } catch (error) {
     console.error('Error deleting task:', error);
@@ -354,6 +315,13 @@ router.patch('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Task not found' });
     }
 
+    if (completed && !existingTask.completed && !isForced(req)) {
+      const conflict = await openSubtasksConflict(existingTask.id);
+      if (conflict) {
+        return res.status(409).json(conflict);
+      }
+    }
+
     const updateData = {};
     
     if (completed !== undefined) {
@@ -383,11 +351,205 @@ router.patch('/:id', async (req, res) => {
       }
     });
 
-    res.json(task);
+    const nextOccurrence = task.completed && !existingTask.completed
+      ? await spawnNextOccurrence(task)
+      : null;
+
+    if (task.completed !== existingTask.completed) {
+      await syncGoalCompletion(task.goalId);
+    }
+
+    res.json(nextOccurrence ? { ...task, nextOccurrence } : task);
   } catch (error) {
     console.error('Error updating task:', error);
     res.status(500).json({ error: 'Failed to update task' });
   }
 });
 
+// POST /api/tasks/:id/timer/start - Start tracking time on a task
+router.post('/:id/timer/start', async (req, res) => {
+  try {
+    const task = await prisma.task.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { entry, stoppedEntries, alreadyRunning } = await startTimer(req.user.id, task.id);
+
+    res.status(alreadyRunning ? 200 : 201).json({
+      entry,
+      stoppedEntries,
+      alreadyRunning
+    });
+  } catch (error) {
+    console.error('Error starting task timer:', error);
+    res.status(500).json({ error: 'Failed to start timer' });
+  }
+});
+
+// POST /api/tasks/:id/timer/stop - Stop tracking time on a task
+router.post('/:id/timer/stop', async (req, res) => {
+  try {
+    const task = await prisma.task.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const entry = await stopTimer(req.user.id, task.id);
+
+    if (!entry) {
+      return res.status(409).json({ error: 'No timer is running for this task' });
+    }
+
+    const updatedTask = await prisma.task.findUnique({
+      where: { id: task.id }
+    });
+
+    res.json({
+      entry,
+      actualTime: updatedTask.actualTime
+    });
+  } catch (error) {
+    console.error('Error stopping task timer:', error);
+    res.status(500).json({ error: 'Failed to stop timer' });
+  }
+});
+
+// GET /api/tasks/:id/time-entries - List tracked sessions for a task
+router.get('/:id/time-entries', async (req, res) => {
+  try {
+    const task = await prisma.task.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const entries = await prisma.timeEntry.findMany({
+      where: { taskId: task.id },
+      orderBy: { startedAt: 'desc' }
+    });
+
+    res.json({
+      entries,
+      actualTime: task.actualTime || 0,
+      running: entries.some(entry => !entry.endedAt)
+    });
+  } catch (error) {
+    console.error('Error fetching time entries:', error);
+    res.status(500).json({ error: 'Failed to fetch time entries' });
+  }
+});
+
+// GET /api/tasks/:id/tree - Get a task with its nested subtasks and dependencies
+router.get('/:id/tree', async (req, res) => {
+  try {
+    const graph = await loadTaskGraph(req.user.id);
+    const tree = buildTaskTree(graph, req.params.id);
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json(tree);
+  } catch (error) {
+    console.error('Error building task tree:', error);
+    res.status(500).json({ error: 'Failed to fetch task tree' });
+  }
+});
+
+// POST /api/tasks/:id/dependencies - Mark a task as blocked by another task
+router.post('/:id/dependencies', async (req, res) => {
+  try {
+    const { blockedById } = req.body;
+
+    if (!blockedById) {
+      return res.status(400).json({ error: 'blockedById is required' });
+    }
+
+    const graph = await loadTaskGraph(req.user.id);
+
+    if (!graph.has(req.params.id)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!graph.has(blockedById)) {
+      return res.status(404).json({ error: 'Blocking task not found' });
+    }
+
+    if (createsDependencyCycle(graph, req.params.id, blockedById)) {
+      return res.status(409).json({
+        error: 'Dependency cycle',
+        message: 'This dependency would make tasks wait on each other.'
+      });
+    }
+
+    const task = await prisma.task.update({
+      where: { id: req.params.id },
+      data: {
+        blockedBy: { connect: { id: blockedById } }
+      },
+      include: {
+        blockedBy: {
+          select: { id: true, title: true, completed: true }
+        }
+      }
+    });
+
+    res.status(201).json(task);
+  } catch (error) {
+    console.error('Error adding task dependency:', error);
+    res.status(500).json({ error: 'Failed to add task dependency' });
+  }
+});
+
+// DELETE /api/tasks/:id/dependencies/:blockedById - Remove a dependency
+router.delete('/:id/dependencies/:blockedById', async (req, res) => {
+  try {
+    const existingTask = await prisma.task.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = await prisma.task.update({
+      where: { id: req.params.id },
+      data: {
+        blockedBy: { disconnect: { id: req.params.blockedById } }
+      },
+      include: {
+        blockedBy: {
+          select: { id: true, title: true, completed: true }
+        }
+      }
+    });
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error removing task dependency:', error);
+    res.status(500).json({ error: 'Failed to remove task dependency' });
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,294 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import {
+  getTaxonomy,
+  getTermUsage,
+  canonicalName,
+  termResolver,
+  mergeTerms,
+  findClassifiable,
+  classifyRecords,
+  applyClassification,
+  findBackfillCandidates,
+  TAXONOMY_KINDS,
+  CLASSIFY_TYPES,
+  CLASSIFY_BATCH_SIZE
+} from '../lib/taxonomy.js';
+import { StructuredOutputError } from '../lib/structuredOutput.js';
+import { getQuotaStatus } from '../lib/aiUsage.js';
+import { aiQuotaMiddleware } from '../middleware/aiQuota.js';
+
+const router = express.Router();
+
+// Note: Authentication middleware is applied at the server level
+// req.user is available from the authMiddleware
+
+const MAX_BACKFILL_LIMIT = 200;
+
+const kindError = { error: `kind must be one of ${Object.keys(TAXONOMY_KINDS).join(', ')}` };
+
+// Terms of one kind with usage counts; names only found on goals/ideas are listed too
+const withUsage = (terms, usage) => {
+  const listed = terms.map(term => ({
+    id: term.id,
+    name: term.name,
+    description: term.description,
+    aliases: term.aliases,
+    count: usage.get(term.name) || 0
+  }));
+  const known = new Set(terms.map(term => term.name));
+  for (const [name, count] of usage) {
+    if (!known.has(name)) {
+      listed.push({ id: null, name, description: null, aliases: [], count });
+    }
+  }
+  return listed.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const invalidModelOutputResponse = (res, error) => res.status(502).json({
+  error: 'The AI returned an invalid classification',
+  details: error.errors
+});
+
+// GET /api/taxonomy - Categories and tags of the user
+// Response: { categories: [{ id, name, description, aliases, count }], tags: [...] }
+// count is the number of goals (categories) or ideas (tags) using the term
+router.get('/', async (req, res) => {
+  try {
+    const [{ categories, tags }, usage] = await Promise.all([
+      getTaxonomy(req.user.id),
+      getTermUsage(req.user.id)
+    ]);
+
+    res.json({
+      categories: withUsage(categories, usage.categories),
+      tags: withUsage(tags, usage.tags)
+    });
+  } catch (error) {
+    console.error('Error fetching taxonomy:', error);
+    res.status(500).json({ error: 'Failed to fetch taxonomy' });
+  }
+});
+
+// POST /api/taxonomy/terms - Add a category or tag
+// Body: { kind: category | tag, name, description?, aliases? }
+router.post('/terms', async (req, res) => {
+  try {
+    const { kind, name, description, aliases = [] } = req.body;
+
+    if (!TAXONOMY_KINDS[kind]) {
+      return res.status(400).json(kindError);
+    }
+
+    const canonical = canonicalName(name);
+    if (!canonical) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+      return res.status(400).json({ error: 'Aliases must be an array of strings' });
+    }
+
+    const taxonomy = await getTaxonomy(req.user.id);
+    const terms = kind === 'category' ? taxonomy.categories : taxonomy.tags;
+    const resolve = termResolver(terms);
+    const existing = terms.find(term => term.name === resolve(canonical));
+    if (existing) {
+      return res.status(409).json({ error: `"${name}" is already used by ${kind} "${existing.name}"` });
+    }
+
+    const term = await prisma.taxonomyTerm.create({
+      data: {
+        userId: req.user.id,
+        kind: TAXONOMY_KINDS[kind],
+        name: canonical,
+        description: description?.trim() || null,
+        aliases: [...new Set(aliases.map(canonicalName).filter(alias => alias && alias !== canonical))]
+      }
+    });
+
+    res.status(201).json(term);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Term already exists' });
+    }
+    console.error('Error creating taxonomy term:', error);
+    res.status(500).json({ error: 'Failed to create taxonomy term' });
+  }
+});
+
+// POST /api/taxonomy/merge - Merge categories or tags into one
+// Body: { kind: category | tag, from: [names], to: name }
+// Every goal or idea using a merged name is updated in one transaction; the merged names
+// become aliases of the target, so they map onto it from now on.
+// Response: { term, updated: number of goals or ideas changed }
+router.post('/merge', async (req, res) => {
+  try {
+    const { kind, from, to } = req.body;
+
+    if (!TAXONOMY_KINDS[kind]) {
+      return res.status(400).json(kindError);
+    }
+
+    if (!Array.isArray(from) || from.length === 0 || from.some(name => !canonicalName(name))) {
+      return res.status(400).json({ error: 'from must be a non-empty array of names' });
+    }
+
+    if (!canonicalName(to)) {
+      return res.status(400).json({ error: 'to is required' });
+    }
+
+    const result = await mergeTerms(req.user.id, TAXONOMY_KINDS[kind], from, to);
+    res.json(result);
+  } catch (error) {
+    console.error('Error merging taxonomy terms:', error);
+    res.status(500).json({ error: 'Failed to merge taxonomy terms' });
+  }
+});
+
+// POST /api/taxonomy/rename - Rename a category or tag
+// Body: { kind: category | tag, from: name, to: new name }
+// Renaming onto a name that is already in use is rejected; use /merge for that.
+// Response: { term, updated: number of goals or ideas changed }
+router.post('/rename', async (req, res) => {
+  try {
+    const { kind, from, to } = req.body;
+
+    if (!TAXONOMY_KINDS[kind]) {
+      return res.status(400).json(kindError);
+    }
+
+    if (!canonicalName(from) || !canonicalName(to)) {
+      return res.status(400).json({ error: 'from and to are required' });
+    }
+
+    const [taxonomy, usage] = await Promise.all([getTaxonomy(req.user.id), getTermUsage(req.user.id)]);
+    const terms = kind === 'category' ? taxonomy.categories : taxonomy.tags;
+    const used = kind === 'category' ? usage.categories : usage.tags;
+    const resolve = termResolver(terms);
+
+    const source = resolve(from);
+    if (!terms.some(term => term.name === source) && !used.has(source)) {
+      return res.status(404).json({ error: `Unknown ${kind} "${from}"` });
+    }
+
+    const target = resolve(to);
+    if (target !== source && (terms.some(term => term.name === target) || used.has(target))) {
+      return res.status(409).json({ error: `${kind} "${target}" already exists, merge instead` });
+    }
+
+    const result = await mergeTerms(req.user.id, TAXONOMY_KINDS[kind], [from], to);
+    res.json(result);
+  } catch (error) {
+    console.error('Error renaming taxonomy term:', error);
+    res.status(500).json({ error: 'Failed to rename taxonomy term' });
+  }
+});
+
+// POST /api/taxonomy/classify - Suggest tags (ideas) or a category (goals) for one item
+// Body: { type: idea | goal, id, apply (default true) }
+// With apply, suggested tags are added to the idea and the goal's category is replaced.
+// Response: { type, id, suggestion: { tags } or { category }, applied, item }
+router.post('/classify', aiQuotaMiddleware, async (req, res) => {
+  try {
+    const { type, id, apply = true } = req.body;
+
+    if (!CLASSIFY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${CLASSIFY_TYPES.join(', ')}` });
+    }
+
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({ error: 'id is required' });
+    }
+
+    const record = await findClassifiable(req.user.id, type, id);
+    if (!record) {
+      return res.status(404).json({ error: `${type === 'idea' ? 'Idea' : 'Goal'} not found` });
+    }
+
+    const [suggestion] = await classifyRecords(req.user.id, [{ type, record }]);
+    if (!suggestion) {
+      return res.status(502).json({ error: 'The AI did not classify the item' });
+    }
+
+    const item = apply ? await applyClassification(req.user.id, type, record, suggestion) : record;
+
+    res.json({ type, id, suggestion, applied: Boolean(apply), item });
+  } catch (error) {
+    if (error instanceof StructuredOutputError) {
+      return invalidModelOutputResponse(res, error);
+    }
+    console.error('Error classifying item:', error);
+    res.status(500).json({ error: 'Failed to classify item' });
+  }
+});
+
+// POST /api/taxonomy/backfill - Classify existing ideas and goals in bulk
+// Body: { types: [idea, goal] (default both), onlyMissing (default true), limit (default 50, max 200),
+//         apply (default true) }
+// onlyMissing skips ideas that have tags and goals that have a category. Items are sent to the
+// model in batches of 10; each batch counts as one AI request, and only as many batches run as
+// the remaining quota allows. A batch with invalid model output is skipped and its items are
+// listed in failed; the other batches are still applied.
+// Response: { processed, applied, remaining, quotaLimited, results: [{ type, id, title, category, tags }],
+//             failed: [{ type, id, title }] }
+router.post('/backfill', aiQuotaMiddleware, async (req, res) => {
+  try {
+    const { types = CLASSIFY_TYPES, onlyMissing = true, apply = true } = req.body;
+
+    if (!Array.isArray(types) || types.length === 0 || types.some(type => !CLASSIFY_TYPES.includes(type))) {
+      return res.status(400).json({ error: `types must be a list of ${CLASSIFY_TYPES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.body.limit, 10) || 50, MAX_BACKFILL_LIMIT);
+    const { records, total } = await findBackfillCandidates(req.user.id, {
+      types: [...new Set(types)],
+      onlyMissing: Boolean(onlyMissing),
+      limit
+    });
+
+    const quota = await getQuotaStatus(req.user.id);
+    const batches = Math.min(quota.daily.remaining, quota.monthly.remaining);
+    const allowed = records.slice(0, batches * CLASSIFY_BATCH_SIZE);
+
+    // Each batch is stored as soon as it is classified, so a batch the model answers badly
+    // only loses its own items
+    const results = [];
+    const failed = [];
+    for (let start = 0; start < allowed.length; start += CLASSIFY_BATCH_SIZE) {
+      const batch = allowed.slice(start, start + CLASSIFY_BATCH_SIZE);
+      let suggestions;
+      try {
+        suggestions = await classifyRecords(req.user.id, batch);
+      } catch (error) {
+        if (!(error instanceof StructuredOutputError)) throw error;
+        console.error('Error classifying back-fill batch:', error);
+        failed.push(...batch.map(({ type, record }) => ({ type, id: record.id, title: record.title })));
+        continue;
+      }
+
+      for (let i = 0; i < batch.length; i++) {
+        const { type, record } = batch[i];
+        if (!suggestions[i]) continue;
+        if (apply) {
+          await applyClassification(req.user.id, type, record, suggestions[i]);
+        }
+        results.push({ type, id: record.id, title: record.title, ...suggestions[i] });
+      }
+    }
+
+    res.json({
+      processed: allowed.length,
+      applied: apply ? results.length : 0,
+      remaining: total - (apply ? results.length : 0),
+      quotaLimited: allowed.length < records.length,
+      results,
+      failed
+    });
+  } catch (error) {
+    console.error('Error back-filling taxonomy:', error);
+    res.status(500).json({ error: 'Failed to back-fill tags and categories' });
+  }
+});
+
+export default router;
@@ -14,7 +14,22 @@ import goalRoutes from './routes/goals.js';
 import taskRoutes from './routes/tasks.js';
 import aiRoutes from './routes/ai.js';
 import ideaRoutes from './routes/ideas.js';
-// import stripeRoutes from './routes/stripe.js';
+import planRoutes from './routes/plans.js';
+import calendarRoutes from './routes/calendar.js';
+import stripeRoutes from './routes/stripe.js';
+import searchRoutes from './routes/search.js';
+import taxonomyRoutes from './routes/taxonomy.js';
+import proposalRoutes from './routes/proposals.js';
+import chatRoutes from './routes/chat.js';
+import profileRoutes from './routes/profile.js';
+import analyticsRoutes from './routes/analytics.js';
+import reviewRoutes from './routes/reviews.js';
+import nudgeRoutes from './routes/nudges.js';
+import notificationRoutes from './routes/notifications.js';
+import jobRoutes from './routes/jobs.js';
+
+// Background jobs
+import { startJobs } from './lib/jobs.js';
 
 // Middleware imports
 import { authMiddleware } from './middleware/auth.js';
@@ -80,11 +95,15 @@ app.use(cors({
     'X-Client-Type', // For identifying React Native vs web clients
     'X-App-Version'  // For version-specific handling
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Request-ID']
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'X-Request-ID', 'X-AI-Quota-Remaining', 'Retry-After']
 }));
 
 app.use(morgan('combined'));
 app.use(limiter);
+
+// Stripe routes come before express.json(): the webhook verifies its signature against the raw body
+app.use('/api/stripe', stripeRoutes);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -109,12 +128,27 @@ app.get('/health', (req, res) => {
 // Auth routes (no middleware needed, handled internally)
 app.use('/api/auth', authRoutes);
 
+// Calendar routes (the .ics feed is token-authenticated, the rest use authMiddleware internally)
+app.use('/api/calendar', calendarRoutes);
+
+// Job triggers for schedulers (authenticated by CRON_SECRET, not a user session)
+app.use('/api/jobs', jobRoutes);
+
 // Protected routes - apply auth middleware
 app.use('/api/goals', authMiddleware, goalRoutes);
 app.use('/api/tasks', authMiddleware, taskRoutes);
+app.use('/api/ai/chat', authMiddleware, chatRoutes);
 app.use('/api/ai', authMiddleware, aiRoutes);
 app.use('/api/ideas', authMiddleware, ideaRoutes);
-// app.use('/api/stripe', authMiddleware, stripeRoutes);
+app.use('/api/plans', authMiddleware, planRoutes);
+app.use('/api/search', authMiddleware, searchRoutes);
+app.use('/api/taxonomy', authMiddleware, taxonomyRoutes);
+app.use('/api/proposals', authMiddleware, proposalRoutes);
+app.use('/api/profile', authMiddleware, profileRoutes);
+app.use('/api/analytics', authMiddleware, analyticsRoutes);
+app.use('/api/reviews', authMiddleware, reviewRoutes);
+app.use('/api/nudges', authMiddleware, nudgeRoutes);
+app.use('/api/notifications', authMiddleware, notificationRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -133,6 +167,8 @@ app.listen(PORT, () => {
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
   console.log(`🔐 Auth endpoints: http://localhost:${PORT}/api/auth`);
   console.log(`📱 CORS enabled for development and production`);
+
+  startJobs();
   
   // Log environment status
   if (!process.env.SUPABASE_URL) {